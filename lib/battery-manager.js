@@ -0,0 +1,86 @@
+'use strict';
+
+const PowerCalculator = require('./power-calculator');
+
+/**
+ * Battery storage utilities for ZeroPV adapter
+ *
+ * Surplus charges the battery before PV is throttled, PV is only throttled once the battery is full
+ * or charges at its maximum power. Discharge is capped at the household demand.
+ */
+class BatteryManager {
+    /**
+     * Read the current battery state
+     * @param {Object} config Adapter configuration
+     * @param {Function} getForeignStateAsync Function to get foreign state
+     * @param {Object} logger Logger instance
+     * @returns {Promise<{soc: number, power: number} | null>} State of charge in % and power in W (+ = charging), null if unavailable
+     */
+    static async readBatteryState(config, getForeignStateAsync, logger) {
+        try {
+            const socState = await getForeignStateAsync(config.batterySocObject);
+            const powerState = await getForeignStateAsync(config.batteryPowerObject);
+            const soc = socState ? parseFloat(socState.val) : NaN;
+            const power = powerState ? parseFloat(powerState.val) : NaN;
+
+            if (isNaN(soc) || isNaN(power)) {
+                logger.debug(`Could not read battery state from ${config.batterySocObject} and ${config.batteryPowerObject}`);
+                return null;
+            }
+            return { soc, power: config.batteryPowerInvert ? -power : power };
+        } catch (error) {
+            logger.debug(`Error reading battery state: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether the battery cannot take any more charge
+     * @param {{soc: number}} battery Battery state
+     * @param {Object} config Adapter configuration
+     * @returns {boolean}
+     */
+    static isFull(battery, config) {
+        return battery.soc >= config.batteryFullSoc;
+    }
+
+    /**
+     * Plan the battery's share of the regulation and the grid power left for the inverter limits
+     *
+     * While the battery is not full, its remaining charge headroom counts as demand, so PV is raised until
+     * the battery charges at its maximum power. A discharging battery counts as import, so PV covers the
+     * household demand before the battery does.
+     *
+     * With a charge command object the adapter also sets the battery power: it regulates the grid power to
+     * the setpoint, but never below 0W, so the battery neither discharges into the grid nor charges from it.
+     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     * @param {{soc: number, power: number}} battery Battery state
+     * @param {Object} config Adapter configuration
+     * @returns {{regulatedGridPower: number, chargeSetpoint: number|null, full: boolean}} Grid power for the inverter
+     *          regulation, battery power to command (+ = charge, null without charge command object) and whether the battery is full
+     */
+    static plan(currentGridPower, battery, config) {
+        const full = BatteryManager.isFull(battery, config);
+
+        let chargeSetpoint = null;
+        if (config.batteryChargeObject) {
+            const batteryTarget = Math.max(PowerCalculator.resolveTarget(config).setpoint, 0);
+            const maxCharge = full ? 0 : config.batteryMaxChargePower;
+            chargeSetpoint = battery.power - (currentGridPower - batteryTarget);
+            chargeSetpoint = Math.round(Math.min(Math.max(chargeSetpoint, -config.batteryMaxDischargePower), maxCharge));
+        }
+
+        // Grid power without the battery, plus what the battery can still take
+        let regulatedGridPower = currentGridPower - battery.power;
+        if (!full) {
+            regulatedGridPower += config.batteryMaxChargePower;
+        } else {
+            // A full battery only keeps the power it is charging or commanded with right now
+            regulatedGridPower += chargeSetpoint !== null ? chargeSetpoint : Math.max(0, battery.power);
+        }
+
+        return { regulatedGridPower, chargeSetpoint, full };
+    }
+}
+
+module.exports = BatteryManager;
\ No newline at end of file
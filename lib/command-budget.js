@@ -0,0 +1,174 @@
+'use strict';
+
+const WINDOW = 60 * 1000;
+
+/**
+ * Budget for limit commands, keeping the radio link of the DTU and the command queue of the inverters
+ * from saturating
+ *
+ * Limits (0 = unlimited):
+ * - commandMaxPerMinute / commandInverterMaxPerMinute: commands within any 60s, in total and per inverter
+ * - commandMinSpacing / commandInverterMinSpacing: time between two commands in ms, in total and per inverter
+ *
+ * Limits exceeding the budget are deferred until a slot is free. Decreases take the free slots before
+ * increases, and a deferred limit is superseded by the next limit calculated for its inverter.
+ */
+class CommandBudget {
+    constructor() {
+        this.sent = []; // {index, ts} of the commands of the last minute, oldest first
+        this.queue = new Map(); // deferred limits by inverter index
+        this.counters = { sent: 0, deferred: 0, coalesced: 0 };
+    }
+
+    /**
+     * Register a command sent to an inverter
+     * @param {number} index Inverter index
+     * @param {number} now Current timestamp in ms
+     */
+    record(index, now) {
+        this.prune(now);
+        this.sent.push({ index, ts: now });
+        this.counters.sent++;
+    }
+
+    /**
+     * Get the earliest time a command may be sent to an inverter
+     * @param {number} index Inverter index
+     * @param {Object} config Adapter configuration
+     * @param {number} now Current timestamp in ms
+     * @returns {number} Timestamp in ms, now if the budget allows a command right away
+     */
+    getNextSlot(index, config, now) {
+        this.prune(now);
+        const own = this.sent.filter(entry => entry.index === index);
+        let slot = now;
+        if (config.commandMinSpacing > 0 && this.sent.length > 0) {
+            slot = Math.max(slot, this.sent[this.sent.length - 1].ts + config.commandMinSpacing);
+        }
+        if (config.commandInverterMinSpacing > 0 && own.length > 0) {
+            slot = Math.max(slot, own[own.length - 1].ts + config.commandInverterMinSpacing);
+        }
+        if (config.commandMaxPerMinute > 0 && this.sent.length >= config.commandMaxPerMinute) {
+            slot = Math.max(slot, this.sent[this.sent.length - config.commandMaxPerMinute].ts + WINDOW);
+        }
+        if (config.commandInverterMaxPerMinute > 0 && own.length >= config.commandInverterMaxPerMinute) {
+            slot = Math.max(slot, own[own.length - config.commandInverterMaxPerMinute].ts + WINDOW);
+        }
+        return slot;
+    }
+
+    /**
+     * Drop the deferred limits of inverters that got a new limit calculated
+     * @param {Array<{index: number, newValue: number}>} limits New limits of this cycle
+     */
+    coalesce(limits) {
+        for (const limit of limits) {
+            const deferred = this.queue.get(limit.index);
+            if (deferred) {
+                this.queue.delete(limit.index);
+                if (deferred.newValue !== limit.newValue) {
+                    this.counters.coalesced++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Split limit changes into commands to send now and commands to defer
+     * @param {Array<{index: number, oldValue: number, newValue: number}>} limits Changed limits
+     * @param {Object} config Adapter configuration
+     * @param {number} now Current timestamp in ms
+     * @param {boolean} [force] Send all limits regardless of the budget, they still count against it
+     * @returns {{send: Array<Object>, deferred: Array<Object>}} Limits to send now, in the given order, and deferred limits
+     */
+    plan(limits, config, now, force = false) {
+        const allowed = new Set();
+        const deferred = [];
+        for (const limit of CommandBudget.prioritize(limits)) {
+            if (force || this.getNextSlot(limit.index, config, now) <= now) {
+                this.record(limit.index, now);
+                allowed.add(limit);
+            } else {
+                this.queue.set(limit.index, limit);
+                this.counters.deferred++;
+                deferred.push(limit);
+            }
+        }
+        return { send: limits.filter(limit => allowed.has(limit)), deferred };
+    }
+
+    /**
+     * Take the deferred limits the budget allows to send now
+     * @param {Object} config Adapter configuration
+     * @param {number} now Current timestamp in ms
+     * @param {Function} [isObsolete] Check for limits that need no command any more, e.g. already on their way;
+     *        they are dropped from the queue without taking a slot
+     * @returns {Array<Object>} Limits to send, removed from the queue
+     */
+    takeDue(config, now, isObsolete = () => false) {
+        const due = [];
+        for (const limit of CommandBudget.prioritize([...this.queue.values()])) {
+            if (isObsolete(limit)) {
+                this.queue.delete(limit.index);
+            } else if (this.getNextSlot(limit.index, config, now) <= now) {
+                this.queue.delete(limit.index);
+                this.record(limit.index, now);
+                due.push(limit);
+            }
+        }
+        return due;
+    }
+
+    /**
+     * Get the time the next deferred limit may be sent
+     * @param {Object} config Adapter configuration
+     * @param {number} now Current timestamp in ms
+     * @returns {number|null} Timestamp in ms, null if no limit is deferred
+     */
+    getNextFlush(config, now) {
+        let next = null;
+        for (const index of this.queue.keys()) {
+            const slot = this.getNextSlot(index, config, now);
+            next = next === null ? slot : Math.min(next, slot);
+        }
+        return next;
+    }
+
+    /**
+     * Count the commands sent within the last minute
+     * @param {number} now Current timestamp in ms
+     * @returns {number}
+     */
+    getRecentCount(now) {
+        this.prune(now);
+        return this.sent.length;
+    }
+
+    /**
+     * Forget commands older than the budget window
+     * @param {number} now Current timestamp in ms
+     */
+    prune(now) {
+        while (this.sent.length > 0 && this.sent[0].ts <= now - WINDOW) {
+            this.sent.shift();
+        }
+    }
+
+    /**
+     * Order limits by priority: decreases before increases, larger changes first
+     * @param {Array<{oldValue: number, newValue: number}>} limits Changed limits
+     * @returns {Array<Object>} Sorted copy
+     */
+    static prioritize(limits) {
+        return [...limits].sort((a, b) => {
+            const aDecrease = a.newValue < a.oldValue;
+            const bDecrease = b.newValue < b.oldValue;
+            if (aDecrease !== bDecrease) {
+                return aDecrease ? -1 : 1;
+            }
+            return Math.abs(b.newValue - b.oldValue) - Math.abs(a.newValue - a.oldValue);
+        });
+    }
+}
+
+module.exports = CommandBudget;
\ No newline at end of file
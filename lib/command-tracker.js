@@ -0,0 +1,108 @@
+'use strict';
+
+// OpenDTU reports limits rounded from the relative value the inverter accepted
+const CONFIRM_TOLERANCE = 5;
+
+/**
+ * Tracks inverter limit commands until OpenDTU reports them as applied
+ *
+ * Command status per inverter:
+ * - 'pending': command sent, waiting for current_limit_absolute to follow
+ * - 'retrying': not confirmed in time, command sent again
+ * - 'confirmed': reported limit matches the command
+ * - 'failed': not confirmed after all retries
+ */
+class CommandTracker {
+    constructor() {
+        this.commands = new Map();
+    }
+
+    /**
+     * Start tracking a new limit command, replacing any open command for the inverter
+     * @param {number} index Inverter index
+     * @param {string} controlObject State the limit is written to
+     * @param {number} target Commanded limit in W
+     * @param {number} [value] Value written to the control object, e.g. a relative limit in %
+     * @returns {{index: number, controlObject: string, target: number, value: number, attempt: number, timer: any}} Tracked command
+     */
+    track(index, controlObject, target, value = target) {
+        this.remove(index);
+        const command = { index, controlObject, target, value, attempt: 1, timer: null };
+        this.commands.set(index, command);
+        return command;
+    }
+
+    /**
+     * Get the open command of an inverter
+     * @param {number} index Inverter index
+     * @returns {{index: number, controlObject: string, target: number, value: number, attempt: number, timer: any} | undefined}
+     */
+    get(index) {
+        return this.commands.get(index);
+    }
+
+    /**
+     * Check whether the same limit is already on its way to the inverter
+     * @param {number} index Inverter index
+     * @param {number} target Limit in W
+     * @returns {boolean}
+     */
+    isPending(index, target) {
+        const command = this.commands.get(index);
+        return command !== undefined && command.target === target;
+    }
+
+    /**
+     * Check whether the reported limit reflects a command
+     * @param {{target: number}} command Tracked command
+     * @param {number|null} reportedLimit Limit reported by current_limit_absolute
+     * @returns {boolean}
+     */
+    isConfirmed(command, reportedLimit) {
+        return typeof reportedLimit === 'number' && !isNaN(reportedLimit)
+            && Math.abs(reportedLimit - command.target) <= CONFIRM_TOLERANCE;
+    }
+
+    /**
+     * Check whether another attempt is allowed for a command
+     * @param {{attempt: number}} command Tracked command
+     * @param {Object} config Adapter configuration
+     * @returns {boolean}
+     */
+    canRetry(command, config) {
+        return command.attempt <= config.commandRetries;
+    }
+
+    /**
+     * Time to wait for confirmation of an attempt, doubling with every retry
+     * @param {number} attempt Attempt number starting at 1
+     * @param {Object} config Adapter configuration
+     * @returns {number} Delay in ms
+     */
+    getConfirmTimeout(attempt, config) {
+        return config.commandTimeout * Math.pow(2, attempt - 1);
+    }
+
+    /**
+     * Stop tracking the command of an inverter
+     * @param {number} index Inverter index
+     */
+    remove(index) {
+        const command = this.commands.get(index);
+        if (command && command.timer) {
+            clearTimeout(command.timer);
+        }
+        this.commands.delete(index);
+    }
+
+    /**
+     * Stop tracking all commands
+     */
+    clear() {
+        for (const index of [...this.commands.keys()]) {
+            this.remove(index);
+        }
+    }
+}
+
+module.exports = CommandTracker;
\ No newline at end of file
@@ -1,5 +1,8 @@
 'use strict';
 
+const ScheduleManager = require('./schedule-manager');
+const InverterProfiles = require('./inverter-profiles');
+
 /**
  * Configuration validation utilities for ZeroPV adapter
  */
@@ -13,11 +16,51 @@ class ConfigValidator {
     static validateAndNormalize(config, logger) {
         const result = { isValid: true, errors: [] };
 
-        // Validate power source object
-        if (!config.powerSourceObject) {
+        // Validate meter definition
+        if (!['single', 'sum', 'importExport'].includes(config.meterType)) {
+            logger.warn('Invalid meter type, using default of single');
+            config.meterType = 'single';
+        }
+        if (config.meterType === 'sum') {
+            if (!Array.isArray(config.meterSources) || config.meterSources.length === 0) {
+                result.errors.push('No meter source objects configured!');
+                result.isValid = false;
+            } else {
+                for (let i = 0; i < config.meterSources.length; i++) {
+                    if (!config.meterSources[i] || !config.meterSources[i].sourceObject) {
+                        result.errors.push(`Meter source ${i + 1} has no object configured!`);
+                        result.isValid = false;
+                    }
+                }
+            }
+        } else if (config.meterType === 'importExport') {
+            if (!config.importObject || !config.exportObject) {
+                result.errors.push('Import and export objects must both be configured!');
+                result.isValid = false;
+            }
+        } else if (!config.powerSourceObject) {
+            // Validate power source object
             result.errors.push('No power source object configured!');
             result.isValid = false;
         }
+        config.meterInvert = config.meterInvert === true;
+
+        // Validate inverter backend
+        if (config.inverterBackend !== 'iobroker' && config.inverterBackend !== 'http') {
+            if (config.inverterBackend) {
+                logger.warn('Invalid inverter backend, using default of iobroker');
+            }
+            config.inverterBackend = 'iobroker';
+        }
+        if (config.inverterBackend === 'http') {
+            if (!config.opendtuHost) {
+                result.errors.push('No OpenDTU host configured!');
+                result.isValid = false;
+            }
+            if (!config.opendtuUsername) {
+                config.opendtuUsername = 'admin';
+            }
+        }
 
         // Validate inverters
         if (!config.inverters || !Array.isArray(config.inverters) || config.inverters.length === 0) {
@@ -27,21 +70,68 @@ class ConfigValidator {
             // Validate each inverter configuration
             for (let i = 0; i < config.inverters.length; i++) {
                 const inverter = config.inverters[i];
-                if (!inverter.inverterObject) {
+
+                // Validate inverter profile, the OpenDTU web API only talks to OpenDTU
+                if (!InverterProfiles.getTypes().includes(inverter.inverterType)) {
+                    if (inverter.inverterType) {
+                        logger.warn(`Inverter ${i + 1} has invalid inverter type, using default of opendtu`);
+                    }
+                    inverter.inverterType = 'opendtu';
+                }
+                if (config.inverterBackend === 'http' && inverter.inverterType !== 'opendtu') {
+                    logger.warn(`Inverter ${i + 1} is controlled through the OpenDTU web API, ignoring inverter type ${inverter.inverterType}`);
+                    inverter.inverterType = 'opendtu';
+                }
+
+                if (config.inverterBackend === 'http') {
+                    if (!inverter.serial) {
+                        result.errors.push(`Inverter ${i + 1} has no serial number configured!`);
+                        result.isValid = false;
+                    }
+                } else if (inverter.inverterType === 'custom') {
+                    if (!inverter.limitObject) {
+                        result.errors.push(`Inverter ${i + 1} has no current limit object configured!`);
+                        result.isValid = false;
+                    }
+                } else if (!inverter.inverterObject) {
                     result.errors.push(`Inverter ${i + 1} has no inverter base object configured!`);
                     result.isValid = false;
                 }
+                if (inverter.inverterType !== 'opendtu' && !inverter.controlObject) {
+                    result.errors.push(`Inverter ${i + 1} has no limit control object configured!`);
+                    result.isValid = false;
+                }
                 
-                // Validate and enforce maximum power limit
-                if (inverter.maxPower === undefined || inverter.maxPower === null) {
-                    inverter.maxPower = 2250;
-                    logger.warn(`Inverter ${i + 1} has no max power configured, using default 2250W`);
-                } else if (inverter.maxPower > 2250) {
-                    inverter.maxPower = 2250;
-                    logger.warn(`Inverter ${i + 1} max power exceeded 2250W limit, clamped to 2250W`);
-                } else if (inverter.maxPower < 0) {
-                    inverter.maxPower = 2250;
-                    logger.warn(`Inverter ${i + 1} has invalid max power, using default 2250W`);
+                // Validate maximum power limit, empty = use the max power reported by OpenDTU
+                if (inverter.maxPower === undefined || inverter.maxPower === null || inverter.maxPower === '' || inverter.maxPower === 0) {
+                    inverter.maxPower = null;
+                } else if (typeof inverter.maxPower !== 'number' || isNaN(inverter.maxPower) || inverter.maxPower < 0) {
+                    inverter.maxPower = null;
+                    logger.warn(`Inverter ${i + 1} has invalid max power, using the max power reported by the inverter`);
+                }
+                // Only OpenDTU reports absolute and relative limit, other inverters derive one from the max power
+                if (inverter.maxPower === null && inverter.inverterType !== 'opendtu') {
+                    result.errors.push(`Inverter ${i + 1} needs a max power for inverter type ${inverter.inverterType}!`);
+                    result.isValid = false;
+                }
+
+                // Validate minimum power limit
+                if (inverter.minPower === undefined || inverter.minPower === null || inverter.minPower === '') {
+                    inverter.minPower = 0;
+                } else if (typeof inverter.minPower !== 'number' || isNaN(inverter.minPower) || inverter.minPower < 0) {
+                    inverter.minPower = 0;
+                    logger.warn(`Inverter ${i + 1} has invalid min power, using default 0W`);
+                } else if (inverter.maxPower !== null && inverter.minPower > inverter.maxPower) {
+                    inverter.minPower = inverter.maxPower;
+                    logger.warn(`Inverter ${i + 1} min power exceeds its max power, clamped to ${inverter.maxPower}W`);
+                }
+
+                // Validate limit type
+                if (inverter.limitType !== 'absolute' && inverter.limitType !== 'relative') {
+                    if (inverter.limitType) {
+                        logger.warn(`Inverter ${i + 1} has invalid limit type, using default of absolute`);
+                    }
+                    inverter.limitType = 'absolute';
                 }
             }
         }
@@ -58,12 +148,318 @@ class ConfigValidator {
             config.feedInThreshold = 100;
         }
 
+        // Validate grid power input filter
+        if (!['none', 'ema', 'median', 'spike'].includes(config.gridFilter)) {
+            if (config.gridFilter) {
+                logger.warn('Invalid grid power filter, using default of none');
+            }
+            config.gridFilter = 'none';
+        }
+        if (config.gridFilter === 'ema'
+            && (typeof config.gridFilterAlpha !== 'number' || !(config.gridFilterAlpha > 0) || config.gridFilterAlpha > 1)) {
+            logger.warn('Invalid grid power filter smoothing factor, using default of 0.3');
+            config.gridFilterAlpha = 0.3;
+        }
+        if ((config.gridFilter === 'median' || config.gridFilter === 'spike')
+            && (!Number.isInteger(config.gridFilterWindow) || config.gridFilterWindow < 2 || config.gridFilterWindow > 60)) {
+            logger.warn('Invalid grid power filter window, using default of 5 samples');
+            config.gridFilterWindow = 5;
+        }
+        if (config.gridFilter === 'spike'
+            && (typeof config.gridFilterSpikeThreshold !== 'number' || !(config.gridFilterSpikeThreshold > 0))) {
+            logger.warn('Invalid spike rejection threshold, using default of 500W');
+            config.gridFilterSpikeThreshold = 500;
+        }
+
         // Validate target feed-in
         if (config.targetFeedIn === undefined || config.targetFeedIn === null || config.targetFeedIn < 0) {
             logger.warn('Invalid maximum grid export, using default of 800W');
             config.targetFeedIn = 800;
         }
 
+        // Validate target mode and band
+        if (config.targetMode !== 'feedIn' && config.targetMode !== 'band') {
+            logger.warn('Invalid target mode, using default of feedIn');
+            config.targetMode = 'feedIn';
+        }
+        if (config.targetMode === 'band') {
+            if (typeof config.gridSetpoint !== 'number' || isNaN(config.gridSetpoint)) {
+                logger.warn('Invalid grid setpoint, using default of 20W');
+                config.gridSetpoint = 20;
+            }
+            if (typeof config.toleranceBand !== 'number' || isNaN(config.toleranceBand) || config.toleranceBand < 0) {
+                logger.warn('Invalid tolerance band, using default of 25W');
+                config.toleranceBand = 25;
+            }
+            if (typeof config.exportCeiling !== 'number' || isNaN(config.exportCeiling) || config.exportCeiling < 0) {
+                logger.warn('Invalid export ceiling, using default of 50W');
+                config.exportCeiling = 50;
+            }
+            if (-config.exportCeiling >= config.gridSetpoint - config.toleranceBand) {
+                logger.warn(`Export ceiling of ${config.exportCeiling}W lies inside the tolerance band, every export beyond it will decrease limits immediately`);
+            }
+        }
+
+        // Validate limit distribution mode
+        if (!['equal', 'fill', 'production'].includes(config.distributionMode)) {
+            logger.warn('Invalid limit distribution mode, using default of equal');
+            config.distributionMode = 'equal';
+        }
+
+        // Validate control mode
+        if (config.controlMode !== 'polling' && config.controlMode !== 'event') {
+            logger.warn('Invalid control mode, using default of polling');
+            config.controlMode = 'polling';
+        }
+
+        // Validate minimum interval between event-driven control cycles
+        if (config.minControlInterval === undefined || config.minControlInterval === null || config.minControlInterval < 0) {
+            logger.warn('Invalid minimum control interval, using default of 1000ms');
+            config.minControlInterval = 1000;
+        }
+
+        // Validate meter watchdog timeout
+        if (!config.meterWatchdogTimeout || config.meterWatchdogTimeout < 1000) {
+            logger.warn('Invalid meter watchdog timeout, using default of 30000ms');
+            config.meterWatchdogTimeout = 30000;
+        }
+
+        // Validate meter fail-safe
+        if (config.meterMaxAge === undefined || config.meterMaxAge === null || config.meterMaxAge < 0) {
+            logger.warn('Invalid meter max age, using default of 60s');
+            config.meterMaxAge = 60;
+        }
+        if (!['safeLimit', 'hold', 'maxPower'].includes(config.failSafeAction)) {
+            logger.warn('Invalid fail-safe action, using default of safeLimit');
+            config.failSafeAction = 'safeLimit';
+        }
+        if (config.failSafeAction === 'safeLimit'
+            && (typeof config.failSafeLimit !== 'number' || isNaN(config.failSafeLimit) || config.failSafeLimit < 0)) {
+            logger.warn('Invalid fail-safe limit, using default of 0W');
+            config.failSafeLimit = 0;
+        }
+
+        // Validate ramp rates, 0 = no ramp
+        for (const key of ['rampUpRate', 'rampDownRate']) {
+            if (config[key] === undefined || config[key] === null || config[key] === '') {
+                config[key] = 0;
+            } else if (typeof config[key] !== 'number' || isNaN(config[key]) || config[key] < 0) {
+                logger.warn(`Invalid ramp rate ${key}, using default of 0 (no ramp)`);
+                config[key] = 0;
+            }
+        }
+        config.rampBypassHardLimit = config.rampBypassHardLimit !== false;
+
+        // Validate hard export limit
+        config.hardExportLimitEnabled = config.hardExportLimitEnabled === true;
+        if (config.hardExportLimitEnabled) {
+            if (typeof config.hardExportLimit !== 'number' || isNaN(config.hardExportLimit) || config.hardExportLimit < 0) {
+                logger.warn('Invalid hard export limit, using default of 800W');
+                config.hardExportLimit = 800;
+            }
+            if (typeof config.hardExportGrace !== 'number' || isNaN(config.hardExportGrace) || config.hardExportGrace < 0) {
+                logger.warn('Invalid hard export limit grace period, using default of 10s');
+                config.hardExportGrace = 10;
+            }
+            const allowedExport = config.targetMode === 'band' ? config.exportCeiling : config.targetFeedIn;
+            if (config.hardExportLimit < allowedExport) {
+                logger.warn(`Hard export limit of ${config.hardExportLimit}W is below the allowed grid export of ${allowedExport}W, the regulation will keep tripping it`);
+            }
+        }
+
+        // Validate limit command confirmation
+        if (!config.commandTimeout || config.commandTimeout < 1000) {
+            logger.warn('Invalid limit command timeout, using default of 15000ms');
+            config.commandTimeout = 15000;
+        }
+        if (!Number.isInteger(config.commandRetries) || config.commandRetries < 0 || config.commandRetries > 10) {
+            logger.warn('Invalid limit command retries, using default of 3');
+            config.commandRetries = 3;
+        }
+
+        // Validate command budget, 0 = unlimited
+        const budgetLimits = { commandMaxPerMinute: 600, commandInverterMaxPerMinute: 600, commandMinSpacing: 60000, commandInverterMinSpacing: 60000 };
+        for (const [key, max] of Object.entries(budgetLimits)) {
+            if (config[key] === undefined || config[key] === null) {
+                config[key] = 0;
+            } else if (!Number.isInteger(config[key]) || config[key] < 0 || config[key] > max) {
+                logger.warn(`Invalid command budget ${key}, using default of 0 (unlimited)`);
+                config[key] = 0;
+            }
+        }
+
+        // Validate controller strategy and gains
+        if (!['p', 'pi', 'pid'].includes(config.controllerType)) {
+            logger.warn('Invalid controller type, using default of p');
+            config.controllerType = 'p';
+        }
+        if (config.controllerType !== 'p') {
+            const gainDefaults = { controllerKp: 0.5, controllerKi: 0.05, controllerKd: 0 };
+            for (const [key, defaultValue] of Object.entries(gainDefaults)) {
+                if (typeof config[key] !== 'number' || isNaN(config[key]) || config[key] < 0) {
+                    logger.warn(`Invalid controller gain ${key}, using default of ${defaultValue}`);
+                    config[key] = defaultValue;
+                }
+            }
+            if (typeof config.controllerDerivativeFilter !== 'number' || !(config.controllerDerivativeFilter > 0) || config.controllerDerivativeFilter > 1) {
+                logger.warn('Invalid derivative filter factor, using default of 0.3');
+                config.controllerDerivativeFilter = 0.3;
+            }
+        }
+
+        // Validate battery storage
+        config.batteryEnabled = config.batteryEnabled === true;
+        if (config.batteryEnabled) {
+            if (!config.batterySocObject || !config.batteryPowerObject) {
+                result.errors.push('Battery state of charge and power objects must both be configured!');
+                result.isValid = false;
+            }
+            config.batteryPowerInvert = config.batteryPowerInvert === true;
+            if (typeof config.batteryFullSoc !== 'number' || isNaN(config.batteryFullSoc) || config.batteryFullSoc < 0 || config.batteryFullSoc > 100) {
+                logger.warn('Invalid battery full state of charge, using default of 95%');
+                config.batteryFullSoc = 95;
+            }
+            for (const key of ['batteryMaxChargePower', 'batteryMaxDischargePower']) {
+                if (typeof config[key] !== 'number' || isNaN(config[key]) || config[key] < 0) {
+                    logger.warn(`Invalid battery power limit ${key}, using default of 1000W`);
+                    config[key] = 1000;
+                }
+            }
+        }
+
+        // Validate dynamic electricity price
+        config.priceEnabled = config.priceEnabled === true;
+        if (config.priceEnabled) {
+            if (!config.priceObject) {
+                result.errors.push('No electricity price object configured!');
+                result.isValid = false;
+            }
+            if (typeof config.priceLowThreshold !== 'number' || isNaN(config.priceLowThreshold)) {
+                logger.warn('Invalid low price threshold, using default of 0');
+                config.priceLowThreshold = 0;
+            }
+            if (config.priceHighThreshold === undefined || config.priceHighThreshold === null || config.priceHighThreshold === '') {
+                config.priceHighThreshold = null;
+            } else if (typeof config.priceHighThreshold !== 'number' || isNaN(config.priceHighThreshold)
+                || config.priceHighThreshold <= config.priceLowThreshold) {
+                logger.warn('High price threshold must be a number above the low price threshold, ignoring it');
+                config.priceHighThreshold = null;
+            }
+            if (typeof config.priceMaxFeedIn !== 'number' || isNaN(config.priceMaxFeedIn) || config.priceMaxFeedIn < 0) {
+                logger.warn('Invalid maximum grid export at high prices, using default of 800W');
+                config.priceMaxFeedIn = 800;
+            }
+        }
+
+        // Validate controllable loads
+        if (!Array.isArray(config.loads)) {
+            config.loads = [];
+        }
+        for (let i = 0; i < config.loads.length; i++) {
+            const load = config.loads[i];
+            load.enabled = load.enabled !== false;
+            if (load.type !== 'switch' && load.type !== 'power') {
+                if (load.type) {
+                    logger.warn(`Load ${i + 1} has invalid type, using default of switch`);
+                }
+                load.type = 'switch';
+            }
+            if (load.enabled && !load.controlObject) {
+                result.errors.push(`Load ${i + 1} has no control object configured!`);
+                result.isValid = false;
+            }
+            if (typeof load.power !== 'number' || isNaN(load.power) || load.power <= 0) {
+                if (load.enabled) {
+                    logger.warn(`Load ${i + 1} has invalid power, disabling it`);
+                }
+                load.enabled = false;
+            }
+            if (typeof load.minPower !== 'number' || isNaN(load.minPower) || load.minPower < 0) {
+                load.minPower = 0;
+            } else if (load.minPower > load.power) {
+                logger.warn(`Load ${i + 1} min power exceeds its power, clamped to ${load.power}W`);
+                load.minPower = load.power;
+            }
+            if (typeof load.powerStep !== 'number' || isNaN(load.powerStep) || load.powerStep < 0) {
+                load.powerStep = 100;
+            }
+            for (const key of ['minOnTime', 'minOffTime']) {
+                if (typeof load[key] !== 'number' || isNaN(load[key]) || load[key] < 0) {
+                    load[key] = 0;
+                }
+            }
+            if (typeof load.priority !== 'number' || isNaN(load.priority)) {
+                load.priority = i + 1;
+            }
+        }
+
+        // Validate schedules
+        if (!Array.isArray(config.schedules)) {
+            config.schedules = [];
+        }
+        for (let i = 0; i < config.schedules.length; i++) {
+            const entry = config.schedules[i];
+            entry.enabled = entry.enabled !== false;
+            entry.disable = entry.disable === true;
+            if (!ScheduleManager.getDaySelections().includes(entry.days)) {
+                if (entry.days) {
+                    logger.warn(`Schedule entry ${i + 1} has invalid days, using every day`);
+                }
+                entry.days = 'everyday';
+            }
+            if (ScheduleManager.parseTime(entry.from) === null || ScheduleManager.parseTime(entry.to) === null) {
+                if (entry.enabled) {
+                    logger.warn(`Schedule entry ${i + 1} has an invalid time window, disabling it`);
+                }
+                entry.enabled = false;
+            }
+            for (const key of ['targetFeedIn', 'maxTotalLimit']) {
+                if (entry[key] === undefined || entry[key] === null || entry[key] === '') {
+                    entry[key] = null;
+                } else if (typeof entry[key] !== 'number' || isNaN(entry[key]) || entry[key] < 0) {
+                    logger.warn(`Schedule entry ${i + 1} has invalid ${key}, ignoring it`);
+                    entry[key] = null;
+                }
+            }
+            // The band target mode regulates to the grid setpoint, a maximum grid export has no effect there
+            if (config.targetMode === 'band' && entry.targetFeedIn !== null) {
+                logger.warn(`Schedule entry ${i + 1} sets a max grid export, which has no effect in band target mode, ignoring it`);
+                entry.targetFeedIn = null;
+            }
+        }
+
+        // Energy accounting reads the inverters' AC power every cycle, so it is only enabled on request
+        config.energyEnabled = config.energyEnabled === true;
+
+        // Validate load prediction
+        config.predictionEnabled = config.predictionEnabled === true;
+        if (config.predictionEnabled) {
+            if (typeof config.predictionLearningRate !== 'number' || !(config.predictionLearningRate > 0 && config.predictionLearningRate <= 1)) {
+                logger.warn('Invalid load prediction learning rate, using default of 0.2');
+                config.predictionLearningRate = 0.2;
+            }
+            if (!Number.isInteger(config.predictionMinDays) || config.predictionMinDays < 1 || config.predictionMinDays > 30) {
+                logger.warn('Invalid number of days before using the load prediction, using default of 3');
+                config.predictionMinDays = 3;
+            }
+            if (typeof config.predictionFloorShare !== 'number' || isNaN(config.predictionFloorShare)
+                || config.predictionFloorShare < 0 || config.predictionFloorShare > 100) {
+                logger.warn('Invalid share of the predicted base load, using default of 80%');
+                config.predictionFloorShare = 80;
+            }
+        }
+
+        // Validate control history
+        if (!Number.isInteger(config.historySize) || config.historySize < 1 || config.historySize > 10000) {
+            logger.warn('Invalid control history size, using default of 100');
+            config.historySize = 100;
+        }
+        if (!Number.isInteger(config.historyStateEntries) || config.historyStateEntries < 0) {
+            logger.warn('Invalid number of control cycles in history.lastDecisions, using default of 10');
+            config.historyStateEntries = 10;
+        }
+        config.historyStateEntries = Math.min(config.historyStateEntries, config.historySize);
+
         return result;
     }
 }
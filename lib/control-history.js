@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * In-memory ring buffer of control cycles for diagnostics
+ *
+ * Each entry records what the regulator saw and decided in one cycle, so oscillations can be
+ * analysed without debug logging. The oldest entries are dropped once the buffer is full.
+ */
+class ControlHistory {
+    /**
+     * @param {number} size Maximum number of cycles kept
+     */
+    constructor(size) {
+        this.size = size;
+        this.entries = [];
+    }
+
+    /**
+     * Record a control cycle
+     * @param {{ts: number, reason: string, applied: boolean}} entry Cycle data
+     */
+    add(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.size) {
+            this.entries.splice(0, this.entries.length - this.size);
+        }
+    }
+
+    /**
+     * Get the most recent control cycles
+     * @param {number} [count] Number of cycles, all if omitted
+     * @returns {Array<Object>} Cycles, oldest first
+     */
+    getEntries(count) {
+        if (count === undefined || count === null || count >= this.entries.length) {
+            return this.entries.slice();
+        }
+        return count > 0 ? this.entries.slice(-count) : [];
+    }
+
+    /**
+     * Drop all recorded cycles
+     */
+    clear() {
+        this.entries = [];
+    }
+}
+
+module.exports = ControlHistory;
\ No newline at end of file
@@ -0,0 +1,177 @@
+'use strict';
+
+// Gaps between samples longer than this (restart, meter outage) are not integrated
+const MAX_SAMPLE_GAP = 10 * 60 * 1000;
+const MS_PER_KWH = 3600 * 1000 * 1000;
+
+const PERIODS = ['day', 'month', 'year'];
+const COUNTERS = ['exported', 'imported', 'produced', 'curtailed'];
+
+/**
+ * Integrates grid, PV and curtailed power into energy counters with daily, monthly and yearly rollovers
+ *
+ * Each sample's power applies until the next sample. Energy of an interval is booked to the period
+ * the interval started in.
+ */
+class EnergyCounter {
+    /**
+     * @param {number} now Current timestamp in ms
+     */
+    constructor(now) {
+        this.periods = {};
+        for (const period of PERIODS) {
+            this.periods[period] = EnergyCounter.createPeriod(EnergyCounter.getPeriodKey(period, now));
+        }
+        this.lastSample = null;
+        this.lastTs = null;
+    }
+
+    /**
+     * Get the key identifying the period a point in time belongs to
+     * @param {'day'|'month'|'year'} period Period type
+     * @param {number} ts Timestamp in ms
+     * @returns {string} Local date as YYYY-MM-DD, YYYY-MM or YYYY
+     */
+    static getPeriodKey(period, ts) {
+        const date = new Date(ts);
+        const year = String(date.getFullYear());
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        if (period === 'year') {
+            return year;
+        }
+        if (period === 'month') {
+            return `${year}-${month}`;
+        }
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Create empty counters for a period
+     * @param {string} key Period key
+     * @returns {{key: string, exported: number, imported: number, produced: number, curtailed: number}}
+     */
+    static createPeriod(key) {
+        const period = { key };
+        for (const counter of COUNTERS) {
+            period[counter] = 0;
+        }
+        return period;
+    }
+
+    /**
+     * Add a power sample, integrating the previous sample up to now
+     * @param {{gridPower: number, producedPower: number|null, curtailedPower: number}} sample Grid power (+ = import),
+     *        PV production (null if unknown) and estimated curtailed power in W
+     * @param {number} now Timestamp of the sample in ms
+     */
+    update(sample, now) {
+        if (this.lastSample !== null) {
+            const elapsed = now - this.lastTs;
+            if (elapsed > 0 && elapsed <= MAX_SAMPLE_GAP) {
+                this.integrate(this.lastSample, elapsed);
+            }
+        }
+        this.rollover(now);
+        this.lastSample = sample;
+        this.lastTs = now;
+    }
+
+    /**
+     * Stop integrating until the next sample, e.g. while the meter delivers no data
+     */
+    interrupt() {
+        this.lastSample = null;
+        this.lastTs = null;
+    }
+
+    /**
+     * Add the energy of a sample held for a duration to all periods
+     * @param {{gridPower: number, producedPower: number|null, curtailedPower: number}} sample Power sample
+     * @param {number} duration Duration in ms
+     */
+    integrate(sample, duration) {
+        const energy = {
+            exported: Math.max(0, -sample.gridPower),
+            imported: Math.max(0, sample.gridPower),
+            produced: Math.max(0, sample.producedPower || 0),
+            curtailed: Math.max(0, sample.curtailedPower)
+        };
+        for (const period of PERIODS) {
+            for (const counter of COUNTERS) {
+                this.periods[period][counter] += energy[counter] * duration / MS_PER_KWH;
+            }
+        }
+    }
+
+    /**
+     * Reset the counters of all periods that ended
+     * @param {number} now Current timestamp in ms
+     */
+    rollover(now) {
+        for (const period of PERIODS) {
+            const key = EnergyCounter.getPeriodKey(period, now);
+            if (this.periods[period].key !== key) {
+                this.periods[period] = EnergyCounter.createPeriod(key);
+            }
+        }
+    }
+
+    /**
+     * Get the share of PV production consumed on-site
+     * @param {'day'|'month'|'year'} period Period type
+     * @returns {number|null} Self-consumption in %, null without production
+     */
+    getSelfConsumption(period) {
+        const { produced, exported } = this.periods[period];
+        if (produced <= 0) {
+            return null;
+        }
+        return Math.max(0, produced - exported) / produced * 100;
+    }
+
+    /**
+     * Get the counters for persistence
+     * @returns {Object<string, {key: string, exported: number, imported: number, produced: number, curtailed: number}>}
+     */
+    toJSON() {
+        return this.periods;
+    }
+
+    /**
+     * Restore persisted counters, periods that ended in the meantime start from zero
+     * @param {Object} snapshot Counters from toJSON()
+     * @param {number} now Current timestamp in ms
+     */
+    restore(snapshot, now) {
+        for (const period of PERIODS) {
+            const saved = snapshot && snapshot[period];
+            if (saved && typeof saved.key === 'string') {
+                const restored = EnergyCounter.createPeriod(saved.key);
+                for (const counter of COUNTERS) {
+                    restored[counter] = typeof saved[counter] === 'number' ? saved[counter] : 0;
+                }
+                this.periods[period] = restored;
+            }
+        }
+        this.rollover(now);
+    }
+
+    /**
+     * Get all period types
+     * @returns {Array<string>}
+     */
+    static getPeriods() {
+        return PERIODS.slice();
+    }
+
+    /**
+     * Get all energy counter names
+     * @returns {Array<string>}
+     */
+    static getCounters() {
+        return COUNTERS.slice();
+    }
+}
+
+module.exports = EnergyCounter;
\ No newline at end of file
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Watches the grid export against the hard export limit of the grid operator
+ *
+ * The hard limit is a safety net independent of the regulator: export above it is tolerated for the
+ * grace period, afterwards the guard trips and the limits are cut on every reading until the export
+ * is back within the limit. Each trip counts as one violation.
+ */
+class ExportGuard {
+    constructor() {
+        this.exceedingSince = null; // timestamp the export first exceeded the hard limit, null while within
+        this.tripped = false;
+        this.violations = 0;
+    }
+
+    /**
+     * Check a grid power reading against the hard export limit
+     * @param {number} gridPower Grid power in W (negative = feeding in)
+     * @param {{hardExportLimit: number, hardExportGrace: number}} config Hard export limit in W and grace period in s
+     * @param {number} now Current timestamp in ms
+     * @returns {{action: 'none'|'wait'|'cut'|'clear', excess: number, remainingGrace: number, newViolation: boolean}}
+     *          'wait' while the grace period runs, 'cut' once it expired, 'clear' when a tripped guard is back within the limit
+     */
+    check(gridPower, config, now) {
+        const excess = -gridPower - config.hardExportLimit;
+        if (excess <= 0) {
+            const wasTripped = this.tripped;
+            this.exceedingSince = null;
+            this.tripped = false;
+            return { action: wasTripped ? 'clear' : 'none', excess: 0, remainingGrace: 0, newViolation: false };
+        }
+
+        if (this.exceedingSince === null) {
+            this.exceedingSince = now;
+        }
+        const remainingGrace = config.hardExportGrace * 1000 - (now - this.exceedingSince);
+        if (!this.tripped && remainingGrace > 0) {
+            return { action: 'wait', excess, remainingGrace, newViolation: false };
+        }
+
+        const newViolation = !this.tripped;
+        if (newViolation) {
+            this.tripped = true;
+            this.violations++;
+        }
+        return { action: 'cut', excess, remainingGrace: 0, newViolation };
+    }
+
+    /**
+     * Calculate the total limit that brings the export back within the hard limit
+     *
+     * Inverters producing below their limit would not reduce their output for a cut of the unused
+     * headroom, so the cut starts from the produced power if it is known.
+     * @param {number} totalLimit Current total limit in W
+     * @param {number|null} producedPower Current AC power of the inverters in W, null if unknown
+     * @param {number} excess Export beyond the hard limit in W
+     * @returns {number} New total limit in W
+     */
+    static getCutLimit(totalLimit, producedPower, excess) {
+        const base = producedPower !== null ? Math.min(totalLimit, producedPower) : totalLimit;
+        return Math.max(0, Math.round(base - excess));
+    }
+}
+
+module.exports = ExportGuard;
\ No newline at end of file
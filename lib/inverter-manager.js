@@ -1,39 +1,95 @@
 'use strict';
 
+const IobrokerInverterBackend = require('./iobroker-inverter-backend');
+const OpenDtuHttpBackend = require('./opendtu-http-backend');
+
+// Below this share of max power an inverter may produce nothing because of its own limit
+const CURTAILED_LIMIT_SHARE = 0.05;
+// An inverter producing within this share of its limit is clipped by the limit and could produce more
+const CLIPPING_SHARE = 0.95;
+
 /**
  * Inverter management utilities for ZeroPV adapter
  */
 class InverterManager {
     /**
-     * Get current power limits from all configured inverters
+     * Create the backend the inverters are controlled through
      * @param {Object} config Adapter configuration
      * @param {Function} getForeignStateAsync Function to get foreign state
+     * @param {Function} setForeignStateAsync Function to set foreign state
+     * @returns {IobrokerInverterBackend|OpenDtuHttpBackend} Direct OpenDTU web API backend for inverterBackend 'http',
+     *          opendtu adapter objects otherwise
+     */
+    static createBackend(config, getForeignStateAsync, setForeignStateAsync) {
+        if (config.inverterBackend === 'http') {
+            return new OpenDtuHttpBackend({
+                host: config.opendtuHost,
+                username: config.opendtuUsername,
+                password: config.opendtuPassword
+            });
+        }
+        return new IobrokerInverterBackend(getForeignStateAsync, setForeignStateAsync);
+    }
+
+    /**
+     * Get current power limits from all configured inverters
+     * @param {Object} config Adapter configuration
+     * @param {IobrokerInverterBackend|OpenDtuHttpBackend} backend Backend the inverters are read through
      * @param {Object} logger Logger instance
-     * @returns {Promise<Array<{index: number, inverterObject: string, controlObject: string, value: number}>>}
+     * @param {Object<number, number>} [knownMaxPowers] Max power last derived by inverter index, used while it cannot be derived
+     * @returns {Promise<Array<{index: number, inverterObject: string, controlObject: string, value: number, available: boolean, actualPower?: number, reportedMaxPower?: number|null}>>}
      */
-    static async getAllInverterLimits(config, getForeignStateAsync, logger) {
+    static async getAllInverterLimits(config, backend, logger, knownMaxPowers = {}) {
         const limits = [];
         
         for (let i = 0; i < config.inverters.length; i++) {
             const inverter = config.inverters[i];
             try {
-                const currentLimitObject = `${inverter.inverterObject}.power_control.current_limit_absolute`;
-                const limitState = await getForeignStateAsync(currentLimitObject);
+                const limitState = await backend.read(inverter, 'limit');
                 
-                if (limitState && limitState.val !== null && limitState.val !== undefined) {
-                    const limitValue = parseFloat(limitState.val);
+                if (limitState !== null && limitState !== undefined) {
+                    const limitValue = parseFloat(limitState);
                     if (!isNaN(limitValue)) {
-                        limits.push({
+                        // Relative limits and inverters without configured max power need the nominal power, other
+                        // profiles than OpenDTU derive their relative limits from the configured max power
+                        const derivesMaxPower = backend.reportsMaxPower(inverter);
+                        let reportedMaxPower;
+                        if (!inverter.maxPower || (inverter.limitType === 'relative' && derivesMaxPower)) {
+                            reportedMaxPower = await InverterManager.getReportedMaxPower(inverter, limitValue, backend, logger, i);
+                            // At 0% the max power cannot be derived, e.g. after the fail-safe, the inverter could never be raised again
+                            if (reportedMaxPower === null && knownMaxPowers[i]) {
+                                logger.debug(`Using last derived max power of ${knownMaxPowers[i]}W for inverter ${i + 1}`);
+                                reportedMaxPower = knownMaxPowers[i];
+                            }
+                        }
+                        const maxPower = inverter.maxPower || reportedMaxPower;
+                        const knownMaxPower = maxPower && (inverter.limitType !== 'relative' || !derivesMaxPower || reportedMaxPower);
+                        if (!knownMaxPower) {
+                            logger.debug(`Max power of inverter ${i + 1} is not known yet`);
+                        }
+                        const limit = {
                             index: i,
                             inverterObject: inverter.inverterObject,
-                            controlObject: `${inverter.inverterObject}.power_control.limit_nonpersistent_absolute`,
-                            value: limitValue
-                        });
+                            controlObject: backend.getControlObject(inverter),
+                            value: limitValue,
+                            available: Boolean(knownMaxPower)
+                                && await InverterManager.isAvailable(inverter, limitValue, maxPower, backend, logger, i)
+                        };
+                        if (reportedMaxPower !== undefined) {
+                            limit.reportedMaxPower = reportedMaxPower;
+                        }
+                        // Production-weighted distribution, load dispatch, energy accounting, load prediction and the cuts of the
+                        // hard export limit need the actual AC output as well
+                        if (config.distributionMode === 'production' || config.energyEnabled === true || config.predictionEnabled === true
+                            || config.hardExportLimitEnabled === true || (Array.isArray(config.loads) && config.loads.some(load => load.enabled))) {
+                            limit.actualPower = await InverterManager.getActualPower(inverter, backend, logger, i);
+                        }
+                        limits.push(limit);
                     } else {
-                        logger.warn(`Invalid power limit value from inverter ${i + 1}: ${limitState.val}`);
+                        logger.warn(`Invalid power limit value from inverter ${i + 1}: ${limitState}`);
                     }
                 } else {
-                    logger.warn(`Could not read power limit from inverter ${i + 1}: ${currentLimitObject}`);
+                    logger.warn(`Could not read power limit from inverter ${i + 1}: ${backend.getSource(inverter, 'limit')}`);
                 }
             } catch (error) {
                 logger.error(`Error reading limit from inverter ${i + 1}: ${error.message}`);
@@ -42,6 +98,151 @@ class InverterManager {
         
         return limits;
     }
+
+    /**
+     * Check whether an inverter is reachable and producing, so it can take a share of the total limit
+     *
+     * Missing states count as available. An inverter that is not producing while its limit is
+     * (almost) zero is still available, otherwise it could never be raised again after curtailment.
+     * @param {Object} inverter Inverter configuration
+     * @param {number} limitValue Current limit of the inverter in W
+     * @param {number} maxPower Max power of the inverter in W
+     * @param {IobrokerInverterBackend|OpenDtuHttpBackend} backend Backend the inverter is read through
+     * @param {Object} logger Logger instance
+     * @param {number} index Inverter index for logging
+     * @returns {Promise<boolean>} Whether the inverter is available
+     */
+    static async isAvailable(inverter, limitValue, maxPower, backend, logger, index) {
+        const reachable = await InverterManager.getFlag(inverter, 'reachable', backend, logger);
+        if (!reachable) {
+            logger.debug(`Inverter ${index + 1} is not reachable`);
+            return false;
+        }
+
+        const producing = await InverterManager.getFlag(inverter, 'producing', backend, logger);
+        const curtailed = limitValue < maxPower * CURTAILED_LIMIT_SHARE;
+        if (!producing && !curtailed) {
+            logger.debug(`Inverter ${index + 1} is not producing`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the nominal power relative limits of an inverter are based on
+     * @param {Object} inverter Inverter configuration
+     * @param {IobrokerInverterBackend|OpenDtuHttpBackend} backend Backend the inverter is controlled through
+     * @param {number|null|undefined} reportedMaxPower Max power reported by the inverter
+     * @returns {number|null|undefined} Reported max power if the backend derives it, configured max power otherwise
+     */
+    static getNominalPower(inverter, backend, reportedMaxPower) {
+        return backend.reportsMaxPower(inverter) ? reportedMaxPower : inverter.maxPower;
+    }
+
+    /**
+     * Convert a limit in W into the value written to the control object
+     * @param {Object} inverter Inverter configuration
+     * @param {number} watts Limit in W
+     * @param {number|null|undefined} nominalPower Max power the relative limits are based on, see getNominalPower()
+     * @returns {number} Limit in W, or in % of the nominal power with 0.1% resolution for relative limits
+     */
+    static toCommandValue(inverter, watts, nominalPower) {
+        if (inverter.limitType !== 'relative') {
+            return watts;
+        }
+        return Math.min(100, Math.round(watts / nominalPower * 1000) / 10);
+    }
+
+    /**
+     * Derive the max power of an inverter from its absolute and relative limit
+     * @param {Object} inverter Inverter configuration
+     * @param {number} limitValue Current absolute limit in W
+     * @param {IobrokerInverterBackend|OpenDtuHttpBackend} backend Backend the inverter is read through
+     * @param {Object} logger Logger instance
+     * @param {number} index Inverter index for logging
+     * @returns {Promise<number|null>} Max power in W, null if it cannot be derived
+     */
+    static async getReportedMaxPower(inverter, limitValue, backend, logger, index) {
+        try {
+            const relativeState = await backend.read(inverter, 'limitRelative');
+            const relativeValue = relativeState !== null ? parseFloat(relativeState) : NaN;
+            if (relativeValue > 0) {
+                return Math.round(limitValue * 100 / relativeValue);
+            }
+            logger.debug(`Could not derive max power of inverter ${index + 1} from ${backend.getSource(inverter, 'limitRelative')}`);
+        } catch (error) {
+            logger.debug(`Error reading relative limit from inverter ${index + 1}: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Read a boolean OpenDTU status flag
+     * @param {Object} inverter Inverter configuration
+     * @param {'reachable'|'producing'} key Flag to read
+     * @param {IobrokerInverterBackend|OpenDtuHttpBackend} backend Backend the inverter is read through
+     * @param {Object} logger Logger instance
+     * @returns {Promise<boolean>} Flag value, true if the flag is missing or unreadable
+     */
+    static async getFlag(inverter, key, backend, logger) {
+        try {
+            const value = await backend.read(inverter, key);
+            if (value === null || value === undefined) {
+                return true;
+            }
+            return value !== false && value !== 'false' && value !== 0;
+        } catch (error) {
+            logger.debug(`Error reading ${backend.getSource(inverter, key)}: ${error.message}`);
+            return true;
+        }
+    }
+
+    /**
+     * Get the current actual AC power of an inverter
+     * @param {Object} inverter Inverter configuration
+     * @param {IobrokerInverterBackend|OpenDtuHttpBackend} backend Backend the inverter is read through
+     * @param {Object} logger Logger instance
+     * @param {number} index Inverter index for logging
+     * @returns {Promise<number|null>} AC power in W, null if not available
+     */
+    static async getActualPower(inverter, backend, logger, index) {
+        try {
+            const powerState = await backend.read(inverter, 'power');
+            if (powerState !== null && powerState !== undefined) {
+                const powerValue = parseFloat(powerState);
+                if (!isNaN(powerValue)) {
+                    return powerValue;
+                }
+            }
+            logger.debug(`Could not read actual power from inverter ${index + 1}: ${backend.getSource(inverter, 'power')}`);
+        } catch (error) {
+            logger.debug(`Error reading actual power from inverter ${index + 1}: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Estimate the production hidden by curtailment
+     *
+     * An inverter producing at its limit could produce more, up to its max power. How much more is only
+     * known once the limit is raised, so this is an upper bound that the regulation corrects.
+     * @param {Array<{index: number, value: number, actualPower?: number|null}>} limits Current limits of the available inverters
+     * @param {Array<Object>} inverters Inverter configuration
+     * @returns {number} Curtailed power in W
+     */
+    static getCurtailedPower(limits, inverters) {
+        let curtailed = 0;
+        for (const limit of limits) {
+            const maxPower = inverters[limit.index].maxPower;
+            if (typeof limit.actualPower !== 'number' || !maxPower || limit.value >= maxPower) {
+                continue;
+            }
+            if (limit.actualPower >= limit.value * CLIPPING_SHARE) {
+                curtailed += maxPower - limit.value;
+            }
+        }
+        return curtailed;
+    }
 }
 
 module.exports = InverterManager;
\ No newline at end of file
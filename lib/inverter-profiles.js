@@ -0,0 +1,147 @@
+'use strict';
+
+// States of each profile relative to the inverter base object, or the configuration fields holding them
+const PROFILES = {
+    opendtu: {
+        states: {
+            limit: 'power_control.current_limit_absolute',
+            limitRelative: 'power_control.current_limit_relative',
+            reachable: 'reachable',
+            producing: 'producing',
+            power: 'ac.phase_1.power',
+            name: 'name'
+        }
+    },
+    ahoy: {
+        states: {
+            limitRelative: 'ch0.active_PowerLimit',
+            reachable: 'available',
+            producing: 'available',
+            power: 'ch0.P_AC'
+        },
+        // available: 0 = not available, 1 = available but not producing, 2 = available and producing
+        convert: {
+            reachable: value => Number(value) > 0,
+            producing: value => Number(value) === 2
+        },
+        // Ahoy takes plain numbers as % and numbers with unit W as absolute limit
+        formatCommand: (value, limitType) => (limitType === 'relative' ? value : `${value}W`)
+    },
+    custom: {
+        // Inverter configuration fields holding the state IDs
+        fields: {
+            limit: 'limitObject',
+            reachable: 'reachableObject',
+            power: 'powerObject'
+        }
+    }
+};
+
+// Limit command states of the opendtu adapter by limit type
+const OPENDTU_CONTROLS = {
+    absolute: 'power_control.limit_nonpersistent_absolute',
+    relative: 'power_control.limit_nonpersistent_relative'
+};
+
+/**
+ * Inverter profiles mapping the values zeropv reads and writes to ioBroker states
+ *
+ * Profiles:
+ * - 'opendtu': states of the opendtu adapter below the inverter base object, e.g. opendtu.0.114182912345
+ * - 'ahoy': AhoyDTU MQTT topics below the inverter base object, e.g. mqtt.0.inverter.Balcony. Ahoy reports
+ *   the limit in % only and takes limit commands on its ctrl topic, which is configured as control object.
+ * - 'custom': every state is configured, for Modbus/SunSpec, Shelly or other inverters
+ *
+ * Values a profile does not report are null, the absolute and the relative limit are derived from each other
+ * by the inverter backend using the configured max power.
+ */
+class InverterProfiles {
+    /**
+     * Get the names of all profiles
+     * @returns {Array<string>}
+     */
+    static getTypes() {
+        return Object.keys(PROFILES);
+    }
+
+    /**
+     * Get the profile name of an inverter
+     * @param {{inverterType?: string}} inverter Inverter configuration
+     * @returns {string} Profile name, 'opendtu' if unset or unknown
+     */
+    static getType(inverter) {
+        return PROFILES[inverter.inverterType] ? inverter.inverterType : 'opendtu';
+    }
+
+    /**
+     * Get the state holding a value of an inverter
+     * @param {Object} inverter Inverter configuration
+     * @param {'limit'|'limitRelative'|'reachable'|'producing'|'power'|'name'} key Value to read
+     * @returns {string|null} State ID, null if the profile does not report the value
+     */
+    static getStateId(inverter, key) {
+        const profile = PROFILES[InverterProfiles.getType(inverter)];
+        if (profile.fields) {
+            return profile.fields[key] && inverter[profile.fields[key]] ? inverter[profile.fields[key]] : null;
+        }
+        return profile.states[key] ? `${inverter.inverterObject}.${profile.states[key]}` : null;
+    }
+
+    /**
+     * Get the state the limit commands of an inverter are written to
+     * @param {Object} inverter Inverter configuration
+     * @returns {string} State ID
+     */
+    static getControlObject(inverter) {
+        if (InverterProfiles.getType(inverter) !== 'opendtu') {
+            return inverter.controlObject;
+        }
+        const suffix = inverter.limitType === 'relative' ? 'relative' : 'absolute';
+        return `${inverter.inverterObject}.${OPENDTU_CONTROLS[suffix]}`;
+    }
+
+    /**
+     * Convert a state value into the value zeropv expects
+     * @param {Object} inverter Inverter configuration
+     * @param {string} key Value read
+     * @param {ioBroker.StateValue} value State value
+     * @returns {ioBroker.StateValue} Converted value
+     */
+    static convert(inverter, key, value) {
+        const profile = PROFILES[InverterProfiles.getType(inverter)];
+        return profile.convert && profile.convert[key] && value !== null ? profile.convert[key](value) : value;
+    }
+
+    /**
+     * Format a limit command for the control object
+     * @param {Object} inverter Inverter configuration
+     * @param {number} value Limit in W, or in % for relative limits
+     * @returns {ioBroker.StateValue} Value written to the control object
+     */
+    static formatCommand(inverter, value) {
+        const profile = PROFILES[InverterProfiles.getType(inverter)];
+        return profile.formatCommand ? profile.formatCommand(value, inverter.limitType) : value;
+    }
+
+    /**
+     * Get the inverter base object an object belongs to, for the object picker of the admin
+     * @param {string} id Object ID
+     * @param {Object} objData Object data
+     * @param {string} inverterType Profile name
+     * @returns {string|null} Base object ID, null if the object does not identify an inverter
+     */
+    static getBaseObject(id, objData, inverterType) {
+        if (inverterType === 'ahoy') {
+            // Every Ahoy inverter publishes its AC power below its base topic
+            const match = objData.type === 'state' ? id.match(/^(.+)\.ch0\.P_AC$/) : null;
+            return match ? match[1] : null;
+        }
+        if (inverterType === 'custom') {
+            return null;
+        }
+        // Inverter device objects of the opendtu adapter (pattern: opendtu.0.123456789)
+        return objData.type === 'device' && /^opendtu\.\d+\.\d+$/.test(id) ? id : null;
+    }
+}
+
+module.exports = InverterProfiles;
\ No newline at end of file
@@ -0,0 +1,118 @@
+'use strict';
+
+const InverterProfiles = require('./inverter-profiles');
+
+/**
+ * Inverter backend talking to the inverters through ioBroker states, laid out by the inverter's profile
+ *
+ * Inverter backends provide:
+ * - read(inverter, key): current value of 'limit' (W), 'limitRelative' (%), 'reachable', 'producing',
+ *   'power' (AC power in W) or 'name', null if unknown
+ * - setLimit(inverter, value): send a non-persistent limit in W, or in % for relative limits
+ * - getSource(inverter, key): where a value is read from, for logging
+ * - getControlObject(inverter): where limit commands go, for logging
+ * - getLimitStateId(inverter): ioBroker state reporting the current limit to subscribe to, null if none
+ * - describe(inverter): how the inverter is addressed, for logging
+ * - reportsMaxPower(inverter): whether the max power can be derived from the reported limits, otherwise
+ *   relative limits are based on the configured max power
+ */
+class IobrokerInverterBackend {
+    /**
+     * @param {Function} getForeignStateAsync Function to get foreign state
+     * @param {Function} setForeignStateAsync Function to set foreign state
+     */
+    constructor(getForeignStateAsync, setForeignStateAsync) {
+        this.getForeignStateAsync = getForeignStateAsync;
+        this.setForeignStateAsync = setForeignStateAsync;
+    }
+
+    /**
+     * Read a value of an inverter
+     *
+     * A limit the profile does not report is derived from the other one and the configured max power.
+     * @param {Object} inverter Inverter configuration
+     * @param {'limit'|'limitRelative'|'reachable'|'producing'|'power'|'name'} key Value to read
+     * @returns {Promise<ioBroker.StateValue>} Value, null if the state is missing
+     */
+    async read(inverter, key) {
+        const id = InverterProfiles.getStateId(inverter, key);
+        if (id) {
+            const state = await this.getForeignStateAsync(id);
+            return state && state.val !== undefined ? InverterProfiles.convert(inverter, key, state.val) : null;
+        }
+
+        if ((key === 'limit' || key === 'limitRelative') && inverter.maxPower) {
+            const other = key === 'limit' ? 'limitRelative' : 'limit';
+            if (InverterProfiles.getStateId(inverter, other)) {
+                const value = parseFloat(await this.read(inverter, other));
+                if (!isNaN(value)) {
+                    return key === 'limit' ? Math.round(value * inverter.maxPower / 100) : Math.round(value / inverter.maxPower * 1000) / 10;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the state holding a value of an inverter
+     * @param {Object} inverter Inverter configuration
+     * @param {string} key Value to read
+     * @returns {string} State ID, for derived limits the state they are derived from
+     */
+    getSource(inverter, key) {
+        const id = InverterProfiles.getStateId(inverter, key);
+        if (id) {
+            return id;
+        }
+        const other = { limit: 'limitRelative', limitRelative: 'limit' }[key];
+        const derivedFrom = other ? InverterProfiles.getStateId(inverter, other) : null;
+        return derivedFrom ? `${derivedFrom} (derived)` : `${key} of ${this.describe(inverter)} (not available)`;
+    }
+
+    /**
+     * Send a non-persistent limit to an inverter
+     * @param {Object} inverter Inverter configuration
+     * @param {number} value Limit in W, or in % for relative limits
+     */
+    async setLimit(inverter, value) {
+        await this.setForeignStateAsync(this.getControlObject(inverter), InverterProfiles.formatCommand(inverter, value));
+    }
+
+    /**
+     * Get the state the limit commands of an inverter are written to
+     * @param {Object} inverter Inverter configuration
+     * @returns {string} State ID
+     */
+    getControlObject(inverter) {
+        return InverterProfiles.getControlObject(inverter);
+    }
+
+    /**
+     * Get the state reporting the current absolute limit of an inverter
+     * @param {Object} inverter Inverter configuration
+     * @returns {string|null} State ID, null if the profile reports no absolute limit
+     */
+    getLimitStateId(inverter) {
+        return InverterProfiles.getStateId(inverter, 'limit');
+    }
+
+    /**
+     * Check whether the max power of an inverter can be derived from its absolute and relative limit
+     * @param {Object} inverter Inverter configuration
+     * @returns {boolean} True if the profile reports both limits, e.g. OpenDTU
+     */
+    reportsMaxPower(inverter) {
+        return Boolean(InverterProfiles.getStateId(inverter, 'limit') && InverterProfiles.getStateId(inverter, 'limitRelative'));
+    }
+
+    /**
+     * Describe how an inverter is addressed
+     * @param {Object} inverter Inverter configuration
+     * @returns {string} Inverter base object, the control object for custom inverters
+     */
+    describe(inverter) {
+        return InverterProfiles.getType(inverter) === 'custom' ? inverter.controlObject : inverter.inverterObject;
+    }
+}
+
+module.exports = IobrokerInverterBackend;
\ No newline at end of file
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Dispatches surplus to controllable loads before PV is curtailed
+ *
+ * Load types:
+ * - 'switch': on/off load with a fixed power, e.g. a heating rod stage, written as boolean
+ * - 'power': load with a power setpoint between min and max power, e.g. an EV charger, written in W
+ *
+ * Loads are served in priority order (lowest number first). A load is only switched on or off after
+ * its minimum off or on time, power loads that must stay on are held at their minimum power. The setpoint
+ * of a running power load only follows changes of at least its setpoint step, or to its min or max power.
+ */
+class LoadDispatcher {
+    constructor() {
+        this.states = new Map();
+    }
+
+    /**
+     * Get the dispatched power of a load
+     * @param {number} index Load index
+     * @returns {number} Dispatched power in W, 0 = off
+     */
+    getPower(index) {
+        const state = this.states.get(index);
+        return state ? state.power : 0;
+    }
+
+    /**
+     * Get the power dispatched to all loads
+     * @returns {number} Total dispatched power in W
+     */
+    getTotalPower() {
+        let total = 0;
+        for (const state of this.states.values()) {
+            total += state.power;
+        }
+        return total;
+    }
+
+    /**
+     * Distribute the available surplus over the loads
+     * @param {number} available Power available for loads in W, including the power they are dispatched right now
+     * @param {Array<Object>} loads Load configuration
+     * @param {number} now Current timestamp in ms
+     * @returns {{changes: Array<{index: number, load: Object, power: number, previousPower: number}>, delta: number}}
+     *          Loads whose power changed and the change of the total dispatched power in W
+     */
+    dispatch(available, loads, now) {
+        const order = loads
+            .map((load, index) => ({ load, index }))
+            .filter(({ load }) => load.enabled)
+            .sort((a, b) => a.load.priority - b.load.priority || a.index - b.index);
+
+        const changes = [];
+        let delta = 0;
+        for (const { load, index } of order) {
+            // Unknown loads are commanded once, they may still be on from before a restart
+            const known = this.states.has(index);
+            const state = this.states.get(index) || { power: 0, switchedAt: null };
+            const isOn = state.power > 0;
+            const lockTime = (isOn ? load.minOnTime : load.minOffTime) * 1000;
+            const locked = state.switchedAt !== null && now - state.switchedAt < lockTime;
+
+            let power = LoadDispatcher.getWantedPower(load, available);
+            if (locked && isOn && power === 0) {
+                power = load.type === 'power' ? Math.max(load.minPower, 1) : load.power;
+            } else if (locked && !isOn) {
+                power = 0;
+            } else if (known && LoadDispatcher.isWithinStep(load, state.power, power)) {
+                power = state.power;
+            }
+            available -= power;
+
+            if (!known || power !== state.power) {
+                const switched = !known || (power > 0) !== isOn;
+                this.states.set(index, { power, switchedAt: switched ? now : state.switchedAt });
+                changes.push({ index, load, power, previousPower: state.power });
+                delta += power - state.power;
+            }
+        }
+        return { changes, delta };
+    }
+
+    /**
+     * Get the power a load would take from the available surplus
+     * @param {Object} load Load configuration
+     * @param {number} available Available power in W
+     * @returns {number} Power in W, 0 = off
+     */
+    static getWantedPower(load, available) {
+        if (load.type === 'power') {
+            return available >= Math.max(load.minPower, 1) ? Math.round(Math.min(available, load.power)) : 0;
+        }
+        return available >= load.power ? load.power : 0;
+    }
+
+    /**
+     * Check whether the setpoint of a running power load is kept, as the change is below its setpoint step
+     * @param {Object} load Load configuration
+     * @param {number} previousPower Dispatched power in W
+     * @param {number} power Wanted power in W
+     * @returns {boolean}
+     */
+    static isWithinStep(load, previousPower, power) {
+        if (load.type !== 'power' || previousPower === 0 || power === 0) {
+            return false;
+        }
+        if (power === load.power || power === Math.max(load.minPower, 1)) {
+            return false;
+        }
+        return Math.abs(power - previousPower) < load.powerStep;
+    }
+
+    /**
+     * Get the value written to the control object of a load
+     * @param {Object} load Load configuration
+     * @param {number} power Dispatched power in W
+     * @returns {boolean|number} On/off for switch loads, power in W for power loads
+     */
+    static toCommandValue(load, power) {
+        return load.type === 'power' ? power : power > 0;
+    }
+
+    /**
+     * Get the display name of a load
+     * @param {{name?: string}} load Load configuration
+     * @param {number} index Index in the load table
+     * @returns {string}
+     */
+    static getName(load, index) {
+        return load.name ? load.name : `Load ${index + 1}`;
+    }
+
+    /**
+     * Forget the dispatched power of a load, it is commanded again in the next dispatch
+     * @param {number} index Load index
+     */
+    forget(index) {
+        this.states.delete(index);
+    }
+
+    /**
+     * Forget all dispatched loads
+     */
+    clear() {
+        this.states.clear();
+    }
+}
+
+module.exports = LoadDispatcher;
\ No newline at end of file
@@ -0,0 +1,198 @@
+'use strict';
+
+const EnergyCounter = require('./energy-counter');
+
+const SLOT_MINUTES = 15;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+const SLOTS_PER_DAY = 24 * 60 / SLOT_MINUTES;
+// The base load of a slot is the consumption exceeded 90% of the time
+const BASE_LOAD_QUANTILE = 0.1;
+// Slots with samples over less than this share (restart, meter outage) are not learned
+const MIN_SLOT_COVERAGE = 0.5;
+// Predictions are compared with the observed base load over the last week
+const EVALUATION_SLOTS = 7 * SLOTS_PER_DAY;
+
+/**
+ * Learns the household base load per time of day and predicts it for the current slot
+ *
+ * The consumption (grid power + PV production) of each 15 minute slot is collected until the slot ends. Its low
+ * quantile is the slot's base load, learned per time of day as an exponential moving average over the days.
+ * Before learning, the prediction for the slot is compared with the observed base load to rate the predictor.
+ */
+class LoadPredictor {
+    constructor() {
+        this.slots = LoadPredictor.createSlots(); // learned base load per time of day
+        this.current = null; // consumption samples of the running slot
+        this.evaluations = []; // predicted and observed base load of the most recent slots, oldest first
+    }
+
+    /**
+     * Create an unlearned model
+     * @returns {Array<{baseLoad: number|null, days: number}>} Base load and number of days learned per slot
+     */
+    static createSlots() {
+        return Array.from({ length: SLOTS_PER_DAY }, () => ({ baseLoad: null, days: 0 }));
+    }
+
+    /**
+     * Get the time of day slot a point in time belongs to
+     * @param {number} ts Timestamp in ms
+     * @returns {number} Slot index, 0 = 00:00-00:15 local time
+     */
+    static getSlot(ts) {
+        const date = new Date(ts);
+        return Math.floor((date.getHours() * 60 + date.getMinutes()) / SLOT_MINUTES);
+    }
+
+    /**
+     * Get a quantile of samples
+     * @param {Array<number>} values Samples, not empty
+     * @param {number} quantile Quantile between 0 and 1
+     * @returns {number} Sample below which the given share of the samples lies
+     */
+    static quantile(values, quantile) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(quantile * (sorted.length - 1))];
+    }
+
+    /**
+     * Add a consumption sample, learning the previous slot once a new one starts
+     * @param {number} consumption Household consumption in W
+     * @param {number} now Timestamp of the sample in ms
+     * @param {{predictionLearningRate: number, predictionMinDays: number}} config Predictor configuration
+     * @returns {boolean} Whether a slot was learned
+     */
+    update(consumption, now, config) {
+        const slot = LoadPredictor.getSlot(now);
+        const key = `${EnergyCounter.getPeriodKey('day', now)} ${slot}`;
+        let learned = false;
+        if (this.current !== null && this.current.key !== key) {
+            learned = this.finishSlot(config);
+        }
+        if (this.current === null) {
+            this.current = { key, slot, samples: [], firstTs: now, lastTs: now };
+        }
+        this.current.samples.push(Math.max(0, consumption));
+        this.current.lastTs = now;
+        return learned;
+    }
+
+    /**
+     * Rate the prediction of the running slot and learn its base load
+     * @param {{predictionLearningRate: number, predictionMinDays: number}} config Predictor configuration
+     * @returns {boolean} Whether the slot had enough samples to be learned
+     */
+    finishSlot(config) {
+        const { slot, samples, firstTs, lastTs } = this.current;
+        this.current = null;
+        if (lastTs - firstTs < SLOT_MS * MIN_SLOT_COVERAGE) {
+            return false;
+        }
+        const observed = Math.round(LoadPredictor.quantile(samples, BASE_LOAD_QUANTILE));
+
+        const predicted = this.getPrediction(slot, config);
+        if (predicted !== null) {
+            this.evaluations.push({ predicted, observed });
+            if (this.evaluations.length > EVALUATION_SLOTS) {
+                this.evaluations.shift();
+            }
+        }
+
+        const learned = this.slots[slot];
+        learned.baseLoad = learned.baseLoad === null ? observed : learned.baseLoad + config.predictionLearningRate * (observed - learned.baseLoad);
+        learned.days++;
+        return true;
+    }
+
+    /**
+     * Drop the samples of the running slot, e.g. while the meter delivers no data
+     */
+    interrupt() {
+        this.current = null;
+    }
+
+    /**
+     * Get the predicted base load of a slot
+     * @param {number} slot Slot index
+     * @param {{predictionMinDays: number}} config Predictor configuration
+     * @returns {number|null} Base load in W, null until the slot was learned on enough days
+     */
+    getPrediction(slot, config) {
+        const learned = this.slots[slot];
+        if (learned.baseLoad === null || learned.days < config.predictionMinDays) {
+            return null;
+        }
+        return Math.round(learned.baseLoad);
+    }
+
+    /**
+     * Get the floor for the total inverter limit at a point in time
+     * @param {number} now Current timestamp in ms
+     * @param {{predictionMinDays: number, predictionFloorShare: number}} config Predictor configuration
+     * @returns {number} Share of the predicted base load in W, 0 without prediction
+     */
+    getFloor(now, config) {
+        const predicted = this.getPrediction(LoadPredictor.getSlot(now), config);
+        if (predicted === null) {
+            return 0;
+        }
+        return Math.round(predicted * config.predictionFloorShare / 100);
+    }
+
+    /**
+     * Rate the predictions of the most recent slots
+     * @param {{predictionFloorShare: number}} config Predictor configuration
+     * @returns {{evaluatedSlots: number, meanAbsoluteError: number|null, bias: number|null, exportRisk: number|null}}
+     *          Number of slots rated, mean absolute error and mean error (+ = predicted too high) in W, and share of
+     *          slots in % whose floor was above the observed base load
+     */
+    getMetrics(config) {
+        const count = this.evaluations.length;
+        if (count === 0) {
+            return { evaluatedSlots: 0, meanAbsoluteError: null, bias: null, exportRisk: null };
+        }
+        let absoluteError = 0;
+        let error = 0;
+        let risky = 0;
+        for (const { predicted, observed } of this.evaluations) {
+            absoluteError += Math.abs(predicted - observed);
+            error += predicted - observed;
+            if (predicted * config.predictionFloorShare / 100 > observed) {
+                risky++;
+            }
+        }
+        return {
+            evaluatedSlots: count,
+            meanAbsoluteError: Math.round(absoluteError / count),
+            bias: Math.round(error / count),
+            exportRisk: Math.round(risky / count * 1000) / 10
+        };
+    }
+
+    /**
+     * Get the model for persistence
+     * @returns {{slots: Array<{baseLoad: number|null, days: number}>, evaluations: Array<{predicted: number, observed: number}>}}
+     */
+    toJSON() {
+        return { slots: this.slots, evaluations: this.evaluations };
+    }
+
+    /**
+     * Restore a persisted model, a model of another slot length is ignored
+     * @param {Object} snapshot Model from toJSON()
+     */
+    restore(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.slots) || snapshot.slots.length !== SLOTS_PER_DAY) {
+            return;
+        }
+        this.slots = snapshot.slots.map(saved => ({
+            baseLoad: saved && typeof saved.baseLoad === 'number' ? saved.baseLoad : null,
+            days: saved && Number.isInteger(saved.days) ? saved.days : 0
+        }));
+        this.evaluations = Array.isArray(snapshot.evaluations)
+            ? snapshot.evaluations.filter(entry => entry && typeof entry.predicted === 'number' && typeof entry.observed === 'number').slice(-EVALUATION_SLOTS)
+            : [];
+    }
+}
+
+module.exports = LoadPredictor;
\ No newline at end of file
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Grid meter reading utilities for ZeroPV adapter
+ *
+ * Meter types:
+ * - 'single': one signed total power state (default)
+ * - 'sum': several states (e.g. one per phase) added up
+ * - 'importExport': separate positive import and export states, grid power = import - export
+ */
+class MeterReader {
+    /**
+     * Get all state IDs the grid power is computed from
+     * @param {Object} config Adapter configuration
+     * @returns {Array<string>} Source state IDs
+     */
+    static getSourceObjects(config) {
+        if (config.meterType === 'sum') {
+            return (config.meterSources || []).map(source => source.sourceObject);
+        }
+        if (config.meterType === 'importExport') {
+            return [config.importObject, config.exportObject];
+        }
+        return [config.powerSourceObject];
+    }
+
+    /**
+     * Get a human readable description of the meter for log messages
+     * @param {Object} config Adapter configuration
+     * @returns {string} Description of the meter sources
+     */
+    static describe(config) {
+        const sources = MeterReader.getSourceObjects(config);
+        let description = config.meterType === 'importExport' ? `${sources[0]} - ${sources[1]}` : sources.join(' + ');
+        if (config.meterInvert) {
+            description = `-(${description})`;
+        }
+        return description;
+    }
+
+    /**
+     * Combine the source states into a single grid power state (+ = import, - = export)
+     * @param {Object} config Adapter configuration
+     * @param {Array<ioBroker.State | null | undefined>} states Source states in the order of getSourceObjects()
+     * @returns {{val: ioBroker.StateValue, ts: number|undefined, ack: boolean} | null} Combined state, null if any source has no data;
+     *          the raw value of the first invalid source is passed through so it can be reported
+     */
+    static combineStates(config, states) {
+        if (states.length === 0 || states.some(state => !state || state.val === null || state.val === undefined)) {
+            return null;
+        }
+
+        // The combined value is only as fresh as its oldest source
+        const timestamps = states.map(state => state.ts).filter(ts => typeof ts === 'number');
+        const ts = timestamps.length > 0 ? Math.min(...timestamps) : undefined;
+
+        const values = states.map(state => parseFloat(state.val));
+        const invalidIndex = values.findIndex(value => isNaN(value));
+        if (invalidIndex !== -1) {
+            return { val: states[invalidIndex].val, ts, ack: true };
+        }
+
+        let gridPower;
+        if (config.meterType === 'importExport') {
+            gridPower = values[0] - values[1];
+        } else {
+            gridPower = values.reduce((sum, value) => sum + value, 0);
+        }
+        if (config.meterInvert) {
+            gridPower = -gridPower;
+        }
+
+        return { val: gridPower, ts, ack: true };
+    }
+
+    /**
+     * Read all source states and combine them into a single grid power state
+     * @param {Object} config Adapter configuration
+     * @param {Function} getForeignStateAsync Function to get foreign state
+     * @returns {Promise<{val: ioBroker.StateValue, ts: number|undefined, ack: boolean} | null>} Combined state
+     */
+    static async readMeterState(config, getForeignStateAsync) {
+        const states = [];
+        for (const sourceObject of MeterReader.getSourceObjects(config)) {
+            states.push(await getForeignStateAsync(sourceObject));
+        }
+        return MeterReader.combineStates(config, states);
+    }
+}
+
+module.exports = MeterReader;
\ No newline at end of file
@@ -1,5 +1,7 @@
 'use strict';
 
+const InverterProfiles = require('./inverter-profiles');
+
 /**
  * Object filtering utilities for ZeroPV adapter
  */
@@ -8,14 +10,20 @@ class ObjectFilter {
      * Check if a power state is relevant for grid power monitoring
      * @param {string} id - The object ID
      * @param {object} objData - The object data
+     * @param {boolean} [includePhases=false] - Also accept individual phase power states (for summed meters)
      * @returns {boolean} Whether this is a relevant power source
      */
-    static isRelevantPowerSource(id, objData) {
+    static isRelevantPowerSource(id, objData, includePhases = false) {
         // Exclude OpenDTU inverter power states (we don't want to monitor our own inverters)
         if (id.toLowerCase().includes('opendtu')) {
             return false;
         }
 
+        // Individual phase active power, summed up by the meter definition
+        if (includePhases && (/\.ActivePower[ABC]$/.test(id) || /\.phase_\d+\.power$/.test(id))) {
+            return true;
+        }
+
         // Exclude individual phase/input power measurements - we want total power
         const excludePatterns = [
             /\.phase_\d+\./,          // AC phase power (opendtu.0.xxxxx.ac.phase_1.power)
@@ -72,7 +80,7 @@ class ObjectFilter {
     static filterObjects(allObjects, filter, logger) {
         const result = [];
 
-        for (const [id, objData] of Object.entries(allObjects)) {
+        for (let [id, objData] of Object.entries(allObjects)) {
             if (!objData || !objData.common) continue;
 
             let matches = false;
@@ -84,7 +92,7 @@ class ObjectFilter {
                 
                 if (objData.type === 'state' && isPowerRole) {
                     // Only include relevant power sources for grid monitoring
-                    matches = ObjectFilter.isRelevantPowerSource(id, objData);
+                    matches = ObjectFilter.isRelevantPowerSource(id, objData, filter.phases === true);
                     if (matches) {
                         logger.debug(`Including power source: ${id} (role: ${role})`);
                     } else {
@@ -93,17 +101,18 @@ class ObjectFilter {
                 }
             }
             
-            // Handle OpenDTU device objects
-            else if (filter.type === 'device' && filter.name === '*opendtu*') {
-                if (id.toLowerCase().includes('opendtu')) {
-                    logger.debug(`Checking OpenDTU object: ${id}, type: ${objData.type}`);
-                    if (objData.type === 'device') {
-                        // Look for inverter device objects (pattern: opendtu.0.123456789)
-                        if (id.match(/^opendtu\.\d+\.\d+$/)) {
-                            logger.debug(`Found OpenDTU device match: ${id}`);
-                            matches = true;
-                        }
+            // Handle inverter base objects of the chosen inverter type, OpenDTU devices by default
+            else if (filter.inverterType || (filter.type === 'device' && filter.name === '*opendtu*')) {
+                const inverterType = filter.inverterType || 'opendtu';
+                const baseId = InverterProfiles.getBaseObject(id, objData, inverterType);
+                if (baseId && !result.some(entry => entry._id === baseId)) {
+                    logger.debug(`Found ${inverterType} inverter: ${baseId}`);
+                    // The base object itself may not exist, e.g. for MQTT topics
+                    if (baseId !== id) {
+                        id = baseId;
+                        objData = allObjects[baseId] && allObjects[baseId].common ? allObjects[baseId] : { common: { name: baseId } };
                     }
+                    matches = true;
                 }
             }
 
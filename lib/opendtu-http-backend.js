@@ -0,0 +1,213 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+// OpenDTU limit types of /api/limit/config
+const LIMIT_TYPE_ABSOLUTE_NONPERSISTENT = 0;
+const LIMIT_TYPE_RELATIVE_NONPERSISTENT = 1;
+
+/**
+ * Inverter backend talking to OpenDTU directly over its web API
+ *
+ * Values are read from /api/livedata/status, which reports all inverters of the DTU at once. Current
+ * firmware leaves out the AC data there, the AC power is then read per inverter with ?inv=<serial>.
+ * Responses are reused for reads within maxAge, so one control cycle costs a single request plus one
+ * per inverter whose AC power is needed. Limits are sent to /api/limit/config. See
+ * IobrokerInverterBackend for the backend interface.
+ */
+class OpenDtuHttpBackend {
+    /**
+     * @param {Object} options Connection options
+     * @param {string} options.host OpenDTU host name or URL, e.g. 192.168.1.50 or http://opendtu.local
+     * @param {string} [options.username] Admin user for limit commands (default: admin)
+     * @param {string} [options.password] Admin password for limit commands
+     * @param {number} [options.timeout] Request timeout in ms (default: 5000)
+     * @param {number} [options.maxAge] Time a status response is reused in ms (default: 1000)
+     */
+    constructor(options) {
+        const host = String(options.host).trim().replace(/\/+$/, '');
+        this.baseUrl = /^https?:\/\//i.test(host) ? host : `http://${host}`;
+        this.username = options.username || 'admin';
+        this.password = options.password || '';
+        this.timeout = options.timeout || 5000;
+        this.maxAge = options.maxAge !== undefined ? options.maxAge : 1000;
+        this.statuses = new Map(); // recent responses by inverter serial, '' = all inverters
+    }
+
+    /**
+     * Read a value of an inverter
+     * @param {Object} inverter Inverter configuration
+     * @param {'limit'|'limitRelative'|'reachable'|'producing'|'power'|'name'} key Value to read
+     * @returns {Promise<ioBroker.StateValue>} Value, null if OpenDTU does not report it
+     */
+    async read(inverter, key) {
+        let entry = OpenDtuHttpBackend.findInverter(await this.getStatus(), inverter);
+        if (entry && key === 'power' && !entry.AC) {
+            entry = OpenDtuHttpBackend.findInverter(await this.getStatus(String(inverter.serial)), inverter);
+        }
+        if (!entry) {
+            return null;
+        }
+        let value;
+        switch (key) {
+            case 'limit':
+                value = entry.limit_absolute;
+                break;
+            case 'limitRelative':
+                value = entry.limit_relative;
+                break;
+            case 'power':
+                value = entry.AC && entry.AC['0'] && entry.AC['0'].Power ? entry.AC['0'].Power.v : undefined;
+                break;
+            default:
+                value = entry[key];
+        }
+        return value !== undefined ? value : null;
+    }
+
+    /**
+     * Find an inverter in a live data response
+     * @param {Object} status Parsed /api/livedata/status response
+     * @param {Object} inverter Inverter configuration
+     * @returns {Object|undefined} Live data of the inverter
+     */
+    static findInverter(status, inverter) {
+        return Array.isArray(status.inverters)
+            ? status.inverters.find(candidate => String(candidate.serial) === String(inverter.serial))
+            : undefined;
+    }
+
+    /**
+     * Get the live data, reusing a recent response
+     * @param {string} [serial] Serial number to get the full live data of a single inverter, all inverters if omitted
+     * @returns {Promise<Object>} Parsed /api/livedata/status response
+     */
+    async getStatus(serial = '') {
+        const cached = this.statuses.get(serial);
+        if (cached && Date.now() - cached.ts < this.maxAge) {
+            return cached.response;
+        }
+        // Concurrent reads share one request
+        const path = serial ? `/api/livedata/status?inv=${encodeURIComponent(serial)}` : '/api/livedata/status';
+        const entry = { response: this.request('GET', path), ts: Date.now() };
+        this.statuses.set(serial, entry);
+        try {
+            return await entry.response;
+        } catch (error) {
+            if (this.statuses.get(serial) === entry) {
+                this.statuses.delete(serial);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a non-persistent limit to an inverter
+     * @param {Object} inverter Inverter configuration
+     * @param {number} value Limit in W, or in % for relative limits
+     */
+    async setLimit(inverter, value) {
+        const data = JSON.stringify({
+            serial: String(inverter.serial),
+            limit_type: inverter.limitType === 'relative' ? LIMIT_TYPE_RELATIVE_NONPERSISTENT : LIMIT_TYPE_ABSOLUTE_NONPERSISTENT,
+            limit_value: value
+        });
+        const response = await this.request('POST', '/api/limit/config', `data=${encodeURIComponent(data)}`);
+        if (response && response.type && response.type !== 'success') {
+            throw new Error(`OpenDTU rejected the limit: ${response.message || response.type}`);
+        }
+        // The next read should show the new limit as soon as OpenDTU reports it
+        this.statuses.clear();
+    }
+
+    /**
+     * Get where a value of an inverter is read from
+     * @param {Object} inverter Inverter configuration
+     * @param {string} key Value to read
+     * @returns {string} Description for logging
+     */
+    getSource(inverter, key) {
+        return `${key} of ${this.describe(inverter)}`;
+    }
+
+    /**
+     * Get where the limit commands of an inverter are sent to
+     * @param {Object} inverter Inverter configuration
+     * @returns {string} Description for logging
+     */
+    getControlObject(inverter) {
+        return `${this.baseUrl}/api/limit/config (serial ${inverter.serial})`;
+    }
+
+    /**
+     * OpenDTU reports limit changes only on request, there is no state to subscribe to
+     * @returns {null}
+     */
+    getLimitStateId() {
+        return null;
+    }
+
+    /**
+     * OpenDTU reports the absolute and the relative limit, the max power is derived from them
+     * @returns {boolean}
+     */
+    reportsMaxPower() {
+        return true;
+    }
+
+    /**
+     * Describe how an inverter is addressed
+     * @param {Object} inverter Inverter configuration
+     * @returns {string} Serial number and host
+     */
+    describe(inverter) {
+        return `serial ${inverter.serial} at ${this.baseUrl}`;
+    }
+
+    /**
+     * Send a request to the OpenDTU web API
+     * @param {'GET'|'POST'} method HTTP method
+     * @param {string} path API path
+     * @param {string} [body] Form encoded request body
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    request(method, path, body) {
+        const url = new URL(path, this.baseUrl);
+        const client = url.protocol === 'https:' ? https : http;
+        const headers = {
+            Authorization: `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            headers['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, { method, headers, timeout: this.timeout }, res => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => text += chunk);
+                res.on('end', () => {
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        reject(new Error(`OpenDTU ${path} returned HTTP ${res.statusCode}`));
+                        return;
+                    }
+                    try {
+                        resolve(text ? JSON.parse(text) : {});
+                    } catch (error) {
+                        reject(new Error(`OpenDTU ${path} returned invalid JSON`));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`OpenDTU ${path} did not respond within ${this.timeout}ms`)));
+            req.on('error', reject);
+            if (body !== undefined) {
+                req.write(body);
+            }
+            req.end();
+        });
+    }
+}
+
+module.exports = OpenDtuHttpBackend;
\ No newline at end of file
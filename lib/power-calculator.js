@@ -1,51 +1,313 @@
 'use strict';
 
+const PriceManager = require('./price-manager');
+
 /**
  * Power calculation utilities for ZeroPV adapter
  */
 class PowerCalculator {
+    /**
+     * Resolve the grid power target the regulator works towards
+     *
+     * With dynamic prices enabled, a price below the low threshold switches to strict zero export and a
+     * price above the high threshold allows export up to the legal cap. A target set via control.targetFeedIn
+     * is never overridden by the price.
+     * @param {Object} config Adapter configuration
+     * @returns {{setpoint: number, tolerance: number, exportCeiling: number|null, reason: string}} Grid setpoint (+ = import),
+     *          tolerance band, hard export ceiling and why this target was chosen
+     */
+    static resolveTarget(config) {
+        let target;
+        if (config.targetMode === 'band') {
+            target = {
+                setpoint: config.gridSetpoint,
+                tolerance: config.toleranceBand,
+                exportCeiling: config.exportCeiling,
+                reason: `grid setpoint of ${config.gridSetpoint}W ±${config.toleranceBand}W from configuration`
+            };
+        } else {
+            // Legacy mode: regulate to the maximum grid export
+            target = {
+                setpoint: -config.targetFeedIn,
+                tolerance: 0,
+                exportCeiling: null,
+                reason: `maximum grid export of ${config.targetFeedIn}W from ${config.targetSource || 'configuration'}`
+            };
+        }
+
+        if (!config.priceEnabled || config.targetSource === 'control.targetFeedIn') {
+            return target;
+        }
+        const level = PriceManager.classify(config.currentPrice, config);
+        if (level === 'low') {
+            return {
+                setpoint: Math.max(target.setpoint, 0),
+                tolerance: target.tolerance,
+                exportCeiling: target.exportCeiling === null ? null : 0,
+                reason: `price ${config.currentPrice} below ${config.priceLowThreshold}, zero export`
+            };
+        }
+        if (level === 'high') {
+            // The lower edge of the tolerance band sits at the legal cap
+            return {
+                setpoint: -config.priceMaxFeedIn + target.tolerance,
+                tolerance: target.tolerance,
+                exportCeiling: target.exportCeiling === null ? null : config.priceMaxFeedIn,
+                reason: `price ${config.currentPrice} above ${config.priceHighThreshold}, export up to ${config.priceMaxFeedIn}W`
+            };
+        }
+        return target;
+    }
+
+    /**
+     * Calculate the grid error the regulator has to compensate
+     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     * @param {Object} config Adapter configuration
+     * @returns {number} Grid power above target (positive = production may increase)
+     */
+    static calculateGridError(currentGridPower, config) {
+        return currentGridPower - PowerCalculator.resolveTarget(config).setpoint;
+    }
+
+    /**
+     * Get the sum of all inverter maximum power limits
+     * @param {Object} config Adapter configuration
+     * @returns {number} Maximum total limit in W, inverters with unknown max power count as 0W; capped by a scheduled maximum total limit
+     */
+    static getMaxTotalLimit(config) {
+        const total = config.inverters.reduce((sum, inverter) => sum + (inverter.maxPower || 0), 0);
+        if (config.maxTotalLimit !== undefined && config.maxTotalLimit !== null) {
+            return Math.min(total, config.maxTotalLimit);
+        }
+        return total;
+    }
+
+    /**
+     * Get the floor for the total limit, e.g. from the load prediction
+     * @param {Object} config Adapter configuration
+     * @returns {number} Minimum total limit in W, at most the maximum total limit
+     */
+    static getMinTotalLimit(config) {
+        if (config.minTotalLimit === undefined || config.minTotalLimit === null) {
+            return 0;
+        }
+        return Math.min(Math.max(config.minTotalLimit, 0), PowerCalculator.getMaxTotalLimit(config));
+    }
+
+    /**
+     * Clamp a limit to the range an inverter accepts
+     * @param {number} value Limit in W
+     * @param {Object} inverter Inverter configuration
+     * @returns {number} Limit between the inverter's min and max power
+     */
+    static clampToInverter(value, inverter) {
+        return Math.max(Math.min(value, inverter.maxPower), inverter.minPower || 0);
+    }
+
+    /**
+     * Calculate the new total limit by adding the whole grid error in one step
+     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     * @param {number} totalOldLimit Sum of the current inverter limits
+     * @param {Object} config Adapter configuration
+     * @returns {number} New total limit
+     */
+    static calculateProportionalTotalLimit(currentGridPower, totalOldLimit, config) {
+        // Importing above target raises production, exporting beyond target lowers it
+        return Math.max(0, totalOldLimit + PowerCalculator.calculateGridError(currentGridPower, config));
+    }
+
+    /**
+     * Distribute a total limit among the inverters, clamped to each inverter's min and max power
+     *
+     * Modes:
+     * - 'equal': equal share per available inverter, clamped surplus is dropped (default)
+     * - 'fill': equal share, surplus clamped at one inverter is redistributed to the others
+     * - 'production': share weighted by the current actual AC power, clamped surplus redistributed
+     * @param {number} totalLimit Total limit to distribute
+     * @param {Array<{index: number, value: number, actualPower?: number}>} currentLimits Current inverter limits
+     * @param {Object} config Adapter configuration
+     * @returns {Array<number>} New limit per entry of currentLimits
+     */
+    static distributeTotalLimit(totalLimit, currentLimits, config) {
+        const inverters = currentLimits.map(limit => config.inverters[limit.index]);
+        const maxPowers = inverters.map(inverter => inverter.maxPower);
+
+        if (config.distributionMode !== 'fill' && config.distributionMode !== 'production') {
+            const newLimitPerInverter = Math.floor(totalLimit / currentLimits.length);
+            // Enforce power limit range per inverter
+            return inverters.map(inverter => PowerCalculator.clampToInverter(newLimitPerInverter, inverter));
+        }
+
+        // Weight by actual production; a floor of 5% of max power lets idle or fully curtailed inverters recover
+        const weights = currentLimits.map((limit, i) => {
+            if (config.distributionMode !== 'production') {
+                return 1;
+            }
+            const actualPower = Number.isFinite(limit.actualPower) ? limit.actualPower : 0;
+            return Math.max(actualPower, maxPowers[i] * 0.05);
+        });
+
+        // Water-filling: saturate inverters that would exceed their max power and hand the rest to the others
+        const shares = currentLimits.map(() => 0);
+        let open = currentLimits.map((_, i) => i);
+        let remaining = Math.max(0, totalLimit);
+
+        while (open.length > 0 && remaining > 0) {
+            const weightSum = open.reduce((sum, i) => sum + weights[i], 0);
+            const saturated = open.filter(i => remaining * weights[i] / weightSum >= maxPowers[i]);
+
+            if (saturated.length === 0) {
+                for (const i of open) {
+                    shares[i] = remaining * weights[i] / weightSum;
+                }
+                break;
+            }
+
+            for (const i of saturated) {
+                shares[i] = maxPowers[i];
+                remaining -= maxPowers[i];
+            }
+            open = open.filter(i => !saturated.includes(i));
+        }
+
+        // The minimum power is a hard floor, even if the total is exceeded
+        return shares.map((share, i) => PowerCalculator.clampToInverter(Math.floor(share), inverters[i]));
+    }
+
+    /**
+     * Decide whether a calculated limit change should be applied
+     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     * @param {number} totalOldLimit Sum of the current inverter limits
+     * @param {number} totalNewLimit Sum of the new clamped inverter limits
+     * @param {number|null} lastDecreaseTime Timestamp of the last applied decrease
+     * @param {number} now Current timestamp in ms
+     * @param {Object} config Adapter configuration
+     * @param {number} [actualGridPower] Measured grid power for the export ceiling, if the regulated grid power is corrected (e.g. for a battery)
+     * @returns {{apply: boolean, isDecrease: boolean, reason: string, remainingDelay: number}} Decision and its reason
+     */
+    static decideAdjustment(currentGridPower, totalOldLimit, totalNewLimit, lastDecreaseTime, now, config, actualGridPower = currentGridPower) {
+        const target = PowerCalculator.resolveTarget(config);
+        const isDecrease = totalNewLimit < totalOldLimit;
+        const decision = { apply: false, isDecrease, reason: '', remainingDelay: 0 };
+
+        // Exceeding the hard export ceiling decreases immediately, regardless of threshold and delay
+        if (target.exportCeiling !== null && -actualGridPower > target.exportCeiling && isDecrease) {
+            decision.apply = true;
+            decision.reason = 'export ceiling exceeded';
+            return decision;
+        }
+
+        if (Math.abs(currentGridPower - target.setpoint) <= target.tolerance) {
+            decision.reason = 'within tolerance band';
+            return decision;
+        }
+
+        // Only adjust if actual total limit change (after clamping) is above threshold
+        if (Math.abs(totalNewLimit - totalOldLimit) < config.feedInThreshold) {
+            decision.reason = 'threshold not reached';
+            return decision;
+        }
+
+        // For increases, apply immediately
+        if (!isDecrease) {
+            decision.apply = true;
+            decision.reason = 'increase';
+            return decision;
+        }
+
+        // For decreases, check if enough time has passed since last decrease
+        const decreaseDelay = config.pollingInterval * 3; // 3x polling interval delay
+        if (!lastDecreaseTime || (now - lastDecreaseTime) >= decreaseDelay) {
+            decision.apply = true;
+            decision.reason = 'decrease';
+        } else {
+            decision.reason = 'decrease delayed';
+            decision.remainingDelay = decreaseDelay - (now - lastDecreaseTime);
+        }
+        return decision;
+    }
+
+    /**
+     * Limit the change of the total limit to the configured ramp rates
+     * @param {number} totalOldLimit Sum of the current inverter limits
+     * @param {number} totalNewLimit Calculated total limit
+     * @param {number} elapsed Time the change may take in ms
+     * @param {{rampUpRate?: number, rampDownRate?: number}} config Ramp rates in W/s, 0 = no ramp
+     * @returns {number} Total limit reachable within the elapsed time
+     */
+    static applyRampRate(totalOldLimit, totalNewLimit, elapsed, config) {
+        const seconds = elapsed / 1000;
+        if (totalNewLimit > totalOldLimit && config.rampUpRate > 0) {
+            return Math.min(totalNewLimit, totalOldLimit + Math.round(config.rampUpRate * seconds));
+        }
+        if (totalNewLimit < totalOldLimit && config.rampDownRate > 0) {
+            return Math.max(totalNewLimit, totalOldLimit - Math.round(config.rampDownRate * seconds));
+        }
+        return totalNewLimit;
+    }
+
     /**
      * Calculate new clamped power limits for all inverters
      * @param {number} currentGridPower Current grid power (negative = feeding in)
      * @param {Array<{index: number, inverterObject: string, controlObject: string, value: number}>} currentLimits Current inverter limits
      * @param {Object} config Adapter configuration
+     * @param {import('./power-controller')} [controller] Controller strategy, proportional jump if omitted
+     * @param {{totalLimit?: number|null, inverterLimits?: Object<number, number>}} [overrides] Manual total limit and per-inverter limits by index
      * @returns {{newLimits: Array<{index: number, controlObject: string, oldValue: number, newValue: number}>, totalOldLimit: number, totalNewLimit: number}}
      */
-    static calculateNewClampedLimits(currentGridPower, currentLimits, config) {
+    static calculateNewClampedLimits(currentGridPower, currentLimits, config, controller, overrides = {}) {
         // Calculate total current limit
         const totalOldLimit = currentLimits.reduce((sum, limit) => sum + limit.value, 0);
 
-        // Calculate the adjustment needed
+        // Calculate the adjustment needed, unless the total is pinned manually
         let newTotalLimit;
-        if (currentGridPower >= 0) {
-            // Consuming from grid - increase PV production to reach target feed-in
-            newTotalLimit = totalOldLimit + currentGridPower + config.targetFeedIn;
+        if (overrides.totalLimit !== undefined && overrides.totalLimit !== null) {
+            newTotalLimit = overrides.totalLimit;
         } else {
-            // Feeding into grid - adjust to reach target feed-in
-            const excessFeedIn = -currentGridPower - config.targetFeedIn;
-            newTotalLimit = Math.max(0, totalOldLimit - excessFeedIn);
+            if (controller) {
+                newTotalLimit = controller.calculateTotalLimit(currentGridPower, totalOldLimit, Date.now(), config);
+            } else {
+                newTotalLimit = PowerCalculator.calculateProportionalTotalLimit(currentGridPower, totalOldLimit, config);
+            }
+            if (config.maxTotalLimit !== undefined && config.maxTotalLimit !== null) {
+                newTotalLimit = Math.min(newTotalLimit, config.maxTotalLimit);
+            }
+            newTotalLimit = Math.max(newTotalLimit, PowerCalculator.getMinTotalLimit(config));
+        }
+
+        // Inverters with a manual limit keep it, the rest of the total goes to the others
+        const inverterLimits = overrides.inverterLimits || {};
+        const pinnedLimits = new Map();
+        for (const limit of currentLimits) {
+            const manualLimit = inverterLimits[limit.index];
+            if (manualLimit !== undefined && manualLimit !== null) {
+                pinnedLimits.set(limit.index, PowerCalculator.clampToInverter(manualLimit, config.inverters[limit.index]));
+            }
         }
+        const freeLimits = currentLimits.filter(limit => !pinnedLimits.has(limit.index));
+        const pinnedTotal = [...pinnedLimits.values()].reduce((sum, value) => sum + value, 0);
+
+        // Distribute the new total limit among the inverters
+        const distributedLimits = PowerCalculator.distributeTotalLimit(
+            Math.max(0, newTotalLimit - pinnedTotal), freeLimits, config
+        );
 
-        // Distribute the new total limit equally among all inverters
-        const newLimitPerInverter = Math.floor(newTotalLimit / config.inverters.length);
-        
-        // Calculate clamped limits for each inverter
+        // Build the new limit for each inverter
         const newLimits = [];
         let totalNewLimit = 0;
-        
+
         for (const limit of currentLimits) {
-            const inverter = config.inverters[limit.index];
-            // Enforce maximum power limit per inverter
-            const clampedLimit = Math.min(newLimitPerInverter, inverter.maxPower || 2250);
-            
+            const newValue = pinnedLimits.has(limit.index)
+                ? pinnedLimits.get(limit.index)
+                : distributedLimits[freeLimits.indexOf(limit)];
             newLimits.push({
                 index: limit.index,
                 controlObject: limit.controlObject,
                 oldValue: limit.value,
-                newValue: clampedLimit
+                newValue
             });
-            
-            totalNewLimit += clampedLimit;
+
+            totalNewLimit += newValue;
         }
 
         return {
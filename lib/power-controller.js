@@ -0,0 +1,112 @@
+'use strict';
+
+const PowerCalculator = require('./power-calculator');
+
+/**
+ * Total power limit controller for ZeroPV adapter
+ *
+ * Strategies:
+ * - 'p': proportional jump, the whole grid error is added to the current total limit (default)
+ * - 'pi' / 'pid': positional PI(D) controller with anti-windup and a filtered derivative on the measurement
+ */
+class PowerController {
+    /**
+     * @param {Object} config Adapter configuration
+     */
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    /**
+     * Reset the controller state; the next update re-initializes bumplessly from the current limit
+     */
+    reset() {
+        this.integral = null;
+        this.error = 0;
+        this.derivative = 0;
+        this.output = null;
+        this.lastGridPower = null;
+        this.lastUpdateTime = null;
+    }
+
+    /**
+     * Calculate the new total limit for all inverters
+     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     * @param {number} totalOldLimit Sum of the current inverter limits
+     * @param {number} [now] Current timestamp in ms
+     * @param {Object} [config] Effective configuration for this cycle (e.g. with runtime target overrides)
+     * @returns {number} New total limit (unclamped per inverter)
+     */
+    calculateTotalLimit(currentGridPower, totalOldLimit, now = Date.now(), config = this.config) {
+        if (this.config.controllerType !== 'pi' && this.config.controllerType !== 'pid') {
+            return PowerCalculator.calculateProportionalTotalLimit(currentGridPower, totalOldLimit, config);
+        }
+
+        const kp = this.config.controllerKp;
+        const ki = this.config.controllerKi;
+        const kd = this.config.controllerType === 'pid' ? this.config.controllerKd : 0;
+        const maxTotalLimit = PowerCalculator.getMaxTotalLimit(config);
+        const minTotalLimit = PowerCalculator.getMinTotalLimit(config);
+
+        // Positive error = importing more than targeted, so production may increase
+        const error = PowerCalculator.calculateGridError(currentGridPower, config);
+
+        // Treat long gaps (e.g. after a restart or a meter outage) as a fresh start
+        const maxGap = this.config.pollingInterval * 5;
+        if (this.lastUpdateTime === null || (now - this.lastUpdateTime) > maxGap) {
+            this.reset();
+        }
+        const dt = this.lastUpdateTime === null ? 0 : (now - this.lastUpdateTime) / 1000;
+
+        // Derivative on measurement avoids kicks when the target changes; filtered with an EMA
+        if (dt > 0 && kd > 0) {
+            const rawDerivative = (currentGridPower - this.lastGridPower) / dt;
+            const alpha = this.config.controllerDerivativeFilter;
+            this.derivative = alpha * rawDerivative + (1 - alpha) * this.derivative;
+        }
+        const derivativeTerm = kd * this.derivative;
+
+        if (this.integral === null) {
+            // Bumpless start: continue from the limit the inverters currently have
+            this.integral = totalOldLimit - kp * error - derivativeTerm;
+        } else if (dt > 0) {
+            const candidate = this.integral + ki * error * dt;
+            const unclamped = kp * error + candidate + derivativeTerm;
+            // Anti-windup: stop integrating further into saturation
+            const saturatedHigh = unclamped > maxTotalLimit && error > 0;
+            const saturatedLow = unclamped < minTotalLimit && error < 0;
+            if (!saturatedHigh && !saturatedLow) {
+                this.integral = candidate;
+            }
+        }
+        this.integral = Math.min(Math.max(this.integral, minTotalLimit), maxTotalLimit);
+
+        const output = Math.min(Math.max(kp * error + this.integral + derivativeTerm, minTotalLimit), maxTotalLimit);
+
+        this.error = error;
+        this.output = output;
+        this.lastGridPower = currentGridPower;
+        this.lastUpdateTime = now;
+
+        return output;
+    }
+
+    /**
+     * Continue from a total limit that was applied instead of the calculated one, e.g. held back by the ramp rate
+     *
+     * Anti-windup like the clamp: the integral is corrected by the difference, so it does not accumulate the
+     * error the applied limit was not allowed to follow and overshoot once the ramp has caught up.
+     * @param {number} calculatedTotal Total limit calculated from the controller output
+     * @param {number} appliedTotal Total limit actually applied
+     */
+    trackAppliedLimit(calculatedTotal, appliedTotal) {
+        if (this.integral === null || this.output === null) {
+            return;
+        }
+        this.integral += appliedTotal - calculatedTotal;
+        this.output += appliedTotal - calculatedTotal;
+    }
+}
+
+module.exports = PowerController;
\ No newline at end of file
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Dynamic electricity price utilities for ZeroPV adapter
+ *
+ * Price levels:
+ * - 'low': price below the low threshold, exporting costs money, regulate to strict zero export
+ * - 'high': price above the high threshold, export up to the legal cap
+ * - null: price in between or unknown, the configured target applies
+ */
+class PriceManager {
+    /**
+     * Read the current electricity price
+     * @param {Object} config Adapter configuration
+     * @param {Function} getForeignStateAsync Function to get foreign state
+     * @param {Object} logger Logger instance
+     * @returns {Promise<number|null>} Current price, null if unavailable
+     */
+    static async readPrice(config, getForeignStateAsync, logger) {
+        try {
+            const state = await getForeignStateAsync(config.priceObject);
+            const price = state ? parseFloat(state.val) : NaN;
+            if (isNaN(price)) {
+                logger.debug(`Could not read electricity price from ${config.priceObject}`);
+                return null;
+            }
+            return price;
+        } catch (error) {
+            logger.debug(`Error reading electricity price: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Classify a price against the configured thresholds
+     * @param {number|null|undefined} price Current price
+     * @param {Object} config Adapter configuration
+     * @returns {'low'|'high'|null} Price level, null if no threshold applies
+     */
+    static classify(price, config) {
+        if (typeof price !== 'number' || isNaN(price)) {
+            return null;
+        }
+        if (price < config.priceLowThreshold) {
+            return 'low';
+        }
+        if (config.priceHighThreshold !== null && config.priceHighThreshold !== undefined && price > config.priceHighThreshold) {
+            return 'high';
+        }
+        return null;
+    }
+}
+
+module.exports = PriceManager;
\ No newline at end of file
@@ -0,0 +1,103 @@
+'use strict';
+
+// Weekdays of Date.getDay() (0 = Sunday) per day selection
+const DAY_SELECTIONS = {
+    everyday: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekend: [0, 6],
+    sunday: [0],
+    monday: [1],
+    tuesday: [2],
+    wednesday: [3],
+    thursday: [4],
+    friday: [5],
+    saturday: [6]
+};
+
+/**
+ * Time-of-day schedule utilities for ZeroPV adapter
+ *
+ * Each schedule entry applies to a day selection and a time window [from, to). Windows ending
+ * before they start run over midnight and belong to the day they start on. Entries are checked
+ * in table order, the first active entry wins.
+ */
+class ScheduleManager {
+    /**
+     * Get all valid day selections
+     * @returns {Array<string>}
+     */
+    static getDaySelections() {
+        return Object.keys(DAY_SELECTIONS);
+    }
+
+    /**
+     * Parse a time of day
+     * @param {string} time Time as HH:MM
+     * @returns {number|null} Minutes since midnight, null if invalid
+     */
+    static parseTime(time) {
+        const match = typeof time === 'string' ? time.trim().match(/^(\d{1,2}):(\d{2})$/) : null;
+        if (!match) {
+            return null;
+        }
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+            return null;
+        }
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Check whether a schedule entry is active at a point in time
+     * @param {{enabled: boolean, days: string, from: string, to: string}} entry Schedule entry
+     * @param {Date} date Point in time
+     * @returns {boolean}
+     */
+    static isActive(entry, date) {
+        if (!entry.enabled) {
+            return false;
+        }
+        const from = ScheduleManager.parseTime(entry.from);
+        const to = ScheduleManager.parseTime(entry.to);
+        const days = DAY_SELECTIONS[entry.days] || DAY_SELECTIONS.everyday;
+        const weekday = date.getDay();
+        const now = date.getHours() * 60 + date.getMinutes();
+
+        if (from === to) {
+            // Whole day
+            return days.includes(weekday);
+        }
+        if (from < to) {
+            return days.includes(weekday) && now >= from && now < to;
+        }
+        // Over midnight: the part after midnight belongs to the previous day
+        if (now >= from) {
+            return days.includes(weekday);
+        }
+        return now < to && days.includes((weekday + 6) % 7);
+    }
+
+    /**
+     * Find the schedule entry active at a point in time
+     * @param {Array<Object>} schedules Schedule entries in priority order
+     * @param {Date} date Point in time
+     * @returns {{index: number, entry: Object} | null} First active entry, null if none is active
+     */
+    static findActiveEntry(schedules, date) {
+        const index = (schedules || []).findIndex(entry => ScheduleManager.isActive(entry, date));
+        return index === -1 ? null : { index, entry: schedules[index] };
+    }
+
+    /**
+     * Get the display name of a schedule entry
+     * @param {{name?: string}} entry Schedule entry
+     * @param {number} index Index in the schedule table
+     * @returns {string}
+     */
+    static getName(entry, index) {
+        return entry.name ? entry.name : `Schedule ${index + 1}`;
+    }
+}
+
+module.exports = ScheduleManager;
\ No newline at end of file
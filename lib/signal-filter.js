@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Input filter for the grid power the regulator acts on
+ *
+ * Filters:
+ * - 'none': raw meter value
+ * - 'ema': exponential moving average, each sample is weighted with gridFilterAlpha
+ * - 'median': median of the last gridFilterWindow samples
+ * - 'spike': samples deviating more than gridFilterSpikeThreshold from the median of the previous
+ *   gridFilterWindow samples are replaced by that median. A lasting change passes once it fills more
+ *   than half the window.
+ *
+ * Windows count meter readings, so their duration depends on the polling interval or the meter's update rate.
+ */
+class SignalFilter {
+    constructor() {
+        this.samples = []; // last raw samples, oldest first
+        this.average = null; // current moving average
+    }
+
+    /**
+     * Filter a grid power sample
+     * @param {number} value Raw grid power in W
+     * @param {{gridFilter?: string, gridFilterAlpha?: number, gridFilterWindow?: number, gridFilterSpikeThreshold?: number}} config Filter configuration
+     * @returns {number} Filtered grid power in W
+     */
+    filter(value, config) {
+        switch (config.gridFilter) {
+            case 'ema':
+                this.average = this.average === null ? value : this.average + config.gridFilterAlpha * (value - this.average);
+                return Math.round(this.average * 10) / 10;
+            case 'median':
+                this.addSample(value, config.gridFilterWindow);
+                return SignalFilter.median(this.samples);
+            case 'spike': {
+                const reference = this.samples.length > 0 ? SignalFilter.median(this.samples) : value;
+                this.addSample(value, config.gridFilterWindow);
+                return Math.abs(value - reference) > config.gridFilterSpikeThreshold ? reference : value;
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Forget all samples, e.g. after the meter was stale
+     */
+    reset() {
+        this.samples = [];
+        this.average = null;
+    }
+
+    /**
+     * Add a raw sample, keeping the last samples of the window
+     * @param {number} value Raw grid power in W
+     * @param {number} window Number of samples to keep
+     */
+    addSample(value, window) {
+        this.samples.push(value);
+        while (this.samples.length > window) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Get the median of samples
+     * @param {Array<number>} values Samples, not empty
+     * @returns {number} Middle value, the mean of both middle values for an even count
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) * 5) / 10;
+    }
+}
+
+module.exports = SignalFilter;
\ No newline at end of file
@@ -24,6 +24,19 @@ class StateManager {
             native: {}
         });
 
+        await adapter.setObjectNotExistsAsync('gridPowerFiltered', {
+            type: 'state',
+            common: {
+                name: 'Grid power the regulation acts on, after the input filter (+ = import, - = export)',
+                type: 'number',
+                role: 'value.power',
+                read: true,
+                write: false,
+                unit: 'W'
+            },
+            native: {}
+        });
+
         await adapter.setObjectNotExistsAsync('feedingIn', {
             type: 'state',
             common: {
@@ -66,7 +79,7 @@ class StateManager {
         // Create states for each inverter
         for (let i = 0; i < inverters.length; i++) {
             const inverter = inverters[i];
-            const inverterName = await getInverterDisplayName(inverter.inverterObject, i);
+            const inverterName = await getInverterDisplayName(inverter, i);
             
             await adapter.setObjectNotExistsAsync(`inverter${i}.powerLimit`, {
                 type: 'state',
@@ -82,6 +95,454 @@ class StateManager {
             });
         }
     }
+
+    /**
+     * Create writable command states for runtime control
+     * @param {Object} adapter - The adapter instance
+     * @param {Array} inverters - Array of inverter configurations
+     * @param {Function} getInverterDisplayName - Function to get inverter display names
+     */
+    static async createControlStatesAsync(adapter, inverters, getInverterDisplayName) {
+        await adapter.setObjectNotExistsAsync('control.enabled', {
+            type: 'state',
+            common: {
+                name: 'Power control enabled',
+                type: 'boolean',
+                role: 'switch.enable',
+                read: true,
+                write: true,
+                def: true
+            },
+            native: {}
+        });
+
+        await adapter.setObjectNotExistsAsync('control.targetFeedIn', {
+            type: 'state',
+            common: {
+                name: 'Maximum grid export override (empty = configured value)',
+                type: 'number',
+                role: 'level.power',
+                read: true,
+                write: true,
+                min: 0,
+                unit: 'W'
+            },
+            native: {}
+        });
+
+        await adapter.setObjectNotExistsAsync('control.manualTotalLimit', {
+            type: 'state',
+            common: {
+                name: 'Manual total inverter limit (empty = automatic)',
+                type: 'number',
+                role: 'level.power',
+                read: true,
+                write: true,
+                min: 0,
+                unit: 'W'
+            },
+            native: {}
+        });
+
+        for (let i = 0; i < inverters.length; i++) {
+            const inverter = inverters[i];
+            const inverterName = await getInverterDisplayName(inverter, i);
+
+            await adapter.setObjectNotExistsAsync(`inverter${i}.manualLimit`, {
+                type: 'state',
+                common: {
+                    name: `${inverterName} manual limit (empty = automatic)`,
+                    type: 'number',
+                    role: 'level.power',
+                    read: true,
+                    write: true,
+                    min: 0,
+                    unit: 'W'
+                },
+                native: {}
+            });
+        }
+    }
+
+    /**
+     * Create states tracking the limit commands sent to each inverter
+     * @param {Object} adapter - The adapter instance
+     * @param {Array} inverters - Array of inverter configurations
+     * @param {Function} getInverterDisplayName - Function to get inverter display names
+     */
+    static async createCommandStatesAsync(adapter, inverters, getInverterDisplayName) {
+        for (let i = 0; i < inverters.length; i++) {
+            const inverter = inverters[i];
+            const inverterName = await getInverterDisplayName(inverter, i);
+
+            await adapter.setObjectNotExistsAsync(`inverter${i}.commandStatus`, {
+                type: 'state',
+                common: {
+                    name: `${inverterName} limit command status`,
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                    states: {
+                        pending: 'pending',
+                        retrying: 'retrying',
+                        confirmed: 'confirmed',
+                        failed: 'failed'
+                    }
+                },
+                native: {}
+            });
+
+            await adapter.setObjectNotExistsAsync(`inverter${i}.lastCommandError`, {
+                type: 'state',
+                common: {
+                    name: `${inverterName} last limit command error`,
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            });
+        }
+    }
+
+    /**
+     * Create the limit command counters
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createCommandCounterStatesAsync(adapter) {
+        const counters = {
+            sent: 'Limit commands sent since adapter start, including retries',
+            deferred: 'Limit commands deferred by the command budget since adapter start',
+            coalesced: 'Deferred limit commands superseded before they were sent since adapter start',
+            lastMinute: 'Limit commands sent within the last minute'
+        };
+        for (const [counter, name] of Object.entries(counters)) {
+            await adapter.setObjectNotExistsAsync(`commands.${counter}`, {
+                type: 'state',
+                common: {
+                    name,
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            });
+        }
+    }
+
+    /**
+     * Create states showing whether each inverter takes part in the limit distribution and its derived max power
+     * @param {Object} adapter - The adapter instance
+     * @param {Array} inverters - Array of inverter configurations
+     * @param {Function} getInverterDisplayName - Function to get inverter display names
+     */
+    static async createAvailabilityStatesAsync(adapter, inverters, getInverterDisplayName) {
+        for (let i = 0; i < inverters.length; i++) {
+            const inverter = inverters[i];
+            const inverterName = await getInverterDisplayName(inverter, i);
+
+            await adapter.setObjectNotExistsAsync(`inverter${i}.available`, {
+                type: 'state',
+                common: {
+                    name: `${inverterName} is reachable and producing`,
+                    type: 'boolean',
+                    role: 'indicator.reachable',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            });
+
+            await adapter.setObjectNotExistsAsync(`inverter${i}.reportedMaxPower`, {
+                type: 'state',
+                common: {
+                    name: `${inverterName} max power derived from its limits`,
+                    type: 'number',
+                    role: 'value.power',
+                    read: true,
+                    write: false,
+                    unit: 'W'
+                },
+                native: {}
+            });
+        }
+    }
+
+    /**
+     * Create states exposing the battery regulation
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createBatteryStatesAsync(adapter) {
+        await adapter.setObjectNotExistsAsync('battery.full', {
+            type: 'state',
+            common: {
+                name: 'Battery is full, surplus throttles PV',
+                type: 'boolean',
+                role: 'indicator',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+
+        await adapter.setObjectNotExistsAsync('battery.regulatedGridPower', {
+            type: 'state',
+            common: {
+                name: 'Grid power the inverter limits regulate on, corrected for the battery',
+                type: 'number',
+                role: 'value.power',
+                read: true,
+                write: false,
+                unit: 'W'
+            },
+            native: {}
+        });
+
+        await adapter.setObjectNotExistsAsync('battery.chargeSetpoint', {
+            type: 'state',
+            common: {
+                name: 'Battery power setpoint (+ = charge, - = discharge)',
+                type: 'number',
+                role: 'value.power',
+                read: true,
+                write: false,
+                unit: 'W'
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Create states exposing the power dispatched to the controllable loads
+     * @param {Object} adapter - The adapter instance
+     * @param {Array} loads - Array of load configurations
+     * @param {Function} getLoadName - Function to get the load display name
+     */
+    static async createLoadStatesAsync(adapter, loads, getLoadName) {
+        for (let i = 0; i < loads.length; i++) {
+            await adapter.setObjectNotExistsAsync(`load${i}.dispatchedPower`, {
+                type: 'state',
+                common: {
+                    name: `${getLoadName(loads[i], i)} dispatched power (0 = off)`,
+                    type: 'number',
+                    role: 'value.power',
+                    read: true,
+                    write: false,
+                    unit: 'W'
+                },
+                native: {}
+            });
+        }
+    }
+
+    /**
+     * Create the state publishing the most recent control cycles
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createHistoryStatesAsync(adapter) {
+        await adapter.setObjectNotExistsAsync('history.lastDecisions', {
+            type: 'state',
+            common: {
+                name: 'Most recent control cycles (JSON, oldest first)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Create the hard export limit alarm states
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createSafetyStatesAsync(adapter) {
+        await adapter.setObjectNotExistsAsync('safety.exportAlarm', {
+            type: 'state',
+            common: {
+                name: 'Grid export exceeded the hard export limit, inverter limits are cut',
+                type: 'boolean',
+                role: 'indicator.alarm',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+
+        await adapter.setObjectNotExistsAsync('safety.exportViolations', {
+            type: 'state',
+            common: {
+                name: 'Number of times the grid export exceeded the hard export limit beyond the grace period',
+                type: 'number',
+                role: 'value',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Create the energy accounting states
+     * @param {Object} adapter - The adapter instance
+     * @param {Array<string>} periods - Period types, e.g. day, month, year
+     * @param {Array<string>} counters - Energy counter names, e.g. exported, imported
+     */
+    static async createEnergyStatesAsync(adapter, periods, counters) {
+        const counterNames = {
+            exported: 'Energy exported to the grid',
+            imported: 'Energy imported from the grid',
+            produced: 'PV energy produced',
+            curtailed: 'Estimated PV energy curtailed'
+        };
+        for (const period of periods) {
+            for (const counter of counters) {
+                await adapter.setObjectNotExistsAsync(`energy.${period}.${counter}`, {
+                    type: 'state',
+                    common: {
+                        name: `${counterNames[counter] || counter} this ${period}`,
+                        type: 'number',
+                        role: 'value.energy',
+                        read: true,
+                        write: false,
+                        unit: 'kWh'
+                    },
+                    native: {}
+                });
+            }
+            await adapter.setObjectNotExistsAsync(`energy.${period}.selfConsumption`, {
+                type: 'state',
+                common: {
+                    name: `Share of PV energy consumed on-site this ${period}`,
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                    unit: '%'
+                },
+                native: {}
+            });
+        }
+
+        await adapter.setObjectNotExistsAsync('energy.snapshot', {
+            type: 'state',
+            common: {
+                name: 'Energy counters persisted across restarts',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Create the load prediction states
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createPredictionStatesAsync(adapter) {
+        const states = {
+            'prediction.baseLoad': { name: 'Base load predicted for the current time of day (empty until learned)', unit: 'W', role: 'value.power' },
+            'prediction.floor': { name: 'Floor for the total inverter limit from the predicted base load', unit: 'W', role: 'value.power' },
+            'prediction.meanAbsoluteError': { name: 'Mean absolute error of the predicted base load over the last week', unit: 'W', role: 'value.power' },
+            'prediction.bias': { name: 'Mean error of the predicted base load over the last week (+ = predicted too high)', unit: 'W', role: 'value.power' },
+            'prediction.exportRisk': { name: 'Share of slots over the last week whose floor was above the observed base load', unit: '%', role: 'value' },
+            'prediction.evaluatedSlots': { name: 'Number of 15 minute slots the prediction was rated on', role: 'value' }
+        };
+
+        for (const [id, common] of Object.entries(states)) {
+            await adapter.setObjectNotExistsAsync(id, {
+                type: 'state',
+                common: {
+                    ...common,
+                    type: 'number',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            });
+        }
+
+        await adapter.setObjectNotExistsAsync('prediction.model', {
+            type: 'state',
+            common: {
+                name: 'Learned base load per time of day persisted across restarts',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Create the state showing the active schedule entry
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createScheduleStatesAsync(adapter) {
+        await adapter.setObjectNotExistsAsync('schedule.activeEntry', {
+            type: 'state',
+            common: {
+                name: 'Active schedule entry (empty = none)',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Create the state explaining the grid power target
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createTargetStatesAsync(adapter) {
+        await adapter.setObjectNotExistsAsync('target.reason', {
+            type: 'state',
+            common: {
+                name: 'Why the current grid power target was chosen',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Create states exposing the PI/PID controller state
+     * @param {Object} adapter - The adapter instance
+     */
+    static async createControllerStatesAsync(adapter) {
+        const states = {
+            'controller.error': 'Controller error (grid power above target)',
+            'controller.integral': 'Controller integral term',
+            'controller.output': 'Controller output (total limit before distribution)'
+        };
+
+        for (const [id, name] of Object.entries(states)) {
+            await adapter.setObjectNotExistsAsync(id, {
+                type: 'state',
+                common: {
+                    name,
+                    type: 'number',
+                    role: 'value.power',
+                    read: true,
+                    write: false,
+                    unit: 'W'
+                },
+                native: {}
+            });
+        }
+    }
 }
 
 module.exports = StateManager;
\ No newline at end of file
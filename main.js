@@ -11,10 +11,26 @@ const utils = require('@iobroker/adapter-core');
 // Load your modules here, e.g.:
 // const fs = require("fs");
 const PowerCalculator = require('./lib/power-calculator');
+const PowerController = require('./lib/power-controller');
 const InverterManager = require('./lib/inverter-manager');
 const ConfigValidator = require('./lib/config-validator');
 const ObjectFilter = require('./lib/object-filter');
 const StateManager = require('./lib/state-manager');
+const MeterReader = require('./lib/meter-reader');
+const CommandTracker = require('./lib/command-tracker');
+const CommandBudget = require('./lib/command-budget');
+const BatteryManager = require('./lib/battery-manager');
+const ScheduleManager = require('./lib/schedule-manager');
+const PriceManager = require('./lib/price-manager');
+const LoadDispatcher = require('./lib/load-dispatcher');
+const ControlHistory = require('./lib/control-history');
+const EnergyCounter = require('./lib/energy-counter');
+const ExportGuard = require('./lib/export-guard');
+const SignalFilter = require('./lib/signal-filter');
+const LoadPredictor = require('./lib/load-predictor');
+
+// Energy counters are persisted at most this often, and on rollover and unload
+const ENERGY_SNAPSHOT_INTERVAL = 5 * 60 * 1000;
 
 class Zeropv extends utils.Adapter {
 
@@ -33,7 +49,47 @@ class Zeropv extends utils.Adapter {
         this.on('unload', this.onUnload.bind(this));
         
         this.pollingTimer = null;
+        this.powerController = null;
+        this.history = null; // ring buffer of recent control cycles
+        this.energyCounter = null; // energy accounting, null if disabled
+        this.lastEnergySnapshotTime = null; // timestamp energy.snapshot was last written
+        this.cycleInverterLimits = null; // inverter limits read in the current cycle
+        this.meterWatchdogTimer = null;
+        this.meterFallbackActive = false; // polling fallback while the meter is silent in event mode
+        this.controlCycleRunning = false;
+        this.lastControlTime = 0; // timestamp of last event-driven control cycle
+        this.limitChangePending = false; // inverter limit changed since last event-driven control cycle
+        this.meterStale = false; // fail-safe active because the meter delivers no usable data
         this.lastDecreaseTime = null; // timestamp of last power decrease
+        this.lastLimitChangeTime = null; // timestamp limits were last applied, the ramp rates count from it
+        this.commandTracker = new CommandTracker(); // limit commands waiting for confirmation
+        this.commandBudget = new CommandBudget(); // rate limit of the limit commands
+        this.commandFlushTimer = null; // sends deferred limits once the command budget allows
+        this.publishedLimits = new Map(); // limit sent per inverter index, published as currentPowerLimit
+        this.exportGuard = new ExportGuard(); // hard export limit watch
+        this.exportGuardTimer = null; // re-checks the hard export limit when its grace period expires
+        this.lastGridPower = null; // last valid grid power reading
+        this.gridFilter = new SignalFilter(); // input filter of the grid power the regulation acts on
+        this.loadPredictor = null; // base load learned per time of day, null if disabled
+        this.predictionFloor = 0; // floor for the total limit from the predicted base load
+        // opendtu adapter objects until onReady picks the configured backend
+        this.inverterBackend = InverterManager.createBackend({}, id => this.getForeignStateAsync(id), (id, value) => this.setForeignStateAsync(id, value));
+        this.loadDispatcher = new LoadDispatcher(); // power dispatched to the controllable loads
+        this.inverterAvailability = {}; // last published availability by inverter index
+        this.reportedMaxPowers = {}; // max power reported by OpenDTU by inverter index
+        this.lastBatterySetpoint = null; // last charge power written to the battery
+        this.activeSchedule = null; // schedule entry active in the current control cycle
+        this.activeScheduleIndex = null; // index of the published active schedule entry, -1 = none
+        this.currentPrice = null; // electricity price read in the current control cycle
+        this.targetReason = null; // last published reason for the grid power target
+
+        // Runtime overrides written to the control.* and inverterN.manualLimit states
+        this.control = {
+            enabled: true,
+            targetFeedIn: null,
+            manualTotalLimit: null,
+            manualLimits: {}
+        };
     }
 
     /**
@@ -44,6 +100,7 @@ class Zeropv extends utils.Adapter {
 
         // Reset the connection indicator during startup
         await this.setState('info.connection', false, true);
+        await this.setState('info.meterStale', false, true);
 
         // Validate configuration
         const validationResult = ConfigValidator.validateAndNormalize(this.config, this.log);
@@ -54,16 +111,64 @@ class Zeropv extends utils.Adapter {
             return;
         }
 
-        this.log.info(`Power source: ${this.config.powerSourceObject}`);
+        this.inverterBackend = InverterManager.createBackend(this.config, id => this.getForeignStateAsync(id), (id, value) => this.setForeignStateAsync(id, value));
+
+        this.log.info(`Power source: ${MeterReader.describe(this.config)}`);
         this.log.info(`Number of inverters: ${this.config.inverters.length}`);
         for (let i = 0; i < this.config.inverters.length; i++) {
             const inv = this.config.inverters[i];
-            const displayName = await this.getInverterDisplayName(inv.inverterObject, i);
-            this.log.info(`Inverter ${i + 1} (${displayName}): ${inv.inverterObject}`);
+            const displayName = await this.getInverterDisplayName(inv, i);
+            this.log.info(`Inverter ${i + 1} (${displayName}): ${this.inverterBackend.describe(inv)}`);
         }
+        this.log.info(`Control mode: ${this.config.controlMode}`);
         this.log.info(`Polling interval: ${this.config.pollingInterval}ms`);
+        this.log.info(`Meter fail-safe: ${this.config.failSafeAction} after ${this.config.meterMaxAge}s without fresh data`);
         this.log.info(`Inverter limit change threshold: ${this.config.feedInThreshold}W`);
-        this.log.info(`Maximum grid export: ${this.config.targetFeedIn}W`);
+        if (this.config.gridFilter !== 'none') {
+            const filterSettings = {
+                ema: `smoothing factor ${this.config.gridFilterAlpha}`,
+                median: `${this.config.gridFilterWindow} samples`,
+                spike: `${this.config.gridFilterSpikeThreshold}W from the median of ${this.config.gridFilterWindow} samples`
+            };
+            this.log.info(`Grid power filter: ${this.config.gridFilter}, ${filterSettings[this.config.gridFilter]}`);
+        }
+        if (this.config.targetMode === 'band') {
+            this.log.info(`Grid setpoint: ${this.config.gridSetpoint}W ±${this.config.toleranceBand}W, export ceiling: ${this.config.exportCeiling}W`);
+        } else {
+            this.log.info(`Maximum grid export: ${this.config.targetFeedIn}W`);
+        }
+        this.log.info(`Controller: ${this.config.controllerType.toUpperCase()}`);
+        if (this.config.batteryEnabled) {
+            this.log.info(`Battery: ${this.config.batterySocObject}, full at ${this.config.batteryFullSoc}%, ${this.config.batteryChargeObject ? `charge command ${this.config.batteryChargeObject}` : 'self-regulating'}`);
+        }
+        if (this.config.priceEnabled) {
+            const highPrice = this.config.priceHighThreshold !== null ? `, export up to ${this.config.priceMaxFeedIn}W above ${this.config.priceHighThreshold}` : '';
+            this.log.info(`Electricity price: ${this.config.priceObject}, zero export below ${this.config.priceLowThreshold}${highPrice}`);
+        }
+        for (let i = 0; i < this.config.loads.length; i++) {
+            const load = this.config.loads[i];
+            if (load.enabled) {
+                this.log.info(`Load ${LoadDispatcher.getName(load, i)}: ${load.controlObject}, ${load.type} up to ${load.power}W, priority ${load.priority}`);
+            }
+        }
+        if (this.config.schedules.length > 0) {
+            this.log.info(`Schedules: ${this.config.schedules.filter(entry => entry.enabled).length} of ${this.config.schedules.length} enabled`);
+        }
+        if (this.config.rampUpRate > 0 || this.config.rampDownRate > 0) {
+            this.log.info(`Ramp rates (0 = no ramp): ${this.config.rampUpRate}W/s up, ${this.config.rampDownRate}W/s down`);
+        }
+        if (this.config.hardExportLimitEnabled) {
+            this.log.info(`Hard export limit: ${this.config.hardExportLimit}W after ${this.config.hardExportGrace}s grace period`);
+        }
+        if (this.config.predictionEnabled) {
+            this.log.info(`Load prediction: keeping ${this.config.predictionFloorShare}% of the predicted base load once learned on ${this.config.predictionMinDays} days`);
+        }
+        this.log.info(`Limit commands: confirmation within ${this.config.commandTimeout}ms, ${this.config.commandRetries} retries`);
+        if (this.config.commandMaxPerMinute > 0 || this.config.commandInverterMaxPerMinute > 0
+            || this.config.commandMinSpacing > 0 || this.config.commandInverterMinSpacing > 0) {
+            this.log.info(`Command budget (0 = unlimited): ${this.config.commandMaxPerMinute}/min and ${this.config.commandMinSpacing}ms spacing in total, `
+                + `${this.config.commandInverterMaxPerMinute}/min and ${this.config.commandInverterMinSpacing}ms spacing per inverter`);
+        }
 
         // Create adapter states
         await StateManager.createStatesAsync(
@@ -71,6 +176,57 @@ class Zeropv extends utils.Adapter {
             this.config.inverters, 
             this.getInverterDisplayName.bind(this)
         );
+        if (this.config.controllerType !== 'p') {
+            await StateManager.createControllerStatesAsync(this);
+        }
+        await StateManager.createControlStatesAsync(
+            this,
+            this.config.inverters,
+            this.getInverterDisplayName.bind(this)
+        );
+        await StateManager.createCommandStatesAsync(
+            this,
+            this.config.inverters,
+            this.getInverterDisplayName.bind(this)
+        );
+        await StateManager.createCommandCounterStatesAsync(this);
+        await StateManager.createAvailabilityStatesAsync(
+            this,
+            this.config.inverters,
+            this.getInverterDisplayName.bind(this)
+        );
+        await this.restoreReportedMaxPowers();
+        if (this.config.batteryEnabled) {
+            await StateManager.createBatteryStatesAsync(this);
+        }
+        await StateManager.createScheduleStatesAsync(this);
+        await StateManager.createTargetStatesAsync(this);
+        await StateManager.createLoadStatesAsync(this, this.config.loads, LoadDispatcher.getName);
+        await StateManager.createHistoryStatesAsync(this);
+        if (this.config.hardExportLimitEnabled) {
+            await StateManager.createSafetyStatesAsync(this);
+            await this.restoreExportViolations();
+        }
+        if (this.config.energyEnabled) {
+            await StateManager.createEnergyStatesAsync(this, EnergyCounter.getPeriods(), EnergyCounter.getCounters());
+        }
+        if (this.config.predictionEnabled) {
+            await StateManager.createPredictionStatesAsync(this);
+        }
+
+        this.powerController = new PowerController(this.config);
+        this.history = new ControlHistory(this.config.historySize);
+        if (this.config.energyEnabled) {
+            await this.restoreEnergyCounter();
+        }
+        if (this.config.predictionEnabled) {
+            await this.restoreLoadPredictor();
+        }
+
+        // Restore runtime overrides and listen for new commands
+        await this.restoreControlStates();
+        this.subscribeStates('control.*');
+        this.subscribeStates('inverter*.manualLimit');
 
         // Start power monitoring
         this.startPowerMonitoring();
@@ -82,12 +238,28 @@ class Zeropv extends utils.Adapter {
      * Is called when adapter shuts down - callback has to be called under any circumstances!
      * @param {() => void} callback
      */
-    onUnload(callback) {
+    async onUnload(callback) {
         try {
             if (this.pollingTimer) {
                 clearTimeout(this.pollingTimer);
                 this.pollingTimer = null;
             }
+            if (this.meterWatchdogTimer) {
+                clearTimeout(this.meterWatchdogTimer);
+                this.meterWatchdogTimer = null;
+            }
+            if (this.exportGuardTimer) {
+                clearTimeout(this.exportGuardTimer);
+                this.exportGuardTimer = null;
+            }
+            if (this.commandFlushTimer) {
+                clearTimeout(this.commandFlushTimer);
+                this.commandFlushTimer = null;
+            }
+            this.commandTracker.clear();
+            if (this.energyCounter) {
+                await this.saveEnergySnapshot();
+            }
             this.log.info('ZeroPV adapter stopped');
             callback();
         } catch (e) {
@@ -118,12 +290,37 @@ class Zeropv extends utils.Adapter {
      * @param {ioBroker.State | null | undefined} state
      */
     onStateChange(id, state) {
-        if (state) {
-            // The state was changed
-            this.log.info(`state ${id} changed: ${state.val} (ack = ${state.ack})`);
-        } else {
+        if (!state) {
             // The state was deleted
-            this.log.info(`state ${id} deleted`);
+            this.log.debug(`state ${id} deleted`);
+            return;
+        }
+
+        // Commands to our own writable states
+        if (!state.ack && id.startsWith(`${this.namespace}.`)) {
+            this.handleControlCommand(id.substring(this.namespace.length + 1), state)
+                .catch(err => this.log.error(`Error handling command for ${id}: ${err.message}`));
+            return;
+        }
+
+        if (this.config.controlMode !== 'event') {
+            return;
+        }
+
+        if (MeterReader.getSourceObjects(this.config).includes(id)) {
+            this.handleMeterUpdate(state);
+        } else {
+            const index = this.config.inverters.findIndex(inverter => id === this.inverterBackend.getLimitStateId(inverter));
+            if (index === -1) {
+                return;
+            }
+            this.log.debug(`Inverter limit ${id} changed to ${state.val}W`);
+            this.limitChangePending = true;
+            // Confirm open limit commands right away instead of waiting for the timeout
+            if (this.commandTracker.get(index)) {
+                this.verifyLimitCommand(index, parseFloat(state.val))
+                    .catch(err => this.log.error(`Error verifying limit command: ${err.message}`));
+            }
         }
     }
 
@@ -150,10 +347,25 @@ class Zeropv extends utils.Adapter {
      * @param {ioBroker.Message} obj
      */
     onMessage(obj) {
-        if (typeof obj === 'object' && obj.message) {
-            if (obj.command === 'getObjects') {
-                this.handleGetObjects(obj);
-            }
+        if (typeof obj !== 'object' || !obj) {
+            return;
+        }
+        if (obj.command === 'getObjects' && obj.message) {
+            this.handleGetObjects(obj);
+        } else if (obj.command === 'getHistory') {
+            this.handleGetHistory(obj);
+        }
+    }
+
+    /**
+     * Handle getHistory command, answers with the most recent control cycles (oldest first)
+     * @param {ioBroker.Message} obj Message, optionally with {count: number}
+     */
+    handleGetHistory(obj) {
+        const count = obj.message && typeof obj.message === 'object' ? obj.message.count : undefined;
+        const entries = this.history ? this.history.getEntries(count) : [];
+        if (obj.callback) {
+            this.sendTo(obj.from, obj.command, entries, obj.callback);
         }
     }
 
@@ -198,20 +410,205 @@ class Zeropv extends utils.Adapter {
         }
     }
 
+    /**
+     * Restore runtime overrides from the persisted command states
+     */
+    async restoreControlStates() {
+        const ids = ['control.enabled', 'control.targetFeedIn', 'control.manualTotalLimit'];
+        for (let i = 0; i < this.config.inverters.length; i++) {
+            ids.push(`inverter${i}.manualLimit`);
+        }
+
+        for (const id of ids) {
+            const state = await this.getStateAsync(id);
+            if (!state) {
+                continue;
+            }
+            if (!state.ack) {
+                // Command written while the adapter was not running
+                await this.handleControlCommand(id, state);
+            } else {
+                this.applyControlValue(id, state.val);
+            }
+        }
+    }
+
+    /**
+     * Handle a command written to one of the writable control states
+     * @param {string} id - State ID without namespace
+     * @param {ioBroker.State} state - The written state
+     */
+    async handleControlCommand(id, state) {
+        const { valid, value } = this.applyControlValue(id, state.val);
+        if (valid === undefined) {
+            this.log.debug(`Ignoring write to read-only state ${id}`);
+            return;
+        }
+        if (!valid) {
+            this.log.warn(`Invalid value for ${id}: ${state.val}`);
+        } else {
+            this.log.info(`${id} set to ${value === null ? 'automatic' : value}`);
+        }
+        // Confirm the effective value
+        await this.setState(id, { val: value, ack: true });
+    }
+
+    /**
+     * Validate a control value and store it as runtime override
+     * @param {string} id - State ID without namespace
+     * @param {ioBroker.StateValue} val - The written value
+     * @returns {{valid: boolean|undefined, value: ioBroker.StateValue}} Whether the value was accepted (undefined for unknown states) and the effective value
+     */
+    applyControlValue(id, val) {
+        if (id === 'control.enabled') {
+            const enabled = [true, 'true', 1, '1'].includes(val);
+            if (!enabled && ![false, 'false', 0, '0'].includes(val)) {
+                return { valid: false, value: this.control.enabled };
+            }
+            if (enabled !== this.control.enabled && this.powerController) {
+                this.powerController.reset();
+            }
+            this.control.enabled = enabled;
+            return { valid: true, value: enabled };
+        }
+
+        const inverterMatch = id.match(/^inverter(\d+)\.manualLimit$/);
+        if (id !== 'control.targetFeedIn' && id !== 'control.manualTotalLimit' && !inverterMatch) {
+            return { valid: undefined, value: val };
+        }
+
+        // Empty or negative values switch back to automatic
+        let value;
+        if (val === null || val === undefined || val === '') {
+            value = null;
+        } else {
+            const number = parseFloat(val);
+            if (isNaN(number)) {
+                if (inverterMatch) {
+                    return { valid: false, value: this.control.manualLimits[inverterMatch[1]] ?? null };
+                }
+                return { valid: false, value: id === 'control.targetFeedIn' ? this.control.targetFeedIn : this.control.manualTotalLimit };
+            }
+            value = number < 0 ? null : number;
+        }
+
+        if (id === 'control.targetFeedIn') {
+            this.control.targetFeedIn = value;
+        } else if (id === 'control.manualTotalLimit') {
+            if (value === null && this.control.manualTotalLimit !== null && this.powerController) {
+                this.powerController.reset();
+            }
+            this.control.manualTotalLimit = value;
+        } else if (value === null) {
+            delete this.control.manualLimits[inverterMatch[1]];
+        } else {
+            this.control.manualLimits[inverterMatch[1]] = value;
+        }
+        return { valid: true, value };
+    }
+
+    /**
+     * Get the configuration for the current control cycle including runtime overrides
+     * @returns {ioBroker.AdapterConfig}
+     */
+    getEffectiveConfig() {
+        const overrides = {};
+        const schedule = this.activeSchedule ? this.activeSchedule.entry : null;
+        if (schedule && schedule.targetFeedIn !== null) {
+            overrides.targetFeedIn = schedule.targetFeedIn;
+            overrides.targetSource = `schedule ${ScheduleManager.getName(schedule, this.activeSchedule.index)}`;
+        }
+        if (schedule && schedule.maxTotalLimit !== null) {
+            overrides.maxTotalLimit = schedule.maxTotalLimit;
+        }
+        // control.targetFeedIn takes precedence over the schedule
+        if (this.control.targetFeedIn !== null) {
+            overrides.targetFeedIn = this.control.targetFeedIn;
+            overrides.targetSource = 'control.targetFeedIn';
+        }
+        if (this.config.priceEnabled) {
+            overrides.currentPrice = this.currentPrice;
+        }
+        if (this.predictionFloor > 0) {
+            overrides.minTotalLimit = this.predictionFloor;
+        }
+        if (Object.keys(overrides).length === 0) {
+            return this.config;
+        }
+        return { ...this.config, ...overrides };
+    }
+
+    /**
+     * Evaluate the schedule table and publish the active entry when it changes
+     */
+    async updateActiveSchedule() {
+        this.activeSchedule = ScheduleManager.findActiveEntry(this.config.schedules, new Date());
+        const index = this.activeSchedule ? this.activeSchedule.index : -1;
+        if (index === this.activeScheduleIndex) {
+            return;
+        }
+        const name = this.activeSchedule ? ScheduleManager.getName(this.activeSchedule.entry, index) : '';
+        if (this.activeSchedule) {
+            this.log.info(`Schedule ${name} is active`);
+        } else if (this.activeScheduleIndex !== null) {
+            this.log.info('No schedule is active, using the configured settings');
+        }
+        this.activeScheduleIndex = index;
+        await this.setState('schedule.activeEntry', { val: name, ack: true });
+    }
+
+    /**
+     * Read the electricity price for the current control cycle
+     */
+    async updatePrice() {
+        this.currentPrice = await PriceManager.readPrice(this.config, this.getForeignStateAsync.bind(this), this.log);
+        if (this.currentPrice === null) {
+            this.log.debug('Electricity price not available, using the regular target');
+        }
+    }
+
+    /**
+     * Publish why the current grid power target was chosen when it changes
+     * @param {Object} config Effective configuration of the control cycle
+     */
+    async updateTargetReason(config) {
+        const reason = PowerCalculator.resolveTarget(config).reason;
+        if (reason === this.targetReason) {
+            return;
+        }
+        this.log.info(`Regulating to ${reason}`);
+        this.targetReason = reason;
+        await this.setState('target.reason', { val: reason, ack: true });
+    }
+
+    /**
+     * Get why regulation is disabled right now
+     * @returns {string|null} Source that disabled regulation, null if regulation is enabled
+     */
+    getControlDisabledReason() {
+        if (!this.control.enabled) {
+            return 'control.enabled';
+        }
+        if (this.activeSchedule && this.activeSchedule.entry.disable) {
+            return `schedule ${ScheduleManager.getName(this.activeSchedule.entry, this.activeSchedule.index)}`;
+        }
+        return null;
+    }
+
     /**
      * Get the display name for an inverter from OpenDTU
-     * @param {string} inverterObject - The base inverter object ID
+     * @param {Object} inverter - The inverter configuration
      * @param {number} index - The inverter index for fallback naming
      * @returns {Promise<string>} The display name
      */
-    async getInverterDisplayName(inverterObject, index) {
+    async getInverterDisplayName(inverter, index) {
         try {
-            const nameState = await this.getForeignStateAsync(`${inverterObject}.name`);
-            if (nameState && nameState.val) {
-                return nameState.val.toString();
+            const name = await this.inverterBackend.read(inverter, 'name');
+            if (name) {
+                return name.toString();
             }
         } catch (error) {
-            this.log.debug(`Could not get name for inverter ${inverterObject}: ${error.message}`);
+            this.log.debug(`Could not get name for inverter ${this.inverterBackend.describe(inverter)}: ${error.message}`);
         }
         return `Inverter ${index + 1}`;
     }
@@ -231,7 +628,23 @@ class Zeropv extends utils.Adapter {
      * Start periodic power monitoring
      */
     startPowerMonitoring() {
-        this.log.info('Starting power monitoring...');
+        if (this.config.controlMode === 'event') {
+            this.log.info('Starting event-driven power monitoring...');
+            for (const sourceObject of MeterReader.getSourceObjects(this.config)) {
+                this.subscribeForeignStates(sourceObject);
+            }
+            for (const inverter of this.config.inverters) {
+                const limitStateId = this.inverterBackend.getLimitStateId(inverter);
+                if (limitStateId) {
+                    this.subscribeForeignStates(limitStateId);
+                }
+            }
+            this.restartMeterWatchdog();
+        } else {
+            this.log.info('Starting power monitoring...');
+        }
+
+        // Initial reading; only polling mode keeps rescheduling it
         this.pollPowerData().catch(err => this.log.error(`Error in pollPowerData: ${err.message}`));
     }
 
@@ -240,34 +653,202 @@ class Zeropv extends utils.Adapter {
      */
     async pollPowerData() {
         try {
-            const powerState = await this.getForeignStateAsync(this.config.powerSourceObject);
-            
-            if (powerState && powerState.val !== null && powerState.val !== undefined) {
-                const powerValue = parseFloat(powerState.val);
-                
-                if (!isNaN(powerValue)) {
-                    await this.setState('gridPower', { val: powerValue, ack: true });
-                    
-                    const isFeedingIn = powerValue < 0;
-                    await this.setState('feedingIn', { val: isFeedingIn, ack: true });
-                    
-                    this.log.debug(`Grid power: ${powerValue}W, Feeding in: ${isFeedingIn}`);
-                    
-                    // Check if power control adjustment is needed
-                    await this.checkPowerControlAdjustment(powerValue);
-                } else {
-                    this.log.warn(`Invalid power value from ${this.config.powerSourceObject}: ${powerState.val}`);
+            const powerState = await MeterReader.readMeterState(this.config, this.getForeignStateAsync.bind(this));
+            await this.processPowerState(powerState);
+        } catch (error) {
+            this.log.error(`Error reading power data: ${error.message}`);
+        }
+
+        if (this.config.controlMode !== 'event' || this.meterFallbackActive) {
+            this.pollingTimer = setTimeout(() => {
+                this.pollPowerData();
+            }, this.config.pollingInterval);
+        }
+    }
+
+    /**
+     * Validate a power meter reading, publish it and run the power control
+     * @param {{val: ioBroker.StateValue, ts?: number} | null | undefined} powerState Combined state of the configured meter sources
+     */
+    async processPowerState(powerState) {
+        if (powerState && powerState.val !== null && powerState.val !== undefined) {
+            const powerValue = parseFloat(powerState.val);
+
+            if (!isNaN(powerValue)) {
+                const age = powerState.ts ? Date.now() - powerState.ts : 0;
+                if (this.config.meterMaxAge > 0 && age > this.config.meterMaxAge * 1000) {
+                    this.log.debug(`Power value from ${MeterReader.describe(this.config)} is ${Math.round(age / 1000)}s old`);
+                    await this.handleStaleMeter(`last update ${Math.round(age / 1000)}s ago`);
+                    return;
                 }
+                if (this.meterStale) {
+                    await this.clearStaleMeter();
+                }
+
+                await this.setState('gridPower', { val: powerValue, ack: true });
+
+                const isFeedingIn = powerValue < 0;
+                await this.setState('feedingIn', { val: isFeedingIn, ack: true });
+
+                const filteredPower = this.gridFilter.filter(powerValue, this.config);
+                await this.setState('gridPowerFiltered', { val: filteredPower, ack: true });
+
+                this.log.debug(`Grid power: ${powerValue}W (filtered: ${filteredPower}W), Feeding in: ${isFeedingIn}`);
+
+                // The hard export limit is checked first on the raw value, a cut replaces the regulation of this cycle
+                this.cycleInverterLimits = null;
+                this.lastGridPower = powerValue;
+                const limitsCut = await this.enforceHardExportLimit(powerValue);
+                if (!limitsCut) {
+                    await this.checkPowerControlAdjustment(filteredPower, powerValue);
+                }
+                await this.updateEnergy(powerValue);
+                await this.updateLoadPrediction(powerValue);
             } else {
-                this.log.warn(`No data received from ${this.config.powerSourceObject}`);
+                this.log.warn(`Invalid power value from ${MeterReader.describe(this.config)}: ${powerState.val}`);
+                await this.handleStaleMeter('invalid value');
             }
+        } else {
+            this.log.warn(`No data received from ${MeterReader.describe(this.config)}`);
+            await this.handleStaleMeter('no data');
+        }
+    }
+
+    /**
+     * Enter or stay in fail-safe mode while the power meter delivers no usable data
+     * @param {string} reason Why the meter data is unusable
+     */
+    async handleStaleMeter(reason) {
+        await this.updateActiveSchedule();
+        if (!this.meterStale) {
+            this.meterStale = true;
+            if (this.energyCounter) {
+                this.energyCounter.interrupt();
+            }
+            if (this.loadPredictor) {
+                this.loadPredictor.interrupt();
+            }
+            this.log.warn(`Power meter ${MeterReader.describe(this.config)} is stale (${reason}), fail-safe action: ${this.config.failSafeAction}`);
+            await this.setState('info.meterStale', { val: true, ack: true });
+            await this.setState('powerControlActive', { val: false, ack: true });
+            // Without meter data the battery could charge from or discharge into the grid
+            if (this.config.batteryEnabled && this.config.batteryChargeObject && this.getControlDisabledReason() === null) {
+                await this.setBatterySetpoint(0);
+            }
+        }
+
+        // Without meter data the surplus is unknown, loads are switched off once their min on time has passed
+        if (this.hasLoads() && this.getControlDisabledReason() === null) {
+            const { changes } = this.loadDispatcher.dispatch(-Infinity, this.config.loads, Date.now());
+            await this.sendLoadCommands(changes);
+        }
+
+        if (this.config.failSafeAction === 'hold') {
+            return;
+        }
+        const disabledReason = this.getControlDisabledReason();
+        if (disabledReason !== null) {
+            this.log.debug(`Power control disabled via ${disabledReason}, skipping fail-safe limits`);
+            return;
+        }
+
+        try {
+            const currentLimits = this.getAvailableLimits(await this.getAllInverterLimits());
+            if (currentLimits === null) {
+                return;
+            }
+
+            // Fill every inverter up to its max power before moving on to the next
+            const failSafeConfig = { ...this.config, distributionMode: 'fill' };
+            const totalLimit = this.config.failSafeAction === 'maxPower'
+                ? PowerCalculator.getMaxTotalLimit(this.getEffectiveConfig())
+                : this.config.failSafeLimit;
+            const { newLimits, totalOldLimit, totalNewLimit } = PowerCalculator.calculateNewClampedLimits(
+                0, currentLimits, failSafeConfig, null, { totalLimit }
+            );
+            await this.applyInverterPowerLimits(newLimits, totalNewLimit);
+            await this.recordCycle({
+                oldTotalLimit: totalOldLimit, newTotalLimit: totalNewLimit, limits: newLimits,
+                reason: `fail-safe ${this.config.failSafeAction} (${reason})`, applied: true
+            });
+            // Fail-safe limits are no regulation
+            await this.setState('powerControlActive', { val: false, ack: true });
         } catch (error) {
-            this.log.error(`Error reading power data: ${error.message}`);
+            this.log.error(`Error applying fail-safe limits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Leave fail-safe mode once fresh meter data arrives
+     */
+    async clearStaleMeter() {
+        this.meterStale = false;
+        this.log.info(`Power meter ${MeterReader.describe(this.config)} delivers fresh data again, resuming power control`);
+        await this.setState('info.meterStale', { val: false, ack: true });
+        // Samples from before the outage do not describe the grid anymore
+        this.gridFilter.reset();
+        // Start the regulation from the fail-safe limits
+        if (this.powerController) {
+            this.powerController.reset();
+        }
+        this.lastDecreaseTime = null;
+    }
+
+    /**
+     * Handle a pushed power meter update in event-driven mode
+     * @param {ioBroker.State} state New state of one of the configured meter sources
+     */
+    handleMeterUpdate(state) {
+        this.restartMeterWatchdog();
+
+        if (this.meterFallbackActive) {
+            this.meterFallbackActive = false;
+            if (this.pollingTimer) {
+                clearTimeout(this.pollingTimer);
+                this.pollingTimer = null;
+            }
+            this.log.info(`Power meter ${MeterReader.describe(this.config)} is sending updates again, resuming event-driven control`);
+        }
+
+        const now = Date.now();
+        if (this.controlCycleRunning) {
+            this.log.debug('Control cycle still running, skipping meter update');
+            return;
+        }
+        // A changed inverter limit invalidates the previous decision, so don't hold back the first reading after it
+        if (!this.limitChangePending && (now - this.lastControlTime) < this.config.minControlInterval) {
+            this.log.debug(`Meter update within ${this.config.minControlInterval}ms of last control cycle, skipping`);
+            return;
         }
 
-        this.pollingTimer = setTimeout(() => {
-            this.pollPowerData();
-        }, this.config.pollingInterval);
+        this.controlCycleRunning = true;
+        this.lastControlTime = now;
+        this.limitChangePending = false;
+        // A single source can be used as pushed, several sources have to be combined
+        const meterStatePromise = MeterReader.getSourceObjects(this.config).length === 1
+            ? Promise.resolve(MeterReader.combineStates(this.config, [state]))
+            : MeterReader.readMeterState(this.config, this.getForeignStateAsync.bind(this));
+        meterStatePromise
+            .then(meterState => this.processPowerState(meterState))
+            .catch(err => this.log.error(`Error processing power data: ${err.message}`))
+            .finally(() => {
+                this.controlCycleRunning = false;
+            });
+    }
+
+    /**
+     * (Re)start the watchdog that falls back to polling when the meter stops pushing updates
+     */
+    restartMeterWatchdog() {
+        if (this.meterWatchdogTimer) {
+            clearTimeout(this.meterWatchdogTimer);
+        }
+        this.meterWatchdogTimer = setTimeout(() => {
+            this.meterWatchdogTimer = null;
+            this.log.warn(`No update from ${MeterReader.describe(this.config)} for ${this.config.meterWatchdogTimeout}ms, falling back to polling`);
+            this.meterFallbackActive = true;
+            this.pollPowerData().catch(err => this.log.error(`Error in pollPowerData: ${err.message}`));
+        }, this.config.meterWatchdogTimeout);
     }
 
     /**
@@ -277,130 +858,827 @@ class Zeropv extends utils.Adapter {
      * @returns {{newLimits: Array<{index: number, controlObject: string, oldValue: number, newValue: number}>, totalOldLimit: number, totalNewLimit: number}}
      */
     calculateNewClampedLimits(currentGridPower, currentLimits) {
-        return PowerCalculator.calculateNewClampedLimits(currentGridPower, currentLimits, this.config);
+        return PowerCalculator.calculateNewClampedLimits(
+            currentGridPower,
+            currentLimits,
+            this.getEffectiveConfig(),
+            this.powerController,
+            { totalLimit: this.control.manualTotalLimit, inverterLimits: this.control.manualLimits }
+        );
+    }
+
+    /**
+     * Limit a change of the total limit to the configured ramp rates
+     *
+     * The ramp counts from the last applied limits, at most over the decrease delay of three polling intervals,
+     * so a change after a quiet period does not jump at once.
+     * @param {number} totalOldLimit Sum of the current inverter limits
+     * @param {number} totalNewLimit Calculated total limit
+     * @param {number} now Current timestamp in ms
+     * @returns {number} Total limit to apply
+     */
+    rampTotalLimit(totalOldLimit, totalNewLimit, now) {
+        const maxElapsed = this.config.pollingInterval * 3;
+        const elapsed = this.lastLimitChangeTime === null ? maxElapsed : Math.min(now - this.lastLimitChangeTime, maxElapsed);
+        return PowerCalculator.applyRampRate(totalOldLimit, totalNewLimit, elapsed, this.config);
+    }
+
+    /**
+     * Publish the PI/PID controller state
+     */
+    async updateControllerStates() {
+        if (this.config.controllerType === 'p' || !this.powerController) {
+            return;
+        }
+        await this.setState('controller.error', { val: Math.round(this.powerController.error), ack: true });
+        await this.setState('controller.integral', { val: Math.round(this.powerController.integral), ack: true });
+        await this.setState('controller.output', { val: Math.round(this.powerController.output), ack: true });
     }
 
     /**
      * Check if power control adjustment is needed based on calculated inverter limit change
-     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     * @param {number} currentGridPower Current grid power (negative = feeding in), filtered for the regulation
+     * @param {number} [measuredGridPower] Unfiltered grid power for the export ceiling
      */
-    async checkPowerControlAdjustment(currentGridPower) {
+    async checkPowerControlAdjustment(currentGridPower, measuredGridPower = currentGridPower) {
         try {
-            // Get current limits from all inverters
-            const currentLimits = await this.getAllInverterLimits();
-            if (currentLimits.length === 0) {
-                this.log.warn('Could not read current power limits from any inverters');
+            await this.updateActiveSchedule();
+            const disabledReason = this.getControlDisabledReason();
+            if (disabledReason !== null) {
+                this.log.debug(`Power control disabled via ${disabledReason}, skipping adjustment`);
+                await this.setState('powerControlActive', { val: false, ack: true });
+                await this.recordCycle({ gridPower: currentGridPower, reason: `disabled via ${disabledReason}`, applied: false });
                 return;
             }
+            if (this.config.priceEnabled) {
+                await this.updatePrice();
+            }
+            await this.updateTargetReason(this.getEffectiveConfig());
+            await this.updatePredictionFloor(measuredGridPower);
+
+            // Get current limits from all available inverters
+            const currentLimits = this.getAvailableLimits(await this.getAllInverterLimits());
+            if (currentLimits === null) {
+                await this.setState('powerControlActive', { val: false, ack: true });
+                await this.recordCycle({ gridPower: currentGridPower, reason: 'no inverter available', applied: false });
+                return;
+            }
+
+            // The battery takes its share first, the inverter limits regulate the rest
+            let regulatedGridPower = currentGridPower;
+            if (this.config.batteryEnabled) {
+                regulatedGridPower = await this.applyBatteryPlan(currentGridPower);
+            }
+            // Loads take the surplus left by the battery, PV is only curtailed for the rest
+            if (this.hasLoads()) {
+                regulatedGridPower = await this.applyLoadDispatch(regulatedGridPower, currentLimits);
+            }
 
             // Calculate new clamped limits and actual total change
-            const { newLimits, totalOldLimit, totalNewLimit } = this.calculateNewClampedLimits(currentGridPower, currentLimits);
+            const { newLimits, totalOldLimit, totalNewLimit } = this.calculateNewClampedLimits(regulatedGridPower, currentLimits);
+            await this.updateControllerStates();
             
-            // Only adjust if actual total limit change (after clamping) is above threshold
             const actualLimitChange = Math.abs(totalNewLimit - totalOldLimit);
-            
-            if (actualLimitChange >= this.config.feedInThreshold) {
-                const isDecrease = totalNewLimit < totalOldLimit;
-                const now = Date.now();
-                
-                // For increases, apply immediately
-                if (!isDecrease) {
-                    this.log.debug(`Total inverter limit would increase by ${actualLimitChange}W (after clamping), adjusting inverter power limits`);
-                    await this.applyInverterPowerLimits(newLimits, totalNewLimit);
-                } else {
-                    // For decreases, check if enough time has passed since last decrease
-                    const decreaseDelay = this.config.pollingInterval * 3; // 3x polling interval delay
-                    
-                    if (!this.lastDecreaseTime || (now - this.lastDecreaseTime) >= decreaseDelay) {
-                        this.log.debug(`Total inverter limit would decrease by ${actualLimitChange}W (after clamping), adjusting inverter power limits`);
-                        await this.applyInverterPowerLimits(newLimits, totalNewLimit);
-                        this.lastDecreaseTime = now;
-                    } else {
-                        const remainingDelay = Math.ceil((decreaseDelay - (now - this.lastDecreaseTime)) / 1000);
-                        this.log.debug(`Decrease needed but delaying for ${remainingDelay}s to avoid premature reduction`);
-                        await this.setState('powerControlActive', { val: false, ack: true });
+            const now = Date.now();
+            let decision = PowerCalculator.decideAdjustment(
+                regulatedGridPower, totalOldLimit, totalNewLimit, this.lastDecreaseTime, now, this.getEffectiveConfig(), measuredGridPower
+            );
+
+            // Manually pinned limits are applied as soon as they differ, regardless of threshold and delay
+            const manualChange = newLimits.some(limit => limit.newValue !== limit.oldValue
+                && (this.control.manualTotalLimit !== null || this.control.manualLimits[limit.index] !== undefined));
+            if (manualChange && !decision.apply) {
+                decision = { apply: true, isDecrease: decision.isDecrease, reason: 'manual limit', remainingDelay: 0 };
+            }
+
+            // Approach the calculated total at the ramp rates, unless pinned manually or beyond the hard export limit
+            let appliedLimits = { newLimits, totalNewLimit };
+            let reason = decision.reason;
+            const bypassRamp = decision.reason === 'manual limit' || this.control.manualTotalLimit !== null
+                || (decision.isDecrease && this.config.rampBypassHardLimit && this.exportGuard.exceedingSince !== null);
+            if (decision.apply && !bypassRamp) {
+                const rampedTotal = this.rampTotalLimit(totalOldLimit, totalNewLimit, now);
+                if (rampedTotal !== totalNewLimit) {
+                    this.log.debug(`Ramping total inverter limit to ${rampedTotal}W on the way to ${totalNewLimit}W`);
+                    appliedLimits = PowerCalculator.calculateNewClampedLimits(
+                        0, currentLimits, this.getEffectiveConfig(), null, { totalLimit: rampedTotal, inverterLimits: this.control.manualLimits }
+                    );
+                    reason = `${decision.reason} (ramped)`;
+                    // The controller continues from the ramped limit instead of winding up the error the ramp holds back
+                    if (this.powerController) {
+                        this.powerController.trackAppliedLimit(totalNewLimit, rampedTotal);
                     }
                 }
+            }
+
+            if (decision.apply) {
+                if (decision.reason === 'export ceiling exceeded') {
+                    this.log.debug(`Grid export ${-measuredGridPower}W exceeds ceiling of ${PowerCalculator.resolveTarget(this.getEffectiveConfig()).exportCeiling}W, decreasing total inverter limit by ${actualLimitChange}W immediately`);
+                } else if (decision.reason === 'manual limit') {
+                    this.log.debug('Applying manually set inverter limits');
+                } else {
+                    this.log.debug(`Total inverter limit would ${decision.reason} by ${actualLimitChange}W (after clamping), adjusting inverter power limits`);
+                }
+                await this.applyInverterPowerLimits(appliedLimits.newLimits, appliedLimits.totalNewLimit);
+                if (decision.isDecrease) {
+                    this.lastDecreaseTime = now;
+                }
             } else {
+                if (decision.reason === 'decrease delayed') {
+                    this.log.debug(`Decrease needed but delaying for ${Math.ceil(decision.remainingDelay / 1000)}s to avoid premature reduction`);
+                } else if (decision.reason === 'within tolerance band') {
+                    this.log.debug(`Grid power ${regulatedGridPower}W within tolerance band, no adjustment needed`);
+                }
                 await this.setState('powerControlActive', { val: false, ack: true });
             }
+            await this.recordCycle({
+                gridPower: currentGridPower, regulatedGridPower, oldTotalLimit: totalOldLimit, newTotalLimit: appliedLimits.totalNewLimit,
+                limits: appliedLimits.newLimits, reason, applied: decision.apply
+            });
         } catch (error) {
             this.log.error(`Error in power control adjustment: ${error.message}`);
         }
     }
 
+    /**
+     * Cut the inverter limits once the grid export exceeded the hard export limit for longer than the grace period
+     *
+     * The cut bypasses threshold, decrease delay and controller and applies while the regulation is disabled
+     * or limits are set manually.
+     * @param {number} gridPower Current grid power (negative = feeding in)
+     * @returns {Promise<boolean>} Whether the limits were cut
+     */
+    async enforceHardExportLimit(gridPower) {
+        if (!this.config.hardExportLimitEnabled) {
+            return false;
+        }
+        const now = Date.now();
+        const result = this.exportGuard.check(gridPower, this.config, now);
+        if (result.action === 'wait') {
+            this.log.debug(`Grid export ${-gridPower}W exceeds the hard limit of ${this.config.hardExportLimit}W, cutting limits in ${Math.ceil(result.remainingGrace / 1000)}s`);
+            this.scheduleExportGuardCheck(result.remainingGrace);
+            return false;
+        }
+        if (this.exportGuardTimer) {
+            clearTimeout(this.exportGuardTimer);
+            this.exportGuardTimer = null;
+        }
+        if (result.action === 'clear') {
+            this.log.info(`Grid export ${-gridPower}W is back within the hard limit of ${this.config.hardExportLimit}W`);
+            await this.setState('safety.exportAlarm', { val: false, ack: true });
+        }
+        if (result.action !== 'cut') {
+            return false;
+        }
+
+        if (result.newViolation) {
+            this.log.warn(`Grid export ${-gridPower}W exceeded the hard limit of ${this.config.hardExportLimit}W for ${this.config.hardExportGrace}s, cutting inverter limits`);
+            await this.setState('safety.exportAlarm', { val: true, ack: true });
+            await this.setState('safety.exportViolations', { val: this.exportGuard.violations, ack: true });
+        }
+        try {
+            const currentLimits = this.getAvailableLimits(await this.getAllInverterLimits());
+            if (currentLimits === null) {
+                return false;
+            }
+            const producing = currentLimits.filter(limit => typeof limit.actualPower === 'number');
+            const producedPower = producing.length === currentLimits.length
+                ? producing.reduce((sum, limit) => sum + limit.actualPower, 0)
+                : null;
+            const currentTotal = currentLimits.reduce((sum, limit) => sum + limit.value, 0);
+            let totalLimit = ExportGuard.getCutLimit(currentTotal, producedPower, result.excess);
+            if (!this.config.rampBypassHardLimit) {
+                totalLimit = this.rampTotalLimit(currentTotal, totalLimit, now);
+            }
+            const { newLimits, totalOldLimit, totalNewLimit } = PowerCalculator.calculateNewClampedLimits(
+                0, currentLimits, this.getEffectiveConfig(), null, { totalLimit }
+            );
+            this.log.debug(`Cutting total inverter limit from ${totalOldLimit}W to ${totalNewLimit}W for ${result.excess}W beyond the hard export limit`);
+            await this.applyInverterPowerLimits(newLimits, totalNewLimit, true);
+            this.lastDecreaseTime = now;
+            // The controller continues from the cut limits
+            if (this.powerController) {
+                this.powerController.reset();
+            }
+            await this.recordCycle({
+                gridPower, oldTotalLimit: totalOldLimit, newTotalLimit: totalNewLimit, limits: newLimits,
+                reason: 'hard export limit exceeded', applied: true
+            });
+            return true;
+        } catch (error) {
+            this.log.error(`Error enforcing hard export limit: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Check the hard export limit again when its grace period expires, without waiting for the next meter reading
+     * @param {number} delay Remaining grace period in ms
+     */
+    scheduleExportGuardCheck(delay) {
+        if (this.exportGuardTimer) {
+            return;
+        }
+        this.exportGuardTimer = setTimeout(() => {
+            this.exportGuardTimer = null;
+            if (this.lastGridPower === null || this.meterStale || this.controlCycleRunning) {
+                return;
+            }
+            this.enforceHardExportLimit(this.lastGridPower)
+                .catch(err => this.log.error(`Error checking hard export limit: ${err.message}`));
+        }, delay);
+    }
+
+    /**
+     * Restore the number of hard export limit violations counted before the last restart
+     */
+    async restoreExportViolations() {
+        await this.setState('safety.exportAlarm', { val: false, ack: true });
+        try {
+            const violationsState = await this.getStateAsync('safety.exportViolations');
+            if (violationsState && typeof violationsState.val === 'number') {
+                this.exportGuard.violations = violationsState.val;
+            }
+        } catch (error) {
+            this.log.warn(`Could not restore hard export limit violations, starting from zero: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore the energy counters persisted before the last restart
+     */
+    async restoreEnergyCounter() {
+        const now = Date.now();
+        this.energyCounter = new EnergyCounter(now);
+        try {
+            const snapshotState = await this.getStateAsync('energy.snapshot');
+            if (snapshotState && snapshotState.val) {
+                this.energyCounter.restore(JSON.parse(String(snapshotState.val)), now);
+            }
+        } catch (error) {
+            this.log.warn(`Could not restore energy counters, starting from zero: ${error.message}`);
+        }
+    }
+
+    /**
+     * Integrate the grid power, PV production and curtailed power of this cycle into the energy counters
+     * @param {number} gridPower Current grid power (negative = feeding in)
+     */
+    async updateEnergy(gridPower) {
+        if (!this.energyCounter) {
+            return;
+        }
+        try {
+            // The control cycle may have skipped reading the inverters, e.g. while regulation is disabled
+            const limits = this.cycleInverterLimits || await this.getAllInverterLimits();
+            const producedPower = this.getProducedPower(limits);
+            const curtailedPower = InverterManager.getCurtailedPower(limits.filter(limit => limit.available), this.config.inverters);
+            const now = Date.now();
+            const dayKey = this.energyCounter.toJSON().day.key;
+            this.energyCounter.update({ gridPower, producedPower, curtailedPower }, now);
+
+            const periods = this.energyCounter.toJSON();
+            for (const period of EnergyCounter.getPeriods()) {
+                for (const counter of EnergyCounter.getCounters()) {
+                    await this.setState(`energy.${period}.${counter}`, { val: Math.round(periods[period][counter] * 1000) / 1000, ack: true });
+                }
+                const selfConsumption = this.energyCounter.getSelfConsumption(period);
+                await this.setState(`energy.${period}.selfConsumption`, {
+                    val: selfConsumption === null ? null : Math.round(selfConsumption * 10) / 10,
+                    ack: true
+                });
+            }
+            if (periods.day.key !== dayKey || this.lastEnergySnapshotTime === null || now - this.lastEnergySnapshotTime >= ENERGY_SNAPSHOT_INTERVAL) {
+                await this.saveEnergySnapshot();
+            }
+        } catch (error) {
+            this.log.error(`Error updating energy counters: ${error.message}`);
+        }
+    }
+
+    /**
+     * Persist the energy counters for a restart
+     */
+    async saveEnergySnapshot() {
+        this.lastEnergySnapshotTime = Date.now();
+        await this.setState('energy.snapshot', { val: JSON.stringify(this.energyCounter.toJSON()), ack: true });
+    }
+
+    /**
+     * Get the PV production reported by the inverters
+     * @param {Array<{actualPower?: number|null}>} limits Inverter limits with their actual power
+     * @returns {number|null} Sum of the inverters' AC power in W, null if no inverter reports it
+     */
+    getProducedPower(limits) {
+        const producing = limits.filter(limit => typeof limit.actualPower === 'number');
+        return producing.length > 0 ? producing.reduce((sum, limit) => sum + limit.actualPower, 0) : null;
+    }
+
+    /**
+     * Restore the load prediction model persisted before the last restart
+     */
+    async restoreLoadPredictor() {
+        this.loadPredictor = new LoadPredictor();
+        try {
+            const modelState = await this.getStateAsync('prediction.model');
+            if (modelState && modelState.val) {
+                this.loadPredictor.restore(JSON.parse(String(modelState.val)));
+            }
+        } catch (error) {
+            this.log.warn(`Could not restore load prediction, learning from scratch: ${error.message}`);
+        }
+        await this.updatePredictionMetrics();
+    }
+
+    /**
+     * Learn the household consumption of this cycle and publish the prediction quality once a slot is learned
+     * @param {number} gridPower Current grid power (negative = feeding in)
+     */
+    async updateLoadPrediction(gridPower) {
+        if (!this.loadPredictor) {
+            return;
+        }
+        try {
+            const limits = this.cycleInverterLimits || await this.getAllInverterLimits();
+            const producedPower = this.getProducedPower(limits);
+            if (producedPower === null) {
+                return;
+            }
+            if (this.loadPredictor.update(gridPower + producedPower, Date.now(), this.config)) {
+                await this.setState('prediction.model', { val: JSON.stringify(this.loadPredictor.toJSON()), ack: true });
+                await this.updatePredictionMetrics();
+            }
+        } catch (error) {
+            this.log.error(`Error updating load prediction: ${error.message}`);
+        }
+    }
+
+    /**
+     * Publish how well the predicted base load matched the observed one
+     */
+    async updatePredictionMetrics() {
+        const metrics = this.loadPredictor.getMetrics(this.config);
+        for (const [key, value] of Object.entries(metrics)) {
+            await this.setState(`prediction.${key}`, { val: value, ack: true });
+        }
+    }
+
+    /**
+     * Set the floor for the total limit from the base load predicted for the current time of day
+     *
+     * The floor yields while the grid export exceeds the export ceiling (band mode), the target feed-in or the hard export limit.
+     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     */
+    async updatePredictionFloor(currentGridPower) {
+        if (!this.loadPredictor) {
+            return;
+        }
+        const now = Date.now();
+        const baseLoad = this.loadPredictor.getPrediction(LoadPredictor.getSlot(now), this.config);
+        const target = PowerCalculator.resolveTarget(this.getEffectiveConfig());
+        const maxExport = target.exportCeiling !== null ? target.exportCeiling : -target.setpoint;
+        const exportExceeded = -currentGridPower > maxExport || this.exportGuard.exceedingSince !== null;
+        const floor = exportExceeded ? 0 : this.loadPredictor.getFloor(now, this.config);
+        if (floor !== this.predictionFloor) {
+            this.log.debug(`Total inverter limit floor from load prediction: ${floor}W${exportExceeded ? ' (yielding to the grid export)' : ''}`);
+        }
+        this.predictionFloor = floor;
+        await this.setState('prediction.baseLoad', { val: baseLoad, ack: true });
+        await this.setState('prediction.floor', { val: floor, ack: true });
+    }
+
+    /**
+     * Record a control cycle in the history and publish the most recent cycles
+     * @param {{gridPower?: number, regulatedGridPower?: number, oldTotalLimit?: number, newTotalLimit?: number,
+     *          limits?: Array<{index: number, oldValue: number, newValue: number}>, reason: string, applied: boolean}} cycle Cycle data
+     */
+    async recordCycle(cycle) {
+        if (!this.history) {
+            return;
+        }
+        const limits = (cycle.limits || []).map(limit => ({ index: limit.index, oldValue: limit.oldValue, newValue: limit.newValue }));
+        this.history.add({
+            ts: Date.now(),
+            gridPower: null,
+            regulatedGridPower: null,
+            oldTotalLimit: null,
+            newTotalLimit: null,
+            ...cycle,
+            limits
+        });
+        const recent = this.history.getEntries(this.config.historyStateEntries);
+        await this.setState('history.lastDecisions', { val: JSON.stringify(recent), ack: true });
+    }
+
+    /**
+     * Command the battery and get the grid power left for the inverter regulation
+     * @param {number} currentGridPower Current grid power (negative = feeding in)
+     * @returns {Promise<number>} Grid power the inverter limits regulate on
+     */
+    async applyBatteryPlan(currentGridPower) {
+        const battery = await BatteryManager.readBatteryState(this.config, this.getForeignStateAsync.bind(this), this.log);
+        if (!battery) {
+            this.log.debug('Battery state not available, regulating on grid power only');
+            return currentGridPower;
+        }
+
+        const plan = BatteryManager.plan(currentGridPower, battery, this.getEffectiveConfig());
+        this.log.debug(`Battery at ${battery.soc}% with ${battery.power}W, regulating inverters on ${plan.regulatedGridPower}W`);
+        await this.setState('battery.full', { val: plan.full, ack: true });
+        await this.setState('battery.regulatedGridPower', { val: plan.regulatedGridPower, ack: true });
+        if (plan.chargeSetpoint !== null) {
+            await this.setBatterySetpoint(plan.chargeSetpoint);
+        }
+        return plan.regulatedGridPower;
+    }
+
+    /**
+     * Check whether any controllable load is configured
+     * @returns {boolean}
+     */
+    hasLoads() {
+        return Array.isArray(this.config.loads) && this.config.loads.some(load => load.enabled);
+    }
+
+    /**
+     * Dispatch the surplus to the controllable loads and get the grid power left for the inverter regulation
+     * @param {number} gridPower Grid power to regulate on (negative = feeding in)
+     * @param {Array<{index: number, value: number, actualPower?: number|null}>} currentLimits Current limits of the available inverters
+     * @returns {Promise<number>} Grid power expected once the loads follow their new setpoints
+     */
+    async applyLoadDispatch(gridPower, currentLimits) {
+        const setpoint = PowerCalculator.resolveTarget(this.getEffectiveConfig()).setpoint;
+        const curtailedPower = InverterManager.getCurtailedPower(currentLimits, this.config.inverters);
+        const available = setpoint - gridPower + this.loadDispatcher.getTotalPower() + curtailedPower;
+        this.log.debug(`Surplus for loads: ${available}W (including ${curtailedPower}W curtailed)`);
+
+        const { changes, delta } = this.loadDispatcher.dispatch(available, this.config.loads, Date.now());
+        await this.sendLoadCommands(changes);
+        return gridPower + delta;
+    }
+
+    /**
+     * Write changed load setpoints to the loads
+     * @param {Array<{index: number, load: Object, power: number, previousPower: number}>} changes Loads whose power changed
+     */
+    async sendLoadCommands(changes) {
+        for (const { index, load, power, previousPower } of changes) {
+            const name = LoadDispatcher.getName(load, index);
+            try {
+                await this.setForeignStateAsync(load.controlObject, LoadDispatcher.toCommandValue(load, power));
+                if ((power > 0) !== (previousPower > 0)) {
+                    this.log.info(`Load ${name} switched ${power > 0 ? `on with ${power}W` : 'off'}`);
+                } else {
+                    this.log.debug(`Load ${name} set to ${power}W`);
+                }
+                await this.setState(`load${index}.dispatchedPower`, { val: power, ack: true });
+            } catch (error) {
+                this.log.warn(`Error commanding load ${name}: ${error.message}`);
+                this.loadDispatcher.forget(index);
+            }
+        }
+    }
+
+    /**
+     * Write a new charge power setpoint to the battery if it changed
+     * @param {number} setpoint Battery power in W (+ = charge, - = discharge)
+     */
+    async setBatterySetpoint(setpoint) {
+        if (setpoint === this.lastBatterySetpoint) {
+            return;
+        }
+        try {
+            await this.setForeignStateAsync(this.config.batteryChargeObject, setpoint);
+            this.lastBatterySetpoint = setpoint;
+            await this.setState('battery.chargeSetpoint', { val: setpoint, ack: true });
+        } catch (error) {
+            this.log.error(`Error setting battery charge power: ${error.message}`);
+        }
+    }
+
     /**
      * Get current power limits from all configured inverters
      * @returns {Promise<Array<{index: number, inverterObject: string, controlObject: string, value: number}>>}
      */
     async getAllInverterLimits() {
-        return await InverterManager.getAllInverterLimits(
+        const limits = await InverterManager.getAllInverterLimits(
             this.config, 
-            this.getForeignStateAsync.bind(this), 
-            this.log
+            this.inverterBackend, 
+            this.log,
+            this.reportedMaxPowers
         );
+        await this.updateReportedMaxPowers(limits);
+        await this.updateAvailabilityStates(limits);
+        this.cycleInverterLimits = limits;
+        return limits;
+    }
+
+    /**
+     * Remember the max power reported by the inverters, it is used for inverters without configured max power
+     * and to convert relative limits
+     * @param {Array<{index: number, reportedMaxPower?: number|null}>} limits Current inverter limits
+     */
+    async updateReportedMaxPowers(limits) {
+        for (const limit of limits) {
+            if (!limit.reportedMaxPower) {
+                continue;
+            }
+            if (this.reportedMaxPowers[limit.index] !== limit.reportedMaxPower) {
+                await this.setState(`inverter${limit.index}.reportedMaxPower`, { val: limit.reportedMaxPower, ack: true });
+            }
+            this.reportedMaxPowers[limit.index] = limit.reportedMaxPower;
+            const inverter = this.config.inverters[limit.index];
+            if (!inverter.maxPower) {
+                this.log.info(`Inverter ${limit.index + 1} reports max power of ${limit.reportedMaxPower}W`);
+                inverter.maxPower = limit.reportedMaxPower;
+            }
+        }
+    }
+
+    /**
+     * Restore the max power derived before the last restart, an inverter limited to 0% does not report it
+     */
+    async restoreReportedMaxPowers() {
+        for (let i = 0; i < this.config.inverters.length; i++) {
+            const inverter = this.config.inverters[i];
+            if (inverter.maxPower && inverter.limitType !== 'relative') {
+                continue;
+            }
+            try {
+                const maxPowerState = await this.getStateAsync(`inverter${i}.reportedMaxPower`);
+                if (maxPowerState && typeof maxPowerState.val === 'number' && maxPowerState.val > 0) {
+                    this.reportedMaxPowers[i] = maxPowerState.val;
+                    if (!inverter.maxPower) {
+                        inverter.maxPower = maxPowerState.val;
+                    }
+                }
+            } catch (error) {
+                this.log.warn(`Could not restore max power of inverter ${i + 1}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Publish changes of the inverter availability
+     * @param {Array<{index: number, inverterObject: string, available: boolean}>} limits Current inverter limits
+     */
+    async updateAvailabilityStates(limits) {
+        for (const limit of limits) {
+            if (this.inverterAvailability[limit.index] === limit.available) {
+                continue;
+            }
+            this.inverterAvailability[limit.index] = limit.available;
+            const inverterName = await this.getInverterDisplayName(this.config.inverters[limit.index], limit.index);
+            if (limit.available) {
+                this.log.info(`${inverterName} is available, including it in the limit distribution`);
+            } else {
+                this.log.info(`${inverterName} is unreachable or not producing, excluding it from the limit distribution`);
+            }
+            await this.setState(`inverter${limit.index}.available`, { val: limit.available, ack: true });
+        }
+    }
+
+    /**
+     * Select the inverters that can take a share of the total limit
+     * @param {Array<{index: number, available: boolean}>} limits Current limits of all readable inverters
+     * @returns {Array<{index: number, available: boolean}> | null} Limits of the available inverters, null if there are none
+     */
+    getAvailableLimits(limits) {
+        if (limits.length === 0) {
+            this.log.warn('Could not read current power limits from any inverters');
+            return null;
+        }
+        const availableLimits = limits.filter(limit => limit.available);
+        if (availableLimits.length === 0) {
+            this.log.debug('No inverter is available, skipping power control');
+            return null;
+        }
+        return availableLimits;
     }
 
     /**
      * Apply the calculated power limits to all inverters
      * @param {Array<{index: number, controlObject: string, oldValue: number, newValue: number}>} newLimits New limits to apply
      * @param {number} totalNewLimit Total new power limit across all inverters
+     * @param {boolean} [force] Send regardless of the command budget, e.g. for the hard export limit
      */
-    async applyInverterPowerLimits(newLimits, totalNewLimit) {
+    async applyInverterPowerLimits(newLimits, totalNewLimit, force = false) {
         try {
             this.log.debug(`Applying new power limits, total: ${totalNewLimit}W`);
+            this.lastLimitChangeTime = Date.now();
 
-            // Set new power limit for each inverter
-            const adjustmentPromises = [];
-            const changedInverters = [];
-            
-            const namePromises = [];
+            // Limits deferred in earlier cycles are superseded by this cycle's limits
+            this.commandBudget.coalesce(newLimits);
+
+            const changedLimits = [];
             for (const limit of newLimits) {
-                const inverter = this.config.inverters[limit.index];
-                namePromises.push(this.getInverterDisplayName(inverter.inverterObject, limit.index));
-            }
-            const inverterNames = await Promise.all(namePromises);
-            
-            for (let i = 0; i < newLimits.length; i++) {
-                const limit = newLimits[i];
-                const inverterName = inverterNames[i];
-                
                 // Only send command if limit actually changed
-                if (limit.newValue !== limit.oldValue) {
-                    changedInverters.push(`${inverterName}: ${limit.oldValue}W → ${limit.newValue}W`);
-                    
-                    adjustmentPromises.push(
-                        this.setForeignStateAsync(limit.controlObject, limit.newValue)
-                            .then(async () => {
-                                // Update individual inverter state
-                                await this.setState(`inverter${limit.index}.powerLimit`, { val: limit.newValue, ack: true });
-                            })
-                            .catch(error => {
-                                this.log.error(`Error setting limit for ${inverterName}: ${error.message}`);
-                            })
-                    );
+                if (limit.newValue === limit.oldValue) {
+                    this.log.debug(`Inverter ${limit.index + 1} limit unchanged at ${limit.newValue}W, skipping update`);
+                } else if (this.commandTracker.isPending(limit.index, limit.newValue)) {
+                    this.log.debug(`Inverter ${limit.index + 1} limit command for ${limit.newValue}W still waiting for confirmation`);
                 } else {
-                    this.log.debug(`${inverterName} limit unchanged at ${limit.newValue}W, skipping update`);
+                    changedLimits.push(limit);
                 }
             }
-            
-            // Log changes once
-            if (changedInverters.length > 0) {
-                this.log.info(`Setting inverter limits: ${changedInverters.join(', ')}`);
+
+            const { send, deferred } = this.commandBudget.plan(changedLimits, this.config, Date.now(), force);
+            for (const limit of deferred) {
+                this.log.debug(`Inverter ${limit.index + 1} limit of ${limit.newValue}W deferred, command budget exhausted`);
             }
-            
-            // Wait for all adjustments to complete
-            await Promise.all(adjustmentPromises);
-            
-            // Update our states
-            await this.setState('currentPowerLimit', { val: totalNewLimit, ack: true });
-            await this.setState('powerControlActive', { val: true, ack: true });
-            
+            await this.sendLimitCommands(send);
+            this.scheduleCommandFlush();
+            await this.updateCommandCounterStates();
+
+            // Deferred limits count with their old value until they are sent
+            this.publishedLimits = new Map(newLimits.map(limit => [
+                limit.index, this.commandBudget.queue.has(limit.index) ? limit.oldValue : limit.newValue
+            ]));
+            await this.publishCurrentLimit(send.length > 0 || deferred.length === 0);
         } catch (error) {
             this.log.error(`Error applying inverter power limits: ${error.message}`);
         }
     }
 
+    /**
+     * Track and send limit commands to the inverters
+     * @param {Array<{index: number, controlObject: string, oldValue: number, newValue: number}>} limits Changed limits
+     */
+    async sendLimitCommands(limits) {
+        const inverterNames = await Promise.all(
+            limits.map(limit => this.getInverterDisplayName(this.config.inverters[limit.index], limit.index))
+        );
+
+        const adjustmentPromises = [];
+        const changedInverters = [];
+        for (let i = 0; i < limits.length; i++) {
+            const limit = limits[i];
+            const inverterName = inverterNames[i];
+            changedInverters.push(`${inverterName}: ${limit.oldValue}W → ${limit.newValue}W`);
+
+            const inverter = this.config.inverters[limit.index];
+            const commandValue = InverterManager.toCommandValue(
+                inverter, limit.newValue, InverterManager.getNominalPower(inverter, this.inverterBackend, this.reportedMaxPowers[limit.index])
+            );
+            const command = this.commandTracker.track(limit.index, limit.controlObject, limit.newValue, commandValue);
+            adjustmentPromises.push(
+                this.setState(`inverter${limit.index}.commandStatus`, { val: 'pending', ack: true })
+                    .then(() => this.sendLimitCommand(command, inverterName))
+                    .catch(error => {
+                        this.log.error(`Error setting limit for ${inverterName}: ${error.message}`);
+                    })
+            );
+        }
+
+        // Log changes once
+        if (changedInverters.length > 0) {
+            this.log.info(`Setting inverter limits: ${changedInverters.join(', ')}`);
+        }
+
+        // Wait for all adjustments to complete
+        await Promise.all(adjustmentPromises);
+    }
+
+    /**
+     * Schedule sending the deferred limits once the command budget frees a slot
+     */
+    scheduleCommandFlush() {
+        if (this.commandFlushTimer) {
+            clearTimeout(this.commandFlushTimer);
+            this.commandFlushTimer = null;
+        }
+        const now = Date.now();
+        const next = this.commandBudget.getNextFlush(this.config, now);
+        if (next === null) {
+            return;
+        }
+        this.commandFlushTimer = setTimeout(() => {
+            this.commandFlushTimer = null;
+            this.flushDeferredCommands()
+                .catch(err => this.log.error(`Error sending deferred limit commands: ${err.message}`));
+        }, Math.max(0, next - now));
+    }
+
+    /**
+     * Send the deferred limits the command budget allows now
+     */
+    async flushDeferredCommands() {
+        const due = this.commandBudget.takeDue(this.config, Date.now(), limit => this.commandTracker.isPending(limit.index, limit.newValue));
+        await this.sendLimitCommands(due);
+        this.scheduleCommandFlush();
+        await this.updateCommandCounterStates();
+        if (due.length > 0) {
+            for (const limit of due) {
+                this.publishedLimits.set(limit.index, limit.newValue);
+            }
+            await this.publishCurrentLimit(true);
+        }
+    }
+
+    /**
+     * Publish the total of the limits sent to the inverters
+     * @param {boolean} active Whether limit commands went out or the limits are already where they should be
+     */
+    async publishCurrentLimit(active) {
+        const total = [...this.publishedLimits.values()].reduce((sum, value) => sum + value, 0);
+        await this.setState('currentPowerLimit', { val: total, ack: true });
+        await this.setState('powerControlActive', { val: active, ack: true });
+    }
+
+    /**
+     * Publish the limit command counters
+     */
+    async updateCommandCounterStates() {
+        const { sent, deferred, coalesced } = this.commandBudget.counters;
+        await this.setState('commands.sent', { val: sent, ack: true });
+        await this.setState('commands.deferred', { val: deferred, ack: true });
+        await this.setState('commands.coalesced', { val: coalesced, ack: true });
+        await this.setState('commands.lastMinute', { val: this.commandBudget.getRecentCount(Date.now()), ack: true });
+    }
+
+    /**
+     * Send a tracked limit command and schedule its confirmation check
+     * @param {{index: number, controlObject: string, target: number, value: number, attempt: number, timer: any}} command Tracked command
+     * @param {string} inverterName Inverter display name for logging
+     */
+    async sendLimitCommand(command, inverterName) {
+        try {
+            await this.inverterBackend.setLimit(this.config.inverters[command.index], command.value);
+        } catch (error) {
+            // Treated like a missing confirmation, the check below retries it
+            this.log.warn(`Error sending limit of ${command.target}W to ${inverterName} (attempt ${command.attempt}): ${error.message}`);
+            await this.setState(`inverter${command.index}.lastCommandError`, { val: error.message, ack: true });
+        }
+
+        // The command may have been replaced while it was sent
+        if (this.commandTracker.get(command.index) !== command) {
+            return;
+        }
+        command.timer = setTimeout(() => {
+            command.timer = null;
+            this.verifyLimitCommand(command.index)
+                .catch(err => {
+                    this.log.error(`Error verifying limit command: ${err.message}`);
+                    // A command left without timer would block its limit for good
+                    if (this.commandTracker.get(command.index) === command && command.timer === null) {
+                        this.commandTracker.remove(command.index);
+                    }
+                });
+        }, this.commandTracker.getConfirmTimeout(command.attempt, this.config));
+    }
+
+    /**
+     * Check whether the inverter applied the open limit command, retry or give up on timeout
+     * @param {number} index Inverter index
+     * @param {number} [reportedLimit] Reported limit from a state change; read from the inverter on timeout if omitted
+     */
+    async verifyLimitCommand(index, reportedLimit) {
+        const command = this.commandTracker.get(index);
+        if (!command) {
+            return;
+        }
+        const inverter = this.config.inverters[index];
+        const timedOut = reportedLimit === undefined;
+        if (timedOut) {
+            try {
+                const limitValue = await this.inverterBackend.read(inverter, 'limit');
+                reportedLimit = limitValue !== null ? parseFloat(limitValue) : null;
+            } catch (error) {
+                // Treated like a missing confirmation, retried with backoff
+                this.log.warn(`Error reading the limit of inverter ${index + 1}: ${error.message}`);
+                reportedLimit = null;
+            }
+        }
+
+        if (this.commandTracker.isConfirmed(command, reportedLimit)) {
+            this.commandTracker.remove(index);
+            this.log.debug(`Inverter ${index + 1} confirmed limit of ${command.target}W`);
+            await this.setState(`inverter${index}.powerLimit`, { val: command.target, ack: true });
+            await this.setState(`inverter${index}.commandStatus`, { val: 'confirmed', ack: true });
+            return;
+        }
+        if (!timedOut) {
+            // Intermediate value, keep waiting
+            return;
+        }
+
+        const inverterName = await this.getInverterDisplayName(inverter, index);
+        if (this.commandTracker.canRetry(command, this.config)) {
+            command.attempt++;
+            this.log.warn(`${inverterName} did not confirm limit of ${command.target}W (reported ${reportedLimit}W), retrying (attempt ${command.attempt})`);
+            await this.setState(`inverter${index}.commandStatus`, { val: 'retrying', ack: true });
+            // Retries are not deferred, but they use up the budget
+            this.commandBudget.record(index, Date.now());
+            await this.sendLimitCommand(command, inverterName);
+        } else {
+            this.commandTracker.remove(index);
+            const message = `Limit of ${command.target}W not confirmed after ${command.attempt} attempts (reported ${reportedLimit}W)`;
+            this.log.error(`${inverterName}: ${message}`);
+            await this.setState(`inverter${index}.commandStatus`, { val: 'failed', ack: true });
+            await this.setState(`inverter${index}.lastCommandError`, { val: message, ack: true });
+        }
+    }
+
 }
 
 if (require.main !== module) {
@@ -0,0 +1,160 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const BatteryManager = require('../../lib/battery-manager');
+
+describe('BatteryManager', function() {
+    let logger;
+
+    beforeEach(function() {
+        logger = {
+            info: sinon.stub(),
+            debug: sinon.stub(),
+            warn: sinon.stub(),
+            error: sinon.stub()
+        };
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('readBatteryState()', function() {
+
+        it('should read state of charge and power', async function() {
+            // Arrange
+            const config = { batterySocObject: 'bms.0.soc', batteryPowerObject: 'bms.0.power' };
+            const getForeignStateAsync = sinon.stub();
+            getForeignStateAsync.withArgs('bms.0.soc').resolves({ val: '57', ack: true });
+            getForeignStateAsync.withArgs('bms.0.power').resolves({ val: -250, ack: true });
+
+            // Act
+            const result = await BatteryManager.readBatteryState(config, getForeignStateAsync, logger);
+
+            // Assert
+            assert.deepStrictEqual(result, { soc: 57, power: -250 });
+        });
+
+        it('should invert the power sign when configured', async function() {
+            // Arrange
+            const config = { batterySocObject: 'bms.0.soc', batteryPowerObject: 'bms.0.power', batteryPowerInvert: true };
+            const getForeignStateAsync = sinon.stub();
+            getForeignStateAsync.withArgs('bms.0.soc').resolves({ val: 80, ack: true });
+            getForeignStateAsync.withArgs('bms.0.power').resolves({ val: 300, ack: true });
+
+            // Act
+            const result = await BatteryManager.readBatteryState(config, getForeignStateAsync, logger);
+
+            // Assert
+            assert.strictEqual(result.power, -300);
+        });
+
+        it('should return null when a state is missing', async function() {
+            // Arrange
+            const config = { batterySocObject: 'bms.0.soc', batteryPowerObject: 'bms.0.power' };
+            const getForeignStateAsync = sinon.stub().resolves(null);
+            getForeignStateAsync.withArgs('bms.0.soc').resolves({ val: 80, ack: true });
+
+            // Act
+            const result = await BatteryManager.readBatteryState(config, getForeignStateAsync, logger);
+
+            // Assert
+            assert.strictEqual(result, null);
+            assert(logger.debug.calledWith('Could not read battery state from bms.0.soc and bms.0.power'));
+        });
+    });
+
+    describe('plan() without charge command', function() {
+        const config = {
+            targetMode: 'feedIn',
+            targetFeedIn: 0,
+            batteryFullSoc: 95,
+            batteryMaxChargePower: 1000,
+            batteryMaxDischargePower: 1000
+        };
+
+        it('should keep PV up while the battery can take more charge', function() {
+            // Act - exporting 300W while charging with 500W
+            const result = BatteryManager.plan(-300, { soc: 50, power: 500 }, config);
+
+            // Assert - 500W charge headroom is left, so the inverters see 200W of demand
+            assert.strictEqual(result.regulatedGridPower, 200);
+            assert.strictEqual(result.chargeSetpoint, null);
+            assert.strictEqual(result.full, false);
+        });
+
+        it('should count the discharge of a full battery as import', function() {
+            // Act
+            const result = BatteryManager.plan(100, { soc: 100, power: -400 }, config);
+
+            // Assert
+            assert.strictEqual(result.regulatedGridPower, 500);
+            assert.strictEqual(result.full, true);
+        });
+
+        it('should throttle PV on the grid power once the battery is full', function() {
+            // Act
+            const result = BatteryManager.plan(-300, { soc: 96, power: 200 }, config);
+
+            // Assert
+            assert.strictEqual(result.regulatedGridPower, -300);
+        });
+    });
+
+    describe('plan() with charge command', function() {
+        const config = {
+            targetMode: 'band',
+            gridSetpoint: 20,
+            toleranceBand: 25,
+            exportCeiling: 50,
+            batteryChargeObject: 'bms.0.chargePower',
+            batteryFullSoc: 95,
+            batteryMaxChargePower: 1000,
+            batteryMaxDischargePower: 800
+        };
+
+        it('should charge the battery with the surplus', function() {
+            // Act
+            const result = BatteryManager.plan(-600, { soc: 50, power: 200 }, config);
+
+            // Assert
+            assert.strictEqual(result.chargeSetpoint, 820);
+            assert.strictEqual(result.regulatedGridPower, 200);
+        });
+
+        it('should discharge to cover the import', function() {
+            // Act
+            const result = BatteryManager.plan(500, { soc: 50, power: -100 }, config);
+
+            // Assert
+            assert.strictEqual(result.chargeSetpoint, -580);
+        });
+
+        it('should clamp the setpoint to the maximum discharge power', function() {
+            // Act
+            const result = BatteryManager.plan(2000, { soc: 50, power: 0 }, config);
+
+            // Assert
+            assert.strictEqual(result.chargeSetpoint, -800);
+        });
+
+        it('should stop charging and throttle PV once the battery is full', function() {
+            // Act
+            const result = BatteryManager.plan(-600, { soc: 97, power: 0 }, config);
+
+            // Assert
+            assert.strictEqual(result.chargeSetpoint, 0);
+            assert.strictEqual(result.regulatedGridPower, -600);
+        });
+
+        it('should not discharge into the grid with an export target', function() {
+            // Arrange
+            const feedInConfig = { ...config, targetMode: 'feedIn', targetFeedIn: 800 };
+
+            // Act
+            const result = BatteryManager.plan(300, { soc: 50, power: 0 }, feedInConfig);
+
+            // Assert - only the 300W import is covered, not the allowed 800W export
+            assert.strictEqual(result.chargeSetpoint, -300);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,166 @@
+const assert = require('assert');
+const CommandBudget = require('../../lib/command-budget');
+
+const limit = (index, oldValue, newValue) => ({ index, controlObject: `opendtu.0.${index}`, oldValue, newValue });
+
+describe('CommandBudget', function() {
+
+    describe('getNextSlot()', function() {
+
+        it('should allow commands right away without budget', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            budget.record(0, 1000);
+
+            // Act & Assert
+            assert.strictEqual(budget.getNextSlot(0, {}, 1000), 1000);
+        });
+
+        it('should keep the total and the per-inverter spacing', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            budget.record(0, 1000);
+            const config = { commandMinSpacing: 500, commandInverterMinSpacing: 5000 };
+
+            // Act & Assert
+            assert.strictEqual(budget.getNextSlot(1, config, 1200), 1500);
+            assert.strictEqual(budget.getNextSlot(0, config, 1200), 6000);
+        });
+
+        it('should wait until the oldest command of a full minute leaves the window', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            budget.record(0, 0);
+            budget.record(1, 10000);
+            budget.record(0, 20000);
+
+            // Act & Assert
+            assert.strictEqual(budget.getNextSlot(1, { commandMaxPerMinute: 3 }, 30000), 60000);
+            assert.strictEqual(budget.getNextSlot(0, { commandInverterMaxPerMinute: 2 }, 30000), 60000);
+            assert.strictEqual(budget.getNextSlot(1, { commandInverterMaxPerMinute: 2 }, 30000), 30000);
+        });
+
+        it('should forget commands older than a minute', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            budget.record(0, 0);
+
+            // Act & Assert
+            assert.strictEqual(budget.getNextSlot(0, { commandMaxPerMinute: 1 }, 60000), 60000);
+            assert.strictEqual(budget.getRecentCount(60000), 0);
+        });
+    });
+
+    describe('plan()', function() {
+
+        it('should send decreases before increases when the budget is short', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            const limits = [limit(0, 500, 800), limit(1, 800, 700), limit(2, 800, 400)];
+
+            // Act
+            const { send, deferred } = budget.plan(limits, { commandMaxPerMinute: 2 }, 0);
+
+            // Assert
+            assert.deepStrictEqual(send.map(entry => entry.index), [1, 2]);
+            assert.deepStrictEqual(deferred.map(entry => entry.index), [0]);
+            assert.deepStrictEqual(budget.counters, { sent: 2, deferred: 1, coalesced: 0 });
+        });
+
+        it('should keep the given order of the limits sent', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            const limits = [limit(0, 500, 800), limit(1, 800, 400)];
+
+            // Act
+            const { send } = budget.plan(limits, {}, 0);
+
+            // Assert
+            assert.deepStrictEqual(send, limits);
+        });
+
+        it('should send everything when forced but count it against the budget', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            const config = { commandMinSpacing: 10000 };
+
+            // Act
+            const { send } = budget.plan([limit(0, 800, 400), limit(1, 800, 400)], config, 0, true);
+
+            // Assert
+            assert.strictEqual(send.length, 2);
+            assert.strictEqual(budget.getNextSlot(0, config, 0), 10000);
+        });
+    });
+
+    describe('coalesce()', function() {
+
+        it('should drop a deferred limit superseded by a new one', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            budget.plan([limit(0, 800, 600)], { commandInverterMinSpacing: 10000 }, 0);
+            budget.plan([limit(0, 600, 500)], { commandInverterMinSpacing: 10000 }, 1000);
+
+            // Act
+            budget.coalesce([limit(0, 600, 400)]);
+
+            // Assert
+            assert.strictEqual(budget.queue.size, 0);
+            assert.strictEqual(budget.counters.coalesced, 1);
+        });
+
+        it('should not count a deferred limit confirmed by the new one as superseded', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            budget.plan([limit(0, 800, 600)], { commandInverterMinSpacing: 10000 }, 0);
+            budget.plan([limit(0, 600, 500)], { commandInverterMinSpacing: 10000 }, 1000);
+
+            // Act
+            budget.coalesce([limit(0, 600, 500)]);
+
+            // Assert
+            assert.strictEqual(budget.counters.coalesced, 0);
+        });
+    });
+
+    describe('takeDue() and getNextFlush()', function() {
+
+        it('should release deferred limits once a slot is free', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            const config = { commandMinSpacing: 2000 };
+            budget.plan([limit(0, 800, 400), limit(1, 800, 600), limit(2, 500, 900)], config, 0);
+
+            // Act
+            const next = budget.getNextFlush(config, 0);
+            const early = budget.takeDue(config, 1000);
+            const due = budget.takeDue(config, 2000);
+
+            // Assert - one command per slot, decreases first
+            assert.strictEqual(next, 2000);
+            assert.deepStrictEqual(early, []);
+            assert.deepStrictEqual(due.map(entry => entry.index), [1]);
+            assert.strictEqual(budget.getNextFlush(config, 2000), 4000);
+        });
+
+        it('should drop obsolete limits without taking a slot', function() {
+            // Arrange
+            const budget = new CommandBudget();
+            const config = { commandMinSpacing: 2000 };
+            budget.plan([limit(0, 800, 400), limit(1, 800, 600), limit(2, 500, 900)], config, 0);
+
+            // Act
+            const due = budget.takeDue(config, 2000, entry => entry.index === 1);
+
+            // Assert - the slot goes to the next limit
+            assert.deepStrictEqual(due.map(entry => entry.index), [2]);
+            assert.strictEqual(budget.counters.sent, 2);
+            assert.strictEqual(budget.queue.size, 0);
+        });
+
+        it('should report no flush without deferred limits', function() {
+            // Act & Assert
+            assert.strictEqual(new CommandBudget().getNextFlush({}, 0), null);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const CommandTracker = require('../../lib/command-tracker');
+
+describe('CommandTracker', function() {
+    let tracker;
+    const config = { commandTimeout: 15000, commandRetries: 2 };
+
+    beforeEach(function() {
+        tracker = new CommandTracker();
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('track()', function() {
+
+        it('should start a new command at the first attempt', function() {
+            // Act
+            const command = tracker.track(1, 'opendtu.0.222.power_control.limit_nonpersistent_absolute', 800);
+
+            // Assert
+            assert.strictEqual(command.attempt, 1);
+            assert.strictEqual(command.target, 800);
+            assert.strictEqual(tracker.get(1), command);
+        });
+
+        it('should replace an open command and cancel its timer', function() {
+            // Arrange
+            const clock = sinon.useFakeTimers();
+            const callback = sinon.stub();
+            const first = tracker.track(0, 'control', 500);
+            first.timer = setTimeout(callback, 1000);
+
+            // Act
+            const second = tracker.track(0, 'control', 600);
+            clock.tick(2000);
+
+            // Assert
+            assert.strictEqual(tracker.get(0), second);
+            assert(!callback.called);
+            clock.restore();
+        });
+    });
+
+    describe('isPending()', function() {
+
+        it('should only report commands with the same target as pending', function() {
+            // Arrange
+            tracker.track(0, 'control', 500);
+
+            // Act & Assert
+            assert.strictEqual(tracker.isPending(0, 500), true);
+            assert.strictEqual(tracker.isPending(0, 600), false);
+            assert.strictEqual(tracker.isPending(1, 500), false);
+        });
+    });
+
+    describe('isConfirmed()', function() {
+
+        it('should accept reported limits within the rounding tolerance', function() {
+            // Arrange
+            const command = tracker.track(0, 'control', 500);
+
+            // Act & Assert
+            assert.strictEqual(tracker.isConfirmed(command, 500), true);
+            assert.strictEqual(tracker.isConfirmed(command, 497.7), true);
+            assert.strictEqual(tracker.isConfirmed(command, 490), false);
+            assert.strictEqual(tracker.isConfirmed(command, null), false);
+            assert.strictEqual(tracker.isConfirmed(command, NaN), false);
+        });
+    });
+
+    describe('canRetry()', function() {
+
+        it('should allow the configured number of retries', function() {
+            // Arrange
+            const command = tracker.track(0, 'control', 500);
+
+            // Act & Assert
+            assert.strictEqual(tracker.canRetry(command, config), true);
+            command.attempt = 2;
+            assert.strictEqual(tracker.canRetry(command, config), true);
+            command.attempt = 3;
+            assert.strictEqual(tracker.canRetry(command, config), false);
+        });
+    });
+
+    describe('getConfirmTimeout()', function() {
+
+        it('should double the timeout with every attempt', function() {
+            // Act & Assert
+            assert.strictEqual(tracker.getConfirmTimeout(1, config), 15000);
+            assert.strictEqual(tracker.getConfirmTimeout(2, config), 30000);
+            assert.strictEqual(tracker.getConfirmTimeout(3, config), 60000);
+        });
+    });
+
+    describe('clear()', function() {
+
+        it('should drop all commands', function() {
+            // Arrange
+            tracker.track(0, 'control', 500);
+            tracker.track(1, 'control', 600);
+
+            // Act
+            tracker.clear();
+
+            // Assert
+            assert.strictEqual(tracker.get(0), undefined);
+            assert.strictEqual(tracker.get(1), undefined);
+        });
+    });
+});
\ No newline at end of file
@@ -60,6 +60,55 @@ describe('ConfigValidator', function() {
             assert(result.errors.includes('No power source object configured!'));
         });
 
+        it('should reject summed meter without source objects', function() {
+            // Arrange
+            const config = {
+                meterType: 'sum',
+                meterSources: [{ sourceObject: 'shelly.0.ActivePowerA' }, { sourceObject: '' }],
+                inverters: [{ inverterObject: 'opendtu.0.123456789' }]
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.includes('Meter source 2 has no object configured!'));
+        });
+
+        it('should reject import/export meter with missing export object', function() {
+            // Arrange
+            const config = {
+                meterType: 'importExport',
+                importObject: 'meter.0.import',
+                inverters: [{ inverterObject: 'opendtu.0.123456789' }]
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.includes('Import and export objects must both be configured!'));
+        });
+
+        it('should default to a single meter source', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                meterInvert: 'yes',
+                inverters: [{ inverterObject: 'opendtu.0.123456789' }]
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.meterType, 'single');
+            assert.strictEqual(config.meterInvert, false);
+        });
+
         it('should reject configuration with missing inverters', function() {
             // Arrange
             const config = {
@@ -113,7 +162,98 @@ describe('ConfigValidator', function() {
             assert(result.errors.includes('Inverter 1 has no inverter base object configured!'));
         });
 
-        it('should set default maxPower when undefined', function() {
+        it('should require host and serial numbers for the OpenDTU web API', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverterBackend: 'http',
+                inverters: [{ serial: '114182912345', maxPower: 800 }, { maxPower: 800 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.includes('No OpenDTU host configured!'));
+            assert(result.errors.includes('Inverter 2 has no serial number configured!'));
+            assert(!result.errors.includes('Inverter 1 has no inverter base object configured!'));
+            assert.strictEqual(config.opendtuUsername, 'admin');
+        });
+
+        it('should require the states of AhoyDTU and custom inverters', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [
+                    { inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony' },
+                    { inverterType: 'custom', controlObject: 'modbus.0.setLimit', maxPower: 5000 },
+                    { inverterType: 'sma', inverterObject: 'opendtu.0.123456789', maxPower: 800 }
+                ],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, false);
+            assert.deepStrictEqual(result.errors, [
+                'Inverter 1 has no limit control object configured!',
+                'Inverter 1 needs a max power for inverter type ahoy!',
+                'Inverter 2 has no current limit object configured!'
+            ]);
+            assert.strictEqual(config.inverters[2].inverterType, 'opendtu');
+            assert(logger.warn.calledWith('Inverter 3 has invalid inverter type, using default of opendtu'));
+        });
+
+        it('should only control OpenDTU inverters through the OpenDTU web API', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverterBackend: 'http',
+                opendtuHost: '192.168.1.50',
+                inverters: [{ inverterType: 'ahoy', serial: '114182912345', maxPower: 800 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.inverters[0].inverterType, 'opendtu');
+            assert(logger.warn.calledWith('Inverter 1 is controlled through the OpenDTU web API, ignoring inverter type ahoy'));
+        });
+
+        it('should default to the opendtu adapter objects', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverterBackend: 'mqtt',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 800 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.inverterBackend, 'iobroker');
+            assert(logger.warn.calledWith('Invalid inverter backend, using default of iobroker'));
+        });
+
+        it('should use the reported max power when maxPower is undefined', function() {
             // Arrange
             const config = {
                 powerSourceObject: 'shelly.0.TotalActivePower',
@@ -128,11 +268,13 @@ describe('ConfigValidator', function() {
 
             // Assert
             assert.strictEqual(result.isValid, true);
-            assert.strictEqual(config.inverters[0].maxPower, 2250);
-            assert(logger.warn.calledWith('Inverter 1 has no max power configured, using default 2250W'));
+            assert.strictEqual(config.inverters[0].maxPower, null);
+            assert.strictEqual(config.inverters[0].minPower, 0);
+            assert.strictEqual(config.inverters[0].limitType, 'absolute');
+            assert(!logger.warn.calledWithMatch(/Inverter 1/));
         });
 
-        it('should clamp maxPower when exceeds 2250W', function() {
+        it('should keep maxPower above 2250W', function() {
             // Arrange
             const config = {
                 powerSourceObject: 'shelly.0.TotalActivePower',
@@ -147,11 +289,10 @@ describe('ConfigValidator', function() {
 
             // Assert
             assert.strictEqual(result.isValid, true);
-            assert.strictEqual(config.inverters[0].maxPower, 2250);
-            assert(logger.warn.calledWith('Inverter 1 max power exceeded 2250W limit, clamped to 2250W'));
+            assert.strictEqual(config.inverters[0].maxPower, 3000);
         });
 
-        it('should clamp negative maxPower to default', function() {
+        it('should ignore negative maxPower', function() {
             // Arrange
             const config = {
                 powerSourceObject: 'shelly.0.TotalActivePower',
@@ -166,8 +307,29 @@ describe('ConfigValidator', function() {
 
             // Assert
             assert.strictEqual(result.isValid, true);
-            assert.strictEqual(config.inverters[0].maxPower, 2250);
-            assert(logger.warn.calledWith('Inverter 1 has invalid max power, using default 2250W'));
+            assert.strictEqual(config.inverters[0].maxPower, null);
+            assert(logger.warn.calledWith('Inverter 1 has invalid max power, using the max power reported by the inverter'));
+        });
+
+        it('should clamp minPower to maxPower', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [
+                    { inverterObject: 'opendtu.0.123456789', maxPower: 400, minPower: 500 },
+                    { inverterObject: 'opendtu.0.987654321', minPower: -5, limitType: 'percent' }
+                ]
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.inverters[0].minPower, 400);
+            assert(logger.warn.calledWith('Inverter 1 min power exceeds its max power, clamped to 400W'));
+            assert.strictEqual(config.inverters[1].minPower, 0);
+            assert.strictEqual(config.inverters[1].limitType, 'absolute');
+            assert(logger.warn.calledWith('Inverter 2 has invalid limit type, using default of absolute'));
         });
 
         it('should set default pollingInterval when invalid', function() {
@@ -227,6 +389,592 @@ describe('ConfigValidator', function() {
             assert(logger.warn.calledWith('Invalid maximum grid export, using default of 800W'));
         });
 
+        it('should default controlMode to polling when unknown', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                controlMode: 'push'
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.controlMode, 'polling');
+            assert(logger.warn.calledWith('Invalid control mode, using default of polling'));
+        });
+
+        it('should keep valid event-driven settings', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                controlMode: 'event',
+                minControlInterval: 0,
+                meterWatchdogTimeout: 15000
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.controlMode, 'event');
+            assert.strictEqual(config.minControlInterval, 0);
+            assert.strictEqual(config.meterWatchdogTimeout, 15000);
+        });
+
+        it('should set default event-driven intervals when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                controlMode: 'event',
+                minControlInterval: -1,
+                meterWatchdogTimeout: 500
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.minControlInterval, 1000);
+            assert.strictEqual(config.meterWatchdogTimeout, 30000);
+            assert(logger.warn.calledWith('Invalid minimum control interval, using default of 1000ms'));
+            assert(logger.warn.calledWith('Invalid meter watchdog timeout, using default of 30000ms'));
+        });
+
+        it('should default to the proportional controller', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.controllerType, 'p');
+        });
+
+        it('should set default controller gains when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                controllerType: 'pid',
+                controllerKp: -1,
+                controllerKi: 0.2,
+                controllerKd: 'x',
+                controllerDerivativeFilter: 0
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.controllerKp, 0.5);
+            assert.strictEqual(config.controllerKi, 0.2);
+            assert.strictEqual(config.controllerKd, 0);
+            assert.strictEqual(config.controllerDerivativeFilter, 0.3);
+            assert(logger.warn.calledWith('Invalid controller gain controllerKp, using default of 0.5'));
+            assert(logger.warn.calledWith('Invalid derivative filter factor, using default of 0.3'));
+        });
+
+        it('should default to the maximum grid export target mode', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.targetMode, 'feedIn');
+        });
+
+        it('should set band defaults when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                targetMode: 'band',
+                gridSetpoint: null,
+                toleranceBand: -5,
+                exportCeiling: undefined
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.gridSetpoint, 20);
+            assert.strictEqual(config.toleranceBand, 25);
+            assert.strictEqual(config.exportCeiling, 50);
+            assert(logger.warn.calledWith('Invalid grid setpoint, using default of 20W'));
+        });
+
+        it('should warn when the export ceiling lies inside the tolerance band', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                targetMode: 'band',
+                gridSetpoint: 0,
+                toleranceBand: 50,
+                exportCeiling: 20
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert(logger.warn.calledWith('Export ceiling of 20W lies inside the tolerance band, every export beyond it will decrease limits immediately'));
+        });
+
+        it('should set fail-safe defaults when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                meterMaxAge: -1,
+                failSafeAction: 'panic',
+                failSafeLimit: 'low'
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.meterMaxAge, 60);
+            assert.strictEqual(config.failSafeAction, 'safeLimit');
+            assert.strictEqual(config.failSafeLimit, 0);
+            assert(logger.warn.calledWith('Invalid fail-safe action, using default of safeLimit'));
+        });
+
+        it('should default the command budget to unlimited', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                commandMaxPerMinute: 12,
+                commandMinSpacing: 120000,
+                commandInverterMaxPerMinute: -1
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.commandMaxPerMinute, 12);
+            assert.strictEqual(config.commandMinSpacing, 0);
+            assert.strictEqual(config.commandInverterMaxPerMinute, 0);
+            assert.strictEqual(config.commandInverterMinSpacing, 0);
+            assert(logger.warn.calledWith('Invalid command budget commandMinSpacing, using default of 0 (unlimited)'));
+            assert(!logger.warn.calledWith('Invalid command budget commandInverterMinSpacing, using default of 0 (unlimited)'));
+        });
+
+        it('should default the grid power filter settings when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                gridFilter: 'spike',
+                gridFilterWindow: 1,
+                gridFilterSpikeThreshold: 0
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.gridFilterWindow, 5);
+            assert.strictEqual(config.gridFilterSpikeThreshold, 500);
+            assert(logger.warn.calledWith('Invalid grid power filter window, using default of 5 samples'));
+            assert(!logger.warn.calledWith('Invalid grid power filter smoothing factor, using default of 0.3'));
+        });
+
+        it('should fall back to the raw grid power for an unknown filter', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                gridFilter: 'kalman'
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.gridFilter, 'none');
+            assert(logger.warn.calledWith('Invalid grid power filter, using default of none'));
+        });
+
+        it('should default the ramp rates to no ramp', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                rampUpRate: 50,
+                rampDownRate: -10
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.rampUpRate, 50);
+            assert.strictEqual(config.rampDownRate, 0);
+            assert.strictEqual(config.rampBypassHardLimit, true);
+            assert(logger.warn.calledWith('Invalid ramp rate rampDownRate, using default of 0 (no ramp)'));
+        });
+
+        it('should set hard export limit defaults when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                hardExportLimitEnabled: true,
+                hardExportLimit: -5,
+                hardExportGrace: 'soon'
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.hardExportLimit, 800);
+            assert.strictEqual(config.hardExportGrace, 10);
+            assert(logger.warn.calledWith('Invalid hard export limit, using default of 800W'));
+            assert(logger.warn.calledWith('Invalid hard export limit grace period, using default of 10s'));
+        });
+
+        it('should warn when the hard export limit is below the allowed grid export', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                hardExportLimitEnabled: true,
+                hardExportLimit: 500,
+                hardExportGrace: 0
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.hardExportGrace, 0);
+            assert(logger.warn.calledWith('Hard export limit of 500W is below the allowed grid export of 600W, the regulation will keep tripping it'));
+        });
+
+        it('should leave the hard export limit disabled unless enabled explicitly', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                hardExportLimit: -5
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.hardExportLimitEnabled, false);
+            assert(!logger.warn.calledWith('Invalid hard export limit, using default of 800W'));
+        });
+
+        it('should set limit command defaults when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                pollingInterval: 5000,
+                feedInThreshold: 150,
+                targetFeedIn: 600,
+                commandTimeout: 500,
+                commandRetries: 1.5
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.commandTimeout, 15000);
+            assert.strictEqual(config.commandRetries, 3);
+        });
+
+        it('should allow disabling limit command retries', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                commandTimeout: 5000,
+                commandRetries: 0
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.commandTimeout, 5000);
+            assert.strictEqual(config.commandRetries, 0);
+        });
+
+        it('should require battery objects when the battery is enabled', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'shelly.0.TotalActivePower',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                batteryEnabled: true,
+                batterySocObject: 'bms.0.soc',
+                batteryFullSoc: 120,
+                batteryMaxChargePower: -1
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.includes('Battery state of charge and power objects must both be configured!'));
+            assert.strictEqual(config.batteryFullSoc, 95);
+            assert.strictEqual(config.batteryMaxChargePower, 1000);
+            assert.strictEqual(config.batteryMaxDischargePower, 1000);
+        });
+
+        it('should require a price object when dynamic prices are enabled', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                priceEnabled: true,
+                priceLowThreshold: 0.1,
+                priceHighThreshold: 0.05,
+                priceMaxFeedIn: -1
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.includes('No electricity price object configured!'));
+            assert.strictEqual(config.priceLowThreshold, 0.1);
+            assert.strictEqual(config.priceHighThreshold, null);
+            assert.strictEqual(config.priceMaxFeedIn, 800);
+            assert(logger.warn.calledWith('High price threshold must be a number above the low price threshold, ignoring it'));
+        });
+
+        it('should treat an empty high price threshold as disabled', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                priceEnabled: true,
+                priceObject: 'tibber.0.price',
+                priceLowThreshold: 0,
+                priceHighThreshold: '',
+                priceMaxFeedIn: 600
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.strictEqual(config.priceHighThreshold, null);
+            assert(!logger.warn.calledWithMatch(/price/));
+        });
+
+        it('should normalize controllable loads', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                loads: [
+                    { controlObject: 'evcc.0.power', type: 'power', power: 3000, minPower: 4000, minOnTime: 300 },
+                    { controlObject: 'shelly.0.relay', type: 'boiler', power: 0 },
+                    { enabled: true, power: 500 }
+                ]
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.includes('Load 3 has no control object configured!'));
+            assert.deepStrictEqual(config.loads[0], {
+                controlObject: 'evcc.0.power', type: 'power', power: 3000, minPower: 3000, powerStep: 100,
+                minOnTime: 300, minOffTime: 0, priority: 1, enabled: true
+            });
+            assert.strictEqual(config.loads[1].type, 'switch');
+            assert.strictEqual(config.loads[1].enabled, false);
+            assert(logger.warn.calledWith('Load 2 has invalid type, using default of switch'));
+            assert(logger.warn.calledWith('Load 2 has invalid power, disabling it'));
+        });
+
+        it('should only enable energy accounting when switched on', function() {
+            // Arrange
+            const disabledConfig = { powerSourceObject: 'test.0.power', inverters: [{ inverterObject: 'opendtu.0.1', maxPower: 2000 }] };
+            const enabledConfig = { ...disabledConfig, energyEnabled: true };
+
+            // Act
+            ConfigValidator.validateAndNormalize(enabledConfig, logger);
+            ConfigValidator.validateAndNormalize(disabledConfig, logger);
+
+            // Assert
+            assert.strictEqual(enabledConfig.energyEnabled, true);
+            assert.strictEqual(disabledConfig.energyEnabled, false);
+        });
+
+        it('should set load prediction defaults when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                predictionEnabled: true,
+                predictionLearningRate: 0,
+                predictionMinDays: 2.5,
+                predictionFloorShare: 50
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.predictionLearningRate, 0.2);
+            assert.strictEqual(config.predictionMinDays, 3);
+            assert.strictEqual(config.predictionFloorShare, 50);
+            assert(logger.warn.calledWith('Invalid load prediction learning rate, using default of 0.2'));
+            assert(logger.warn.calledWith('Invalid number of days before using the load prediction, using default of 3'));
+        });
+
+        it('should set control history defaults when invalid', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                historySize: 0,
+                historyStateEntries: 500
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.historySize, 100);
+            assert.strictEqual(config.historyStateEntries, 100);
+            assert(logger.warn.calledWith('Invalid control history size, using default of 100'));
+        });
+
+        it('should normalize schedule entries', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                schedules: [
+                    { name: 'Noon', days: 'weekdays', from: '11:00', to: '14:00', targetFeedIn: 300, maxTotalLimit: '' },
+                    { days: 'someday', from: '25:00', to: '06:00', disable: true, targetFeedIn: -5 }
+                ]
+            };
+
+            // Act
+            const result = ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(result.isValid, true);
+            assert.deepStrictEqual(config.schedules[0], {
+                name: 'Noon', enabled: true, disable: false, days: 'weekdays', from: '11:00', to: '14:00', targetFeedIn: 300, maxTotalLimit: null
+            });
+            assert.strictEqual(config.schedules[1].days, 'everyday');
+            assert.strictEqual(config.schedules[1].enabled, false);
+            assert.strictEqual(config.schedules[1].targetFeedIn, null);
+            assert(logger.warn.calledWith('Schedule entry 2 has invalid days, using every day'));
+            assert(logger.warn.calledWith('Schedule entry 2 has an invalid time window, disabling it'));
+            assert(logger.warn.calledWith('Schedule entry 2 has invalid targetFeedIn, ignoring it'));
+        });
+
+        it('should ignore the max grid export of schedule entries in band target mode', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }],
+                targetMode: 'band',
+                gridSetpoint: 0,
+                toleranceBand: 25,
+                exportCeiling: 50,
+                schedules: [{ name: 'Noon', days: 'weekdays', from: '11:00', to: '14:00', targetFeedIn: 300, maxTotalLimit: 1000 }]
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.strictEqual(config.schedules[0].targetFeedIn, null);
+            assert.strictEqual(config.schedules[0].maxTotalLimit, 1000);
+            assert(logger.warn.calledWith('Schedule entry 1 sets a max grid export, which has no effect in band target mode, ignoring it'));
+        });
+
+        it('should default to no schedules', function() {
+            // Arrange
+            const config = {
+                powerSourceObject: 'test.0.power',
+                inverters: [{ inverterObject: 'opendtu.0.123456789', maxPower: 2000 }]
+            };
+
+            // Act
+            ConfigValidator.validateAndNormalize(config, logger);
+
+            // Assert
+            assert.deepStrictEqual(config.schedules, []);
+        });
+
         it('should handle multiple validation errors', function() {
             // Arrange
             const config = {
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const ControlHistory = require('../../lib/control-history');
+
+describe('ControlHistory', function() {
+
+    describe('add()', function() {
+
+        it('should drop the oldest cycles once the buffer is full', function() {
+            // Arrange
+            const history = new ControlHistory(3);
+
+            // Act
+            for (let ts = 1; ts <= 5; ts++) {
+                history.add({ ts, reason: 'increase', applied: true });
+            }
+
+            // Assert
+            assert.deepStrictEqual(history.getEntries().map(entry => entry.ts), [3, 4, 5]);
+        });
+    });
+
+    describe('getEntries()', function() {
+
+        it('should return the most recent cycles, oldest first', function() {
+            // Arrange
+            const history = new ControlHistory(10);
+            for (let ts = 1; ts <= 4; ts++) {
+                history.add({ ts, reason: 'threshold not reached', applied: false });
+            }
+
+            // Act & Assert
+            assert.deepStrictEqual(history.getEntries(2).map(entry => entry.ts), [3, 4]);
+            assert.deepStrictEqual(history.getEntries(20).map(entry => entry.ts), [1, 2, 3, 4]);
+            assert.deepStrictEqual(history.getEntries(0), []);
+        });
+
+        it('should return a copy of the buffer', function() {
+            // Arrange
+            const history = new ControlHistory(10);
+            history.add({ ts: 1, reason: 'increase', applied: true });
+
+            // Act
+            history.getEntries().pop();
+
+            // Assert
+            assert.strictEqual(history.getEntries().length, 1);
+        });
+    });
+
+    describe('clear()', function() {
+
+        it('should drop all cycles', function() {
+            // Arrange
+            const history = new ControlHistory(10);
+            history.add({ ts: 1, reason: 'increase', applied: true });
+
+            // Act
+            history.clear();
+
+            // Assert
+            assert.deepStrictEqual(history.getEntries(), []);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const EnergyCounter = require('../../lib/energy-counter');
+
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+const assertKWh = (actual, expected) => assert(Math.abs(actual - expected) < 1e-9, `${actual} kWh !== ${expected} kWh`);
+
+describe('EnergyCounter', function() {
+
+    describe('update()', function() {
+
+        it('should integrate each sample until the next one', function() {
+            // Arrange
+            const counter = new EnergyCounter(at(15, 12));
+
+            // Act - 6 minutes each
+            counter.update({ gridPower: -800, producedPower: 2000, curtailedPower: 400 }, at(15, 12));
+            counter.update({ gridPower: 600, producedPower: 0, curtailedPower: 0 }, at(15, 12, 6));
+            counter.update({ gridPower: 0, producedPower: 0, curtailedPower: 0 }, at(15, 12, 12));
+
+            // Assert
+            const day = counter.toJSON().day;
+            assert.strictEqual(day.key, '2024-01-15');
+            assertKWh(day.exported, 0.08);
+            assertKWh(day.imported, 0.06);
+            assertKWh(day.produced, 0.2);
+            assertKWh(day.curtailed, 0.04);
+            assert.deepStrictEqual(counter.toJSON().month, { ...day, key: '2024-01' });
+        });
+
+        it('should not integrate over long gaps', function() {
+            // Arrange
+            const counter = new EnergyCounter(at(15, 12));
+
+            // Act
+            counter.update({ gridPower: 1000, producedPower: null, curtailedPower: 0 }, at(15, 12));
+            counter.update({ gridPower: 1000, producedPower: null, curtailedPower: 0 }, at(15, 14));
+
+            // Assert
+            assert.strictEqual(counter.toJSON().day.imported, 0);
+        });
+
+        it('should not integrate across an interruption', function() {
+            // Arrange
+            const counter = new EnergyCounter(at(15, 12));
+            counter.update({ gridPower: 1000, producedPower: null, curtailedPower: 0 }, at(15, 12));
+
+            // Act
+            counter.interrupt();
+            counter.update({ gridPower: 1000, producedPower: null, curtailedPower: 0 }, at(15, 12, 5));
+
+            // Assert
+            assert.strictEqual(counter.toJSON().day.imported, 0);
+        });
+
+        it('should start a new day, month and year at midnight', function() {
+            // Arrange
+            const counter = new EnergyCounter(new Date(2023, 11, 31, 23, 55).getTime());
+            counter.update({ gridPower: 1200, producedPower: 0, curtailedPower: 0 }, new Date(2023, 11, 31, 23, 55).getTime());
+
+            // Act
+            counter.update({ gridPower: 0, producedPower: 0, curtailedPower: 0 }, new Date(2024, 0, 1, 0, 5).getTime());
+
+            // Assert - the interval is booked to the old year, the new periods start from zero
+            const periods = counter.toJSON();
+            assert.deepStrictEqual(Object.values(periods).map(period => period.key), ['2024-01-01', '2024-01', '2024']);
+            assert.deepStrictEqual(Object.values(periods).map(period => period.imported), [0, 0, 0]);
+        });
+    });
+
+    describe('getSelfConsumption()', function() {
+
+        it('should return the share of production not exported', function() {
+            // Arrange
+            const counter = new EnergyCounter(at(15, 12));
+            counter.update({ gridPower: -500, producedPower: 2000, curtailedPower: 0 }, at(15, 12));
+            counter.update({ gridPower: 0, producedPower: 0, curtailedPower: 0 }, at(15, 12, 6));
+
+            // Act & Assert
+            assert(Math.abs(counter.getSelfConsumption('day') - 75) < 1e-9);
+        });
+
+        it('should return null without production', function() {
+            // Act & Assert
+            assert.strictEqual(new EnergyCounter(at(15, 12)).getSelfConsumption('year'), null);
+        });
+    });
+
+    describe('restore()', function() {
+
+        it('should keep counters of running periods and reset ended ones', function() {
+            // Arrange
+            const snapshot = {
+                day: { key: '2024-01-14', exported: 3, imported: 1, produced: 8, curtailed: 0.5 },
+                month: { key: '2024-01', exported: 40, imported: 20, produced: 90, curtailed: 4 },
+                year: { key: '2024', exported: 40, imported: 20, produced: 90, curtailed: 4 }
+            };
+            const counter = new EnergyCounter(at(15, 8));
+
+            // Act
+            counter.restore(snapshot, at(15, 8));
+
+            // Assert
+            const periods = counter.toJSON();
+            assert.deepStrictEqual(periods.day, { key: '2024-01-15', exported: 0, imported: 0, produced: 0, curtailed: 0 });
+            assert.deepStrictEqual(periods.month, snapshot.month);
+            assert.deepStrictEqual(periods.year, snapshot.year);
+        });
+
+        it('should ignore invalid snapshots', function() {
+            // Arrange
+            const counter = new EnergyCounter(at(15, 8));
+
+            // Act
+            counter.restore({ day: 'broken' }, at(15, 8));
+
+            // Assert
+            assert.strictEqual(counter.toJSON().day.key, '2024-01-15');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const ExportGuard = require('../../lib/export-guard');
+
+const config = { hardExportLimit: 800, hardExportGrace: 10 };
+
+describe('ExportGuard', function() {
+
+    describe('check()', function() {
+
+        it('should do nothing while the export is within the hard limit', function() {
+            // Arrange
+            const guard = new ExportGuard();
+
+            // Act
+            const result = guard.check(-800, config, 0);
+
+            // Assert
+            assert.deepStrictEqual(result, { action: 'none', excess: 0, remainingGrace: 0, newViolation: false });
+            assert.strictEqual(guard.exceedingSince, null);
+        });
+
+        it('should wait for the grace period once the export exceeds the hard limit', function() {
+            // Arrange
+            const guard = new ExportGuard();
+
+            // Act
+            const first = guard.check(-1000, config, 0);
+            const second = guard.check(-1100, config, 4000);
+
+            // Assert
+            assert.deepStrictEqual(first, { action: 'wait', excess: 200, remainingGrace: 10000, newViolation: false });
+            assert.deepStrictEqual(second, { action: 'wait', excess: 300, remainingGrace: 6000, newViolation: false });
+            assert.strictEqual(guard.violations, 0);
+        });
+
+        it('should trip and count a violation once the grace period expired', function() {
+            // Arrange
+            const guard = new ExportGuard();
+            guard.check(-1000, config, 0);
+
+            // Act
+            const result = guard.check(-1000, config, 10000);
+
+            // Assert
+            assert.deepStrictEqual(result, { action: 'cut', excess: 200, remainingGrace: 0, newViolation: true });
+            assert.strictEqual(guard.tripped, true);
+            assert.strictEqual(guard.violations, 1);
+        });
+
+        it('should keep cutting without counting another violation while tripped', function() {
+            // Arrange
+            const guard = new ExportGuard();
+            guard.check(-1000, config, 0);
+            guard.check(-1000, config, 10000);
+
+            // Act
+            const result = guard.check(-900, config, 12000);
+
+            // Assert
+            assert.deepStrictEqual(result, { action: 'cut', excess: 100, remainingGrace: 0, newViolation: false });
+            assert.strictEqual(guard.violations, 1);
+        });
+
+        it('should clear a tripped guard and restart the grace period for the next exceedance', function() {
+            // Arrange
+            const guard = new ExportGuard();
+            guard.check(-1000, config, 0);
+            guard.check(-1000, config, 10000);
+
+            // Act
+            const cleared = guard.check(-700, config, 15000);
+            const next = guard.check(-1000, config, 20000);
+
+            // Assert
+            assert.strictEqual(cleared.action, 'clear');
+            assert.strictEqual(guard.tripped, false);
+            assert.strictEqual(next.action, 'wait');
+            assert.strictEqual(next.remainingGrace, 10000);
+        });
+
+        it('should restart the grace period when the export drops below the limit in between', function() {
+            // Arrange
+            const guard = new ExportGuard();
+            guard.check(-1000, config, 0);
+
+            // Act
+            const within = guard.check(-500, config, 8000);
+            const result = guard.check(-1000, config, 12000);
+
+            // Assert
+            assert.strictEqual(within.action, 'none');
+            assert.strictEqual(result.action, 'wait');
+            assert.strictEqual(guard.violations, 0);
+        });
+
+        it('should cut immediately without grace period', function() {
+            // Arrange
+            const guard = new ExportGuard();
+
+            // Act
+            const result = guard.check(-801, { hardExportLimit: 800, hardExportGrace: 0 }, 0);
+
+            // Assert
+            assert.strictEqual(result.action, 'cut');
+            assert.strictEqual(result.excess, 1);
+        });
+    });
+
+    describe('getCutLimit()', function() {
+
+        it('should cut the excess from the total limit', function() {
+            // Act & Assert
+            assert.strictEqual(ExportGuard.getCutLimit(1600, null, 300), 1300);
+        });
+
+        it('should cut from the produced power if the inverters produce below their limit', function() {
+            // Act & Assert
+            assert.strictEqual(ExportGuard.getCutLimit(1600, 1200, 300), 900);
+            assert.strictEqual(ExportGuard.getCutLimit(1000, 1200, 300), 700);
+        });
+
+        it('should not go below 0W', function() {
+            // Act & Assert
+            assert.strictEqual(ExportGuard.getCutLimit(200, null, 500), 0);
+        });
+    });
+});
\ No newline at end of file
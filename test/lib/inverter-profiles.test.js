@@ -0,0 +1,82 @@
+const assert = require('assert');
+const InverterProfiles = require('../../lib/inverter-profiles');
+
+describe('InverterProfiles', function() {
+
+    describe('getStateId()', function() {
+
+        it('should map OpenDTU values below the base object', function() {
+            // Arrange
+            const inverter = { inverterObject: 'opendtu.0.114182912345' };
+
+            // Act & Assert
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'limit'), 'opendtu.0.114182912345.power_control.current_limit_absolute');
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'power'), 'opendtu.0.114182912345.ac.phase_1.power');
+        });
+
+        it('should map AhoyDTU topics without an absolute limit', function() {
+            // Arrange
+            const inverter = { inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony' };
+
+            // Act & Assert
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'limit'), null);
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'limitRelative'), 'mqtt.0.inverter.Balcony.ch0.active_PowerLimit');
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'reachable'), 'mqtt.0.inverter.Balcony.available');
+        });
+
+        it('should map custom inverters to the configured states', function() {
+            // Arrange
+            const inverter = { inverterType: 'custom', limitObject: 'modbus.0.holdingRegisters.40232_WMaxLim', powerObject: '' };
+
+            // Act & Assert
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'limit'), 'modbus.0.holdingRegisters.40232_WMaxLim');
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'power'), null);
+            assert.strictEqual(InverterProfiles.getStateId(inverter, 'name'), null);
+        });
+    });
+
+    describe('getControlObject()', function() {
+
+        it('should use the OpenDTU non-persistent limit matching the limit type', function() {
+            // Act & Assert
+            assert.strictEqual(InverterProfiles.getControlObject({ inverterObject: 'opendtu.0.1', limitType: 'relative' }),
+                'opendtu.0.1.power_control.limit_nonpersistent_relative');
+            assert.strictEqual(InverterProfiles.getControlObject({ inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony', controlObject: 'mqtt.0.inverter.ctrl.limit.0' }),
+                'mqtt.0.inverter.ctrl.limit.0');
+        });
+    });
+
+    describe('convert() and formatCommand()', function() {
+
+        it('should translate the AhoyDTU availability and limit commands', function() {
+            // Arrange
+            const inverter = { inverterType: 'ahoy' };
+
+            // Act & Assert
+            assert.strictEqual(InverterProfiles.convert(inverter, 'reachable', 1), true);
+            assert.strictEqual(InverterProfiles.convert(inverter, 'producing', 1), false);
+            assert.strictEqual(InverterProfiles.convert(inverter, 'producing', '2'), true);
+            assert.strictEqual(InverterProfiles.convert(inverter, 'reachable', 0), false);
+            assert.strictEqual(InverterProfiles.formatCommand(inverter, 450), '450W');
+            assert.strictEqual(InverterProfiles.formatCommand({ inverterType: 'ahoy', limitType: 'relative' }, 56.3), 56.3);
+        });
+
+        it('should pass OpenDTU values unchanged', function() {
+            // Act & Assert
+            assert.strictEqual(InverterProfiles.convert({}, 'reachable', false), false);
+            assert.strictEqual(InverterProfiles.formatCommand({}, 450), 450);
+        });
+    });
+
+    describe('getBaseObject()', function() {
+
+        it('should find inverters of the chosen type', function() {
+            // Act & Assert
+            assert.strictEqual(InverterProfiles.getBaseObject('opendtu.0.114182912345', { type: 'device' }, 'opendtu'), 'opendtu.0.114182912345');
+            assert.strictEqual(InverterProfiles.getBaseObject('opendtu.0', { type: 'instance' }, 'opendtu'), null);
+            assert.strictEqual(InverterProfiles.getBaseObject('mqtt.0.inverter.Balcony.ch0.P_AC', { type: 'state' }, 'ahoy'), 'mqtt.0.inverter.Balcony');
+            assert.strictEqual(InverterProfiles.getBaseObject('mqtt.0.inverter.Balcony.ch1.P_DC', { type: 'state' }, 'ahoy'), null);
+            assert.strictEqual(InverterProfiles.getBaseObject('opendtu.0.114182912345', { type: 'device' }, 'custom'), null);
+        });
+    });
+});
\ No newline at end of file
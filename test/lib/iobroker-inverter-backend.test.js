@@ -0,0 +1,120 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const IobrokerInverterBackend = require('../../lib/iobroker-inverter-backend');
+
+describe('IobrokerInverterBackend', function() {
+    let getForeignStateAsync;
+    let setForeignStateAsync;
+    let backend;
+
+    beforeEach(function() {
+        getForeignStateAsync = sinon.stub().resolves(null);
+        setForeignStateAsync = sinon.stub().resolves();
+        backend = new IobrokerInverterBackend(getForeignStateAsync, setForeignStateAsync);
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('read()', function() {
+
+        it('should read values from the opendtu adapter objects', async function() {
+            // Arrange
+            const inverter = { inverterObject: 'opendtu.0.114182912345' };
+            getForeignStateAsync.withArgs('opendtu.0.114182912345.power_control.current_limit_absolute').resolves({ val: 600 });
+            getForeignStateAsync.withArgs('opendtu.0.114182912345.power_control.current_limit_relative').resolves({ val: 75 });
+            getForeignStateAsync.withArgs('opendtu.0.114182912345.reachable').resolves({ val: true });
+            getForeignStateAsync.withArgs('opendtu.0.114182912345.ac.phase_1.power').resolves({ val: 420.5 });
+            getForeignStateAsync.withArgs('opendtu.0.114182912345.name').resolves({ val: 'Balcony' });
+
+            // Act & Assert
+            assert.strictEqual(await backend.read(inverter, 'limit'), 600);
+            assert.strictEqual(await backend.read(inverter, 'limitRelative'), 75);
+            assert.strictEqual(await backend.read(inverter, 'reachable'), true);
+            assert.strictEqual(await backend.read(inverter, 'power'), 420.5);
+            assert.strictEqual(await backend.read(inverter, 'name'), 'Balcony');
+        });
+
+        it('should return null for missing states', async function() {
+            // Act
+            const result = await backend.read({ inverterObject: 'opendtu.0.1' }, 'producing');
+
+            // Assert
+            assert.strictEqual(result, null);
+            assert(getForeignStateAsync.calledWith('opendtu.0.1.producing'));
+        });
+    });
+
+    describe('read() with other inverter types', function() {
+
+        it('should derive the absolute limit of AhoyDTU inverters from the relative limit', async function() {
+            // Arrange
+            const inverter = { inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony', maxPower: 800 };
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.ch0.active_PowerLimit').resolves({ val: '56.3' });
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.available').resolves({ val: 1 });
+
+            // Act & Assert
+            assert.strictEqual(await backend.read(inverter, 'limit'), 450);
+            assert.strictEqual(await backend.read(inverter, 'reachable'), true);
+            assert.strictEqual(await backend.read(inverter, 'producing'), false);
+            assert.strictEqual(backend.getSource(inverter, 'limit'), 'mqtt.0.inverter.Balcony.ch0.active_PowerLimit (derived)');
+            assert.strictEqual(backend.getLimitStateId(inverter), null);
+        });
+
+        it('should derive the relative limit of custom inverters from the max power', async function() {
+            // Arrange
+            const inverter = { inverterType: 'custom', limitObject: 'modbus.0.limit', controlObject: 'modbus.0.setLimit', maxPower: 5000 };
+            getForeignStateAsync.withArgs('modbus.0.limit').resolves({ val: 3750 });
+
+            // Act & Assert
+            assert.strictEqual(await backend.read(inverter, 'limit'), 3750);
+            assert.strictEqual(await backend.read(inverter, 'limitRelative'), 75);
+            assert.strictEqual(await backend.read(inverter, 'reachable'), null);
+            assert.strictEqual(backend.getLimitStateId(inverter), 'modbus.0.limit');
+            assert.strictEqual(backend.describe(inverter), 'modbus.0.setLimit');
+        });
+    });
+
+    describe('setLimit()', function() {
+
+        it('should write the non-persistent limit matching the limit type', async function() {
+            // Act
+            await backend.setLimit({ inverterObject: 'opendtu.0.1' }, 600);
+            await backend.setLimit({ inverterObject: 'opendtu.0.2', limitType: 'relative' }, 75.5);
+
+            // Assert
+            assert(setForeignStateAsync.calledWith('opendtu.0.1.power_control.limit_nonpersistent_absolute', 600));
+            assert(setForeignStateAsync.calledWith('opendtu.0.2.power_control.limit_nonpersistent_relative', 75.5));
+        });
+
+        it('should write limits in the format of the inverter type', async function() {
+            // Act
+            await backend.setLimit({ inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony', controlObject: 'mqtt.0.inverter.ctrl.limit.0' }, 450);
+            await backend.setLimit({ inverterType: 'custom', controlObject: 'modbus.0.setLimit' }, 3750);
+
+            // Assert
+            assert(setForeignStateAsync.calledWith('mqtt.0.inverter.ctrl.limit.0', '450W'));
+            assert(setForeignStateAsync.calledWith('modbus.0.setLimit', 3750));
+        });
+    });
+
+    describe('getLimitStateId()', function() {
+
+        it('should return the reported absolute limit state', function() {
+            // Act & Assert
+            assert.strictEqual(backend.getLimitStateId({ inverterObject: 'opendtu.0.1' }), 'opendtu.0.1.power_control.current_limit_absolute');
+            assert.strictEqual(backend.describe({ inverterObject: 'opendtu.0.1' }), 'opendtu.0.1');
+        });
+    });
+
+    describe('reportsMaxPower()', function() {
+
+        it('should only derive the max power from profiles reporting both limits', function() {
+            // Act & Assert
+            assert.strictEqual(backend.reportsMaxPower({ inverterObject: 'opendtu.0.1' }), true);
+            assert.strictEqual(backend.reportsMaxPower({ inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony' }), false);
+            assert.strictEqual(backend.reportsMaxPower({ inverterType: 'custom', limitObject: 'modbus.0.limit' }), false);
+        });
+    });
+});
\ No newline at end of file
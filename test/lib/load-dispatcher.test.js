@@ -0,0 +1,149 @@
+const assert = require('assert');
+const LoadDispatcher = require('../../lib/load-dispatcher');
+
+const heater = (overrides = {}) => ({
+    enabled: true, name: 'Heater', controlObject: 'shelly.0.relay', type: 'switch',
+    power: 1000, minPower: 0, minOnTime: 0, minOffTime: 0, priority: 1, ...overrides
+});
+const charger = (overrides = {}) => ({
+    enabled: true, name: 'EV', controlObject: 'evcc.0.power', type: 'power',
+    power: 3000, minPower: 1400, minOnTime: 0, minOffTime: 0, priority: 2, ...overrides
+});
+
+describe('LoadDispatcher', function() {
+    let dispatcher;
+
+    beforeEach(function() {
+        dispatcher = new LoadDispatcher();
+    });
+
+    describe('dispatch()', function() {
+
+        it('should serve loads in priority order', function() {
+            // Arrange
+            const loads = [charger({ priority: 2 }), heater({ priority: 1 })];
+
+            // Act
+            const result = dispatcher.dispatch(2500, loads, 0);
+
+            // Assert - the heater takes 1000W, the charger the remaining 1500W
+            assert.strictEqual(dispatcher.getPower(1), 1000);
+            assert.strictEqual(dispatcher.getPower(0), 1500);
+            assert.strictEqual(result.delta, 2500);
+            assert.strictEqual(dispatcher.getTotalPower(), 2500);
+        });
+
+        it('should not start power loads below their min power', function() {
+            // Act
+            dispatcher.dispatch(1000, [charger()], 0);
+
+            // Assert
+            assert.strictEqual(dispatcher.getPower(0), 0);
+        });
+
+        it('should command unknown loads once and unchanged loads never again', function() {
+            // Arrange
+            const loads = [heater()];
+
+            // Act
+            const first = dispatcher.dispatch(0, loads, 0);
+            const second = dispatcher.dispatch(0, loads, 1000);
+
+            // Assert
+            assert.deepStrictEqual(first.changes.map(change => change.power), [0]);
+            assert.strictEqual(second.changes.length, 0);
+        });
+
+        it('should keep loads on for their min on time', function() {
+            // Arrange
+            const loads = [heater({ minOnTime: 300 })];
+            dispatcher.dispatch(1200, loads, 0);
+
+            // Act
+            const held = dispatcher.dispatch(0, loads, 299000);
+            const released = dispatcher.dispatch(0, loads, 300000);
+
+            // Assert
+            assert.strictEqual(held.changes.length, 0);
+            assert.deepStrictEqual(released.changes.map(change => change.power), [0]);
+            assert.strictEqual(released.delta, -1000);
+        });
+
+        it('should hold power loads at their min power during the min on time', function() {
+            // Arrange
+            const loads = [charger({ minOnTime: 600 })];
+            dispatcher.dispatch(2000, loads, 0);
+
+            // Act
+            dispatcher.dispatch(500, loads, 1000);
+
+            // Assert
+            assert.strictEqual(dispatcher.getPower(0), 1400);
+        });
+
+        it('should only change the setpoint of power loads by at least the setpoint step', function() {
+            // Arrange
+            const loads = [charger({ powerStep: 100 })];
+            dispatcher.dispatch(2000, loads, 0);
+
+            // Act
+            const small = dispatcher.dispatch(2060, loads, 1000);
+            const large = dispatcher.dispatch(2150, loads, 2000);
+
+            // Assert
+            assert.strictEqual(small.changes.length, 0);
+            assert.deepStrictEqual(large.changes.map(change => change.power), [2150]);
+            assert.strictEqual(large.delta, 150);
+        });
+
+        it('should send min and max power of power loads regardless of the setpoint step', function() {
+            // Arrange
+            const loads = [charger({ powerStep: 100 })];
+            dispatcher.dispatch(2950, loads, 0);
+
+            // Act
+            dispatcher.dispatch(3500, loads, 1000);
+            const max = dispatcher.getPower(0);
+            dispatcher.dispatch(1450, loads, 2000);
+            dispatcher.dispatch(1400, loads, 3000);
+
+            // Assert
+            assert.strictEqual(max, 3000);
+            assert.strictEqual(dispatcher.getPower(0), 1400);
+        });
+
+        it('should keep loads off for their min off time', function() {
+            // Arrange
+            const loads = [heater({ minOffTime: 120 })];
+            dispatcher.dispatch(1200, loads, 0);
+            dispatcher.dispatch(0, loads, 1000);
+
+            // Act
+            dispatcher.dispatch(1200, loads, 60000);
+            const blocked = dispatcher.getPower(0);
+            dispatcher.dispatch(1200, loads, 121000);
+
+            // Assert
+            assert.strictEqual(blocked, 0);
+            assert.strictEqual(dispatcher.getPower(0), 1000);
+        });
+
+        it('should skip disabled loads', function() {
+            // Act
+            const result = dispatcher.dispatch(5000, [heater({ enabled: false })], 0);
+
+            // Assert
+            assert.strictEqual(result.changes.length, 0);
+        });
+    });
+
+    describe('toCommandValue()', function() {
+
+        it('should write booleans to switch loads and watts to power loads', function() {
+            // Act & Assert
+            assert.strictEqual(LoadDispatcher.toCommandValue(heater(), 1000), true);
+            assert.strictEqual(LoadDispatcher.toCommandValue(heater(), 0), false);
+            assert.strictEqual(LoadDispatcher.toCommandValue(charger(), 1800), 1800);
+        });
+    });
+});
\ No newline at end of file
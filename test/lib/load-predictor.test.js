@@ -0,0 +1,151 @@
+const assert = require('assert');
+const LoadPredictor = require('../../lib/load-predictor');
+
+const config = { predictionLearningRate: 0.5, predictionMinDays: 2, predictionFloorShare: 80 };
+const at = (day, hours, minutes) => new Date(2026, 0, day, hours, minutes).getTime();
+
+/**
+ * Feed one sample per minute from 07:00 to 07:15 of a day, then one sample of the next slot
+ * @param {LoadPredictor} predictor Predictor instance
+ * @param {number} day Day of January 2026
+ * @param {number} consumption Consumption in W
+ * @returns {boolean} Whether the slot was learned
+ */
+function feedSlot(predictor, day, consumption) {
+    for (let minute = 0; minute < 15; minute++) {
+        predictor.update(consumption, at(day, 7, minute), config);
+    }
+    return predictor.update(consumption, at(day, 7, 15), config);
+}
+
+describe('LoadPredictor', function() {
+
+    describe('getSlot()', function() {
+
+        it('should count 15 minute slots from local midnight', function() {
+            // Act & Assert
+            assert.strictEqual(LoadPredictor.getSlot(at(5, 0, 14)), 0);
+            assert.strictEqual(LoadPredictor.getSlot(at(5, 7, 15)), 29);
+            assert.strictEqual(LoadPredictor.getSlot(at(5, 23, 59)), 95);
+        });
+    });
+
+    describe('update()', function() {
+
+        it('should learn the low quantile of a slot once the next slot starts', function() {
+            // Arrange
+            const predictor = new LoadPredictor();
+            for (let minute = 0; minute < 15; minute++) {
+                // A kettle at the start of the slot does not raise the base load
+                predictor.update(minute < 3 ? 2500 : 300 + minute, at(5, 7, minute), config);
+            }
+
+            // Act
+            const learned = predictor.update(300, at(5, 7, 15), config);
+
+            // Assert
+            assert.strictEqual(learned, true);
+            assert.deepStrictEqual(predictor.slots[28], { baseLoad: 304, days: 1 });
+        });
+
+        it('should not learn a slot with samples over less than half of it', function() {
+            // Arrange
+            const predictor = new LoadPredictor();
+            predictor.update(300, at(5, 7, 10), config);
+
+            // Act
+            const learned = predictor.update(300, at(5, 7, 15), config);
+
+            // Assert
+            assert.strictEqual(learned, false);
+            assert.strictEqual(predictor.slots[28].days, 0);
+        });
+
+        it('should average the base load over the days', function() {
+            // Arrange
+            const predictor = new LoadPredictor();
+            feedSlot(predictor, 5, 200);
+
+            // Act
+            feedSlot(predictor, 6, 400);
+
+            // Assert
+            assert.deepStrictEqual(predictor.slots[28], { baseLoad: 300, days: 2 });
+        });
+    });
+
+    describe('getFloor()', function() {
+
+        it('should keep a share of the prediction once learned on enough days', function() {
+            // Arrange
+            const predictor = new LoadPredictor();
+            feedSlot(predictor, 5, 300);
+            const before = predictor.getFloor(at(6, 7, 5), config);
+            feedSlot(predictor, 6, 300);
+
+            // Act
+            const floor = predictor.getFloor(at(7, 7, 5), config);
+
+            // Assert
+            assert.strictEqual(before, 0);
+            assert.strictEqual(floor, 240);
+            assert.strictEqual(predictor.getFloor(at(7, 8, 5), config), 0);
+        });
+    });
+
+    describe('getMetrics()', function() {
+
+        it('should rate the predictions against the observed base load', function() {
+            // Arrange
+            const predictor = new LoadPredictor();
+            feedSlot(predictor, 5, 300);
+            feedSlot(predictor, 6, 300);
+            feedSlot(predictor, 7, 200);
+            feedSlot(predictor, 8, 350);
+
+            // Act
+            const metrics = predictor.getMetrics(config);
+
+            // Assert - predicted 300W for 200W (floor of 240W above it), then 250W for 350W
+            assert.deepStrictEqual(metrics, { evaluatedSlots: 2, meanAbsoluteError: 100, bias: 0, exportRisk: 50 });
+        });
+
+        it('should report no metrics before the first prediction', function() {
+            // Act & Assert
+            assert.deepStrictEqual(new LoadPredictor().getMetrics(config), {
+                evaluatedSlots: 0, meanAbsoluteError: null, bias: null, exportRisk: null
+            });
+        });
+    });
+
+    describe('restore()', function() {
+
+        it('should restore a persisted model', function() {
+            // Arrange
+            const predictor = new LoadPredictor();
+            feedSlot(predictor, 5, 300);
+            feedSlot(predictor, 6, 300);
+            feedSlot(predictor, 7, 200);
+            const restored = new LoadPredictor();
+
+            // Act
+            restored.restore(JSON.parse(JSON.stringify(predictor)));
+
+            // Assert
+            assert.deepStrictEqual(restored.slots, predictor.slots);
+            assert.deepStrictEqual(restored.evaluations, [{ predicted: 300, observed: 200 }]);
+        });
+
+        it('should ignore a model of another slot length', function() {
+            // Arrange
+            const predictor = new LoadPredictor();
+
+            // Act
+            predictor.restore({ slots: [{ baseLoad: 300, days: 5 }], evaluations: [] });
+
+            // Assert
+            assert.strictEqual(predictor.slots.length, 96);
+            assert.strictEqual(predictor.slots[0].baseLoad, null);
+        });
+    });
+});
\ No newline at end of file
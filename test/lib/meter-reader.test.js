@@ -0,0 +1,151 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const MeterReader = require('../../lib/meter-reader');
+
+describe('MeterReader', function() {
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('getSourceObjects()', function() {
+
+        it('should return the single power source by default', function() {
+            // Arrange
+            const config = { powerSourceObject: 'shelly.0.TotalActivePower' };
+
+            // Act
+            const result = MeterReader.getSourceObjects(config);
+
+            // Assert
+            assert.deepStrictEqual(result, ['shelly.0.TotalActivePower']);
+        });
+
+        it('should return all summed sources', function() {
+            // Arrange
+            const config = {
+                meterType: 'sum',
+                powerSourceObject: 'ignored',
+                meterSources: [
+                    { sourceObject: 'shelly.0.ActivePowerA' },
+                    { sourceObject: 'shelly.0.ActivePowerB' },
+                    { sourceObject: 'shelly.0.ActivePowerC' }
+                ]
+            };
+
+            // Act
+            const result = MeterReader.getSourceObjects(config);
+
+            // Assert
+            assert.deepStrictEqual(result, ['shelly.0.ActivePowerA', 'shelly.0.ActivePowerB', 'shelly.0.ActivePowerC']);
+        });
+
+        it('should return import and export sources', function() {
+            // Arrange
+            const config = { meterType: 'importExport', importObject: 'meter.0.import', exportObject: 'meter.0.export' };
+
+            // Act
+            const result = MeterReader.getSourceObjects(config);
+
+            // Assert
+            assert.deepStrictEqual(result, ['meter.0.import', 'meter.0.export']);
+        });
+    });
+
+    describe('describe()', function() {
+
+        it('should describe the meter definition', function() {
+            // Assert
+            assert.strictEqual(MeterReader.describe({ powerSourceObject: 'a' }), 'a');
+            assert.strictEqual(MeterReader.describe({ meterType: 'sum', meterSources: [{ sourceObject: 'a' }, { sourceObject: 'b' }] }), 'a + b');
+            assert.strictEqual(MeterReader.describe({ meterType: 'importExport', importObject: 'i', exportObject: 'e', meterInvert: true }), '-(i - e)');
+        });
+    });
+
+    describe('combineStates()', function() {
+
+        it('should pass a single value through', function() {
+            // Act
+            const result = MeterReader.combineStates({}, [{ val: '-350.5', ts: 1000 }]);
+
+            // Assert
+            assert.deepStrictEqual(result, { val: -350.5, ts: 1000, ack: true });
+        });
+
+        it('should sum phase values and use the oldest timestamp', function() {
+            // Arrange
+            const config = { meterType: 'sum' };
+            const states = [{ val: 100, ts: 3000 }, { val: -250, ts: 1000 }, { val: 50, ts: 2000 }];
+
+            // Act
+            const result = MeterReader.combineStates(config, states);
+
+            // Assert
+            assert.strictEqual(result.val, -100);
+            assert.strictEqual(result.ts, 1000);
+        });
+
+        it('should compute import minus export', function() {
+            // Arrange
+            const config = { meterType: 'importExport' };
+
+            // Act
+            const result = MeterReader.combineStates(config, [{ val: 0, ts: 1 }, { val: 420, ts: 1 }]);
+
+            // Assert
+            assert.strictEqual(result.val, -420);
+        });
+
+        it('should invert the sign when configured', function() {
+            // Arrange
+            const config = { meterInvert: true };
+
+            // Act
+            const result = MeterReader.combineStates(config, [{ val: 300, ts: 1 }]);
+
+            // Assert
+            assert.strictEqual(result.val, -300);
+        });
+
+        it('should return null when any source has no data', function() {
+            // Arrange
+            const config = { meterType: 'sum' };
+
+            // Act & Assert
+            assert.strictEqual(MeterReader.combineStates(config, [{ val: 100 }, null]), null);
+            assert.strictEqual(MeterReader.combineStates(config, [{ val: 100 }, { val: null }]), null);
+        });
+
+        it('should pass through the raw value of an invalid source', function() {
+            // Arrange
+            const config = { meterType: 'sum' };
+
+            // Act
+            const result = MeterReader.combineStates(config, [{ val: 100, ts: 5 }, { val: 'unavailable', ts: 6 }]);
+
+            // Assert
+            assert.strictEqual(result.val, 'unavailable');
+            assert.strictEqual(result.ts, 5);
+        });
+    });
+
+    describe('readMeterState()', function() {
+
+        it('should read and combine all sources', async function() {
+            // Arrange
+            const config = {
+                meterType: 'sum',
+                meterSources: [{ sourceObject: 'shelly.0.ActivePowerA' }, { sourceObject: 'shelly.0.ActivePowerB' }]
+            };
+            const getForeignStateAsync = sinon.stub();
+            getForeignStateAsync.withArgs('shelly.0.ActivePowerA').resolves({ val: 120, ts: 10 });
+            getForeignStateAsync.withArgs('shelly.0.ActivePowerB').resolves({ val: -20, ts: 20 });
+
+            // Act
+            const result = await MeterReader.readMeterState(config, getForeignStateAsync);
+
+            // Assert
+            assert.deepStrictEqual(result, { val: 100, ts: 10, ack: true });
+        });
+    });
+});
\ No newline at end of file
@@ -56,6 +56,17 @@ describe('ObjectFilter', function() {
             }
         });
 
+        it('should include individual phase active power when phases are requested', function() {
+            // Arrange
+            const objData = { common: { name: 'Phase Power' } };
+
+            // Act & Assert
+            assert.strictEqual(ObjectFilter.isRelevantPowerSource('meter.0.ActivePowerA', objData, true), true);
+            assert.strictEqual(ObjectFilter.isRelevantPowerSource('shelly.0.device.ac.phase_2.power', objData, true), true);
+            assert.strictEqual(ObjectFilter.isRelevantPowerSource('meter.0.ReactivePowerB', objData, true), false);
+            assert.strictEqual(ObjectFilter.isRelevantPowerSource('opendtu.0.123456789.ac.phase_1.power', objData, true), false);
+        });
+
         it('should include total power measurements by pattern', function() {
             // Arrange
             const testCases = [
@@ -184,6 +195,37 @@ describe('ObjectFilter', function() {
             assert.strictEqual(result[1]._id, 'opendtu.0.987654321');
         });
 
+        it('should list AhoyDTU inverter topics once by their base object', function() {
+            // Arrange
+            const allObjects = {
+                'mqtt.0.inverter.Balcony.ch0.P_AC': { type: 'state', common: { name: 'P_AC' } },
+                'mqtt.0.inverter.Balcony.ch1.P_DC': { type: 'state', common: { name: 'P_DC' } },
+                'mqtt.0.inverter.Garage.ch0.P_AC': { type: 'state', common: { name: 'P_AC' } },
+                'opendtu.0.123456789': { type: 'device', common: { name: 'Inverter 1' } }
+            };
+
+            // Act
+            const result = ObjectFilter.filterObjects(allObjects, { inverterType: 'ahoy' }, logger);
+
+            // Assert
+            assert.deepStrictEqual(result.map(entry => entry.value), ['mqtt.0.inverter.Balcony', 'mqtt.0.inverter.Garage']);
+            assert.strictEqual(result[0].label, 'mqtt.0.inverter.Balcony');
+        });
+
+        it('should list OpenDTU devices for the OpenDTU inverter type', function() {
+            // Arrange
+            const allObjects = {
+                'opendtu.0.123456789': { type: 'device', common: { name: 'Inverter 1' } },
+                'mqtt.0.inverter.Balcony.ch0.P_AC': { type: 'state', common: { name: 'P_AC' } }
+            };
+
+            // Act
+            const result = ObjectFilter.filterObjects(allObjects, { type: 'device', inverterType: 'opendtu' }, logger);
+
+            // Assert
+            assert.deepStrictEqual(result.map(entry => entry.value), ['opendtu.0.123456789']);
+        });
+
         it('should handle objects with complex names', function() {
             // Arrange
             const allObjects = {
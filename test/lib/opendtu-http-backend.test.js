@@ -0,0 +1,207 @@
+const assert = require('assert');
+const http = require('http');
+const OpenDtuHttpBackend = require('../../lib/opendtu-http-backend');
+
+describe('OpenDtuHttpBackend', function() {
+    let server;
+    let requests;
+    let status;
+    let details;
+    let limitResponse;
+    let backend;
+
+    beforeEach(async function() {
+        requests = [];
+        status = {
+            inverters: [
+                {
+                    serial: '114182912345',
+                    name: 'Balcony',
+                    reachable: true,
+                    producing: true,
+                    limit_relative: 75,
+                    limit_absolute: 600,
+                    AC: { 0: { Power: { v: 420.5, u: 'W', d: 1 } } }
+                },
+                { serial: '114182954321', name: 'Garage', reachable: false, producing: false, limit_relative: 100, limit_absolute: 800 }
+            ]
+        };
+        details = {};
+        limitResponse = { type: 'success', message: 'Settings saved!', code: 1001 };
+
+        // Stub of the OpenDTU web API
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+                res.setHeader('Content-Type', 'application/json');
+                const serial = req.url.startsWith('/api/livedata/status?inv=') ? req.url.split('=')[1] : null;
+                if (req.method === 'GET' && req.url === '/api/livedata/status') {
+                    res.end(JSON.stringify(status));
+                } else if (req.method === 'GET' && serial !== null) {
+                    const inverter = details[serial] || status.inverters.find(candidate => candidate.serial === serial);
+                    res.end(JSON.stringify({ inverters: inverter ? [inverter] : [] }));
+                } else if (req.method === 'POST' && req.url === '/api/limit/config') {
+                    if (req.headers.authorization !== `Basic ${Buffer.from('admin:secret').toString('base64')}`) {
+                        res.statusCode = 401;
+                        res.end();
+                        return;
+                    }
+                    res.end(JSON.stringify(limitResponse));
+                } else {
+                    res.statusCode = 404;
+                    res.end();
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        backend = new OpenDtuHttpBackend({ host: `127.0.0.1:${server.address().port}/`, password: 'secret', timeout: 2000 });
+    });
+
+    afterEach(async function() {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    describe('read()', function() {
+
+        it('should read values of an inverter from the live data', async function() {
+            // Arrange
+            const inverter = { serial: '114182912345' };
+
+            // Act & Assert
+            assert.strictEqual(await backend.read(inverter, 'limit'), 600);
+            assert.strictEqual(await backend.read(inverter, 'limitRelative'), 75);
+            assert.strictEqual(await backend.read(inverter, 'reachable'), true);
+            assert.strictEqual(await backend.read(inverter, 'producing'), true);
+            assert.strictEqual(await backend.read(inverter, 'power'), 420.5);
+            assert.strictEqual(await backend.read(inverter, 'name'), 'Balcony');
+            assert.strictEqual(await backend.read({ serial: '114182954321' }, 'reachable'), false);
+        });
+
+        it('should reuse the live data within its max age', async function() {
+            // Act
+            await Promise.all([
+                backend.read({ serial: '114182912345' }, 'limit'),
+                backend.read({ serial: '114182954321' }, 'limit')
+            ]);
+            await backend.read({ serial: '114182912345' }, 'power');
+
+            // Assert
+            assert.strictEqual(requests.length, 1);
+        });
+
+        it('should read the AC power per inverter if the live data only holds the summary', async function() {
+            // Arrange - current firmware reports AC data only for an inverter queried by serial
+            delete status.inverters[0].AC;
+            details['114182912345'] = { ...status.inverters[0], AC: { 0: { Power: { v: 388, u: 'W', d: 1 } } } };
+
+            // Act
+            const power = await backend.read({ serial: '114182912345' }, 'power');
+            const limit = await backend.read({ serial: '114182912345' }, 'limit');
+            const cached = await backend.read({ serial: '114182912345' }, 'power');
+
+            // Assert
+            assert.strictEqual(power, 388);
+            assert.strictEqual(limit, 600);
+            assert.strictEqual(cached, 388);
+            assert.deepStrictEqual(requests.map(request => request.url), ['/api/livedata/status', '/api/livedata/status?inv=114182912345']);
+        });
+
+        it('should return null for unknown inverters and missing values', async function() {
+            // Act & Assert
+            assert.strictEqual(await backend.read({ serial: '999' }, 'limit'), null);
+            assert.strictEqual(await backend.read({ serial: '114182954321' }, 'power'), null);
+        });
+
+        it('should reject on HTTP errors and request again afterwards', async function() {
+            // Arrange
+            server.removeAllListeners('request');
+            server.on('request', (req, res) => {
+                requests.push({ url: req.url });
+                res.statusCode = 500;
+                res.end();
+            });
+
+            // Act & Assert
+            await assert.rejects(backend.read({ serial: '114182912345' }, 'limit'), /returned HTTP 500/);
+            await assert.rejects(backend.read({ serial: '114182912345' }, 'limit'), /returned HTTP 500/);
+            assert.strictEqual(requests.length, 2);
+        });
+
+        it('should reject when OpenDTU does not respond in time', async function() {
+            // Arrange
+            server.removeAllListeners('request');
+            server.on('request', () => {});
+            const slow = new OpenDtuHttpBackend({ host: `127.0.0.1:${server.address().port}`, timeout: 100 });
+
+            // Act & Assert
+            await assert.rejects(slow.read({ serial: '114182912345' }, 'limit'), /did not respond within 100ms/);
+            server.closeAllConnections();
+        });
+    });
+
+    describe('setLimit()', function() {
+
+        it('should send a non-persistent absolute limit with authentication', async function() {
+            // Act
+            await backend.setLimit({ serial: '114182912345' }, 450);
+
+            // Assert
+            const request = requests[0];
+            assert.strictEqual(request.method, 'POST');
+            assert.strictEqual(request.headers['content-type'], 'application/x-www-form-urlencoded');
+            const data = JSON.parse(new URLSearchParams(request.body).get('data'));
+            assert.deepStrictEqual(data, { serial: '114182912345', limit_type: 0, limit_value: 450 });
+        });
+
+        it('should send a non-persistent relative limit', async function() {
+            // Act
+            await backend.setLimit({ serial: '114182912345', limitType: 'relative' }, 56.3);
+
+            // Assert
+            const data = JSON.parse(new URLSearchParams(requests[0].body).get('data'));
+            assert.deepStrictEqual(data, { serial: '114182912345', limit_type: 1, limit_value: 56.3 });
+        });
+
+        it('should read fresh live data after a limit was sent', async function() {
+            // Arrange
+            await backend.read({ serial: '114182912345' }, 'limit');
+            status.inverters[0].limit_absolute = 450;
+
+            // Act
+            await backend.setLimit({ serial: '114182912345' }, 450);
+            const limit = await backend.read({ serial: '114182912345' }, 'limit');
+
+            // Assert
+            assert.strictEqual(limit, 450);
+            assert.strictEqual(requests.length, 3);
+        });
+
+        it('should reject limits OpenDTU does not accept', async function() {
+            // Arrange
+            limitResponse = { type: 'warning', message: 'Invalid inverter specified!', code: 1004 };
+
+            // Act & Assert
+            await assert.rejects(backend.setLimit({ serial: '999' }, 450), /OpenDTU rejected the limit: Invalid inverter specified!/);
+        });
+
+        it('should reject a wrong password', async function() {
+            // Arrange
+            const unauthorized = new OpenDtuHttpBackend({ host: `127.0.0.1:${server.address().port}`, password: 'wrong' });
+
+            // Act & Assert
+            await assert.rejects(unauthorized.setLimit({ serial: '114182912345' }, 450), /returned HTTP 401/);
+        });
+    });
+
+    describe('describe()', function() {
+
+        it('should describe the inverter by serial number and host', function() {
+            // Act & Assert
+            assert.strictEqual(backend.describe({ serial: '114182912345' }), `serial 114182912345 at http://127.0.0.1:${server.address().port}`);
+            assert.strictEqual(backend.getLimitStateId({ serial: '114182912345' }), null);
+            assert.strictEqual(backend.reportsMaxPower({ serial: '114182912345' }), true);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,190 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const PowerController = require('../../lib/power-controller');
+
+describe('PowerController', function() {
+    let config;
+
+    beforeEach(function() {
+        config = {
+            inverters: [
+                { maxPower: 2000 },
+                { maxPower: 1000 }
+            ],
+            targetFeedIn: 0,
+            pollingInterval: 5000,
+            controllerType: 'pi',
+            controllerKp: 0.5,
+            controllerKi: 0.1,
+            controllerKd: 0,
+            controllerDerivativeFilter: 0.3
+        };
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('calculateTotalLimit()', function() {
+
+        it('should keep the proportional jump for the p strategy', function() {
+            // Arrange
+            config.controllerType = 'p';
+            config.targetFeedIn = 800;
+            const controller = new PowerController(config);
+
+            // Act
+            const result = controller.calculateTotalLimit(500, 1800, 0);
+
+            // Assert
+            assert.strictEqual(result, 3100); // 1800 + 500 + 800
+        });
+
+        it('should start bumplessly from the current total limit', function() {
+            // Arrange
+            const controller = new PowerController(config);
+
+            // Act
+            const result = controller.calculateTotalLimit(200, 1000, 0);
+
+            // Assert
+            assert.strictEqual(result, 1000);
+            assert.strictEqual(controller.error, 200);
+            assert.strictEqual(controller.integral, 900); // 1000 - 0.5 * 200
+        });
+
+        it('should accumulate the integral over time', function() {
+            // Arrange
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(200, 1000, 0);
+
+            // Act - 200W import persists for 5s
+            const result = controller.calculateTotalLimit(200, 1000, 5000);
+
+            // Assert
+            assert.strictEqual(controller.integral, 1000); // 900 + 0.1 * 200 * 5
+            assert.strictEqual(result, 1100); // 0.5 * 200 + 1000
+        });
+
+        it('should react less than the proportional jump to the same error', function() {
+            // Arrange
+            config.controllerKi = 0.05;
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(0, 1000, 0);
+
+            // Act - export of 600W appears
+            const result = controller.calculateTotalLimit(-600, 1000, 5000);
+
+            // Assert - P would jump straight to 400W
+            assert.strictEqual(result, 550); // -0.5 * 600 + (1000 - 0.05 * 600 * 5)
+        });
+
+        it('should stop integrating while saturated at the maximum', function() {
+            // Arrange
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(0, 3000, 0);
+
+            // Act - persistent import while all inverters are at max
+            controller.calculateTotalLimit(1000, 3000, 5000);
+            controller.calculateTotalLimit(1000, 3000, 10000);
+            const result = controller.calculateTotalLimit(1000, 3000, 15000);
+
+            // Assert
+            assert.strictEqual(result, 3000);
+            assert(controller.integral <= 3000);
+
+            // Act - export appears, output must leave saturation immediately
+            const recovered = controller.calculateTotalLimit(-500, 3000, 20000);
+
+            // Assert
+            assert(recovered < 3000);
+        });
+
+        it('should never output a negative total limit', function() {
+            // Arrange
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(0, 100, 0);
+
+            // Act
+            const result = controller.calculateTotalLimit(-2000, 100, 5000);
+
+            // Assert
+            assert.strictEqual(result, 0);
+            assert(controller.integral >= 0);
+        });
+
+        it('should not output less than the minimum total limit', function() {
+            // Arrange
+            config.minTotalLimit = 400;
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(0, 1000, 0);
+
+            // Act
+            const result = controller.calculateTotalLimit(-2000, 1000, 5000);
+
+            // Assert
+            assert.strictEqual(result, 400);
+            assert(controller.integral >= 400);
+        });
+
+        it('should add a filtered derivative term for the pid strategy', function() {
+            // Arrange
+            config.controllerType = 'pid';
+            config.controllerKi = 0;
+            config.controllerKd = 2;
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(0, 1000, 0);
+
+            // Act - grid power rises by 500W within 5s
+            const result = controller.calculateTotalLimit(500, 1000, 5000);
+
+            // Assert
+            // raw derivative 100W/s, filtered 0.3 * 100 = 30W/s, term 2 * 30 = 60W
+            assert.strictEqual(controller.derivative, 30);
+            assert.strictEqual(result, 1000 + 0.5 * 500 + 60);
+        });
+
+        it('should reinitialize after a long gap between updates', function() {
+            // Arrange
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(200, 1000, 0);
+
+            // Act - more than 5 polling intervals later, limits were changed externally
+            const result = controller.calculateTotalLimit(200, 1500, 60000);
+
+            // Assert
+            assert.strictEqual(result, 1500);
+        });
+    });
+
+    describe('trackAppliedLimit()', function() {
+
+        it('should continue from the applied limit instead of winding up', function() {
+            // Arrange
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(200, 1000, 0);
+            controller.calculateTotalLimit(200, 1000, 5000); // 0.5 * 200 + 900 + 0.1 * 200 * 5 = 1100
+
+            // Act - the ramp rate only allowed 1050W
+            controller.trackAppliedLimit(1100, 1050);
+            const result = controller.calculateTotalLimit(200, 1050, 10000);
+
+            // Assert - 0.5 * 200 + 950 + 0.1 * 200 * 5
+            assert.strictEqual(controller.integral, 1050);
+            assert.strictEqual(result, 1150);
+        });
+
+        it('should leave the p strategy alone', function() {
+            // Arrange
+            config.controllerType = 'p';
+            const controller = new PowerController(config);
+            controller.calculateTotalLimit(200, 1000, 0);
+
+            // Act
+            controller.trackAppliedLimit(1200, 1050);
+
+            // Assert
+            assert.strictEqual(controller.integral, null);
+        });
+    });
+});
\ No newline at end of file
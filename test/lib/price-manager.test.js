@@ -0,0 +1,66 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const PriceManager = require('../../lib/price-manager');
+
+describe('PriceManager', function() {
+    let logger;
+
+    beforeEach(function() {
+        logger = {
+            info: sinon.stub(),
+            debug: sinon.stub(),
+            warn: sinon.stub(),
+            error: sinon.stub()
+        };
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    describe('readPrice()', function() {
+
+        it('should read a numeric price', async function() {
+            // Arrange
+            const getForeignStateAsync = sinon.stub().resolves({ val: '-0.034', ack: true });
+
+            // Act
+            const result = await PriceManager.readPrice({ priceObject: 'tibber.0.price' }, getForeignStateAsync, logger);
+
+            // Assert
+            assert.strictEqual(result, -0.034);
+            assert(getForeignStateAsync.calledWith('tibber.0.price'));
+        });
+
+        it('should return null for missing or invalid prices', async function() {
+            // Arrange
+            const config = { priceObject: 'tibber.0.price' };
+
+            // Act & Assert
+            assert.strictEqual(await PriceManager.readPrice(config, sinon.stub().resolves(null), logger), null);
+            assert.strictEqual(await PriceManager.readPrice(config, sinon.stub().resolves({ val: 'n/a' }), logger), null);
+            assert.strictEqual(await PriceManager.readPrice(config, sinon.stub().rejects(new Error('boom')), logger), null);
+            assert(logger.debug.calledWith('Error reading electricity price: boom'));
+        });
+    });
+
+    describe('classify()', function() {
+
+        it('should classify prices against the thresholds', function() {
+            // Arrange
+            const config = { priceLowThreshold: 0, priceHighThreshold: 0.3 };
+
+            // Act & Assert
+            assert.strictEqual(PriceManager.classify(-0.01, config), 'low');
+            assert.strictEqual(PriceManager.classify(0, config), null);
+            assert.strictEqual(PriceManager.classify(0.3, config), null);
+            assert.strictEqual(PriceManager.classify(0.31, config), 'high');
+            assert.strictEqual(PriceManager.classify(null, config), null);
+        });
+
+        it('should never report high prices without a high threshold', function() {
+            // Act & Assert
+            assert.strictEqual(PriceManager.classify(5, { priceLowThreshold: 0, priceHighThreshold: null }), null);
+        });
+    });
+});
\ No newline at end of file
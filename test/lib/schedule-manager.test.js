@@ -0,0 +1,111 @@
+const assert = require('assert');
+const ScheduleManager = require('../../lib/schedule-manager');
+
+// 2024-01-15 is a Monday
+const monday = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes);
+const saturday = (hours, minutes = 0) => new Date(2024, 0, 13, hours, minutes);
+
+describe('ScheduleManager', function() {
+
+    describe('parseTime()', function() {
+
+        it('should parse times of day to minutes since midnight', function() {
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.parseTime('00:00'), 0);
+            assert.strictEqual(ScheduleManager.parseTime('7:30'), 450);
+            assert.strictEqual(ScheduleManager.parseTime(' 22:15 '), 1335);
+            assert.strictEqual(ScheduleManager.parseTime('24:00'), 1440);
+        });
+
+        it('should reject invalid times', function() {
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.parseTime('24:30'), null);
+            assert.strictEqual(ScheduleManager.parseTime('12:60'), null);
+            assert.strictEqual(ScheduleManager.parseTime('noon'), null);
+            assert.strictEqual(ScheduleManager.parseTime(''), null);
+            assert.strictEqual(ScheduleManager.parseTime(undefined), null);
+        });
+    });
+
+    describe('isActive()', function() {
+
+        it('should match a window on the selected days only', function() {
+            // Arrange
+            const entry = { enabled: true, days: 'weekdays', from: '11:00', to: '14:00' };
+
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.isActive(entry, monday(11)), true);
+            assert.strictEqual(ScheduleManager.isActive(entry, monday(13, 59)), true);
+            assert.strictEqual(ScheduleManager.isActive(entry, monday(14)), false);
+            assert.strictEqual(ScheduleManager.isActive(entry, monday(10, 59)), false);
+            assert.strictEqual(ScheduleManager.isActive(entry, saturday(12)), false);
+        });
+
+        it('should assign windows over midnight to the day they start on', function() {
+            // Arrange
+            const entry = { enabled: true, days: 'friday', from: '22:00', to: '06:00' };
+            const friday = new Date(2024, 0, 12, 23, 0);
+
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.isActive(entry, friday), true);
+            assert.strictEqual(ScheduleManager.isActive(entry, saturday(5, 59)), true);
+            assert.strictEqual(ScheduleManager.isActive(entry, saturday(6)), false);
+            assert.strictEqual(ScheduleManager.isActive(entry, saturday(23)), false);
+            assert.strictEqual(ScheduleManager.isActive(entry, monday(3)), false);
+        });
+
+        it('should cover the whole day when from equals to', function() {
+            // Arrange
+            const entry = { enabled: true, days: 'weekend', from: '00:00', to: '00:00' };
+
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.isActive(entry, saturday(0)), true);
+            assert.strictEqual(ScheduleManager.isActive(entry, saturday(23, 59)), true);
+            assert.strictEqual(ScheduleManager.isActive(entry, monday(12)), false);
+        });
+
+        it('should never match disabled entries', function() {
+            // Arrange
+            const entry = { enabled: false, days: 'everyday', from: '00:00', to: '00:00' };
+
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.isActive(entry, monday(12)), false);
+        });
+    });
+
+    describe('findActiveEntry()', function() {
+
+        it('should return the first active entry', function() {
+            // Arrange
+            const schedules = [
+                { enabled: true, days: 'weekend', from: '00:00', to: '00:00' },
+                { enabled: true, days: 'everyday', from: '10:00', to: '16:00', name: 'Noon' },
+                { enabled: true, days: 'everyday', from: '00:00', to: '00:00' }
+            ];
+
+            // Act
+            const result = ScheduleManager.findActiveEntry(schedules, monday(12));
+
+            // Assert
+            assert.deepStrictEqual(result, { index: 1, entry: schedules[1] });
+        });
+
+        it('should return null if no entry is active', function() {
+            // Arrange
+            const schedules = [{ enabled: true, days: 'everyday', from: '10:00', to: '16:00' }];
+
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.findActiveEntry(schedules, monday(18)), null);
+            assert.strictEqual(ScheduleManager.findActiveEntry(undefined, monday(18)), null);
+        });
+    });
+
+    describe('getName()', function() {
+
+        it('should fall back to the position in the table', function() {
+            // Act & Assert
+            assert.strictEqual(ScheduleManager.getName({ name: 'Night' }, 0), 'Night');
+            assert.strictEqual(ScheduleManager.getName({ name: '' }, 2), 'Schedule 3');
+        });
+    });
+});
\ No newline at end of file
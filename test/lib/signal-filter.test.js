@@ -0,0 +1,92 @@
+const assert = require('assert');
+const SignalFilter = require('../../lib/signal-filter');
+
+/**
+ * Filter a series of samples
+ * @param {SignalFilter} filter Filter instance
+ * @param {Array<number>} values Raw samples
+ * @param {Object} config Filter configuration
+ * @returns {Array<number>} Filtered samples
+ */
+function filterAll(filter, values, config) {
+    return values.map(value => filter.filter(value, config));
+}
+
+describe('SignalFilter', function() {
+
+    describe('filter()', function() {
+
+        it('should pass the raw value without filter', function() {
+            // Act
+            const filtered = filterAll(new SignalFilter(), [100, 2000, -300], { gridFilter: 'none' });
+
+            // Assert
+            assert.deepStrictEqual(filtered, [100, 2000, -300]);
+        });
+
+        it('should smooth with an exponential moving average', function() {
+            // Act
+            const filtered = filterAll(new SignalFilter(), [100, 1100, 1100], { gridFilter: 'ema', gridFilterAlpha: 0.5 });
+
+            // Assert
+            assert.deepStrictEqual(filtered, [100, 600, 850]);
+        });
+
+        it('should take the median of the window', function() {
+            // Act
+            const filtered = filterAll(new SignalFilter(), [100, 3000, 120, 110, 90], { gridFilter: 'median', gridFilterWindow: 3 });
+
+            // Assert - the window holds at most 3 samples, a single outlier never wins
+            assert.deepStrictEqual(filtered, [100, 1550, 120, 120, 110]);
+        });
+
+        it('should replace spikes with the median of the previous samples', function() {
+            // Arrange
+            const config = { gridFilter: 'spike', gridFilterWindow: 5, gridFilterSpikeThreshold: 500 };
+
+            // Act
+            const filtered = filterAll(new SignalFilter(), [100, 110, 90, 2500, 105, -200], config);
+
+            // Assert
+            assert.deepStrictEqual(filtered, [100, 110, 90, 100, 105, -200]);
+        });
+
+        it('should accept a lasting change once it fills more than half the window', function() {
+            // Arrange
+            const config = { gridFilter: 'spike', gridFilterWindow: 5, gridFilterSpikeThreshold: 500 };
+            const filter = new SignalFilter();
+            filterAll(filter, [100, 100, 100, 100, 100], config);
+
+            // Act
+            const filtered = filterAll(filter, [1500, 1500, 1500, 1500], config);
+
+            // Assert
+            assert.deepStrictEqual(filtered, [100, 100, 100, 1500]);
+        });
+    });
+
+    describe('reset()', function() {
+
+        it('should forget all samples', function() {
+            // Arrange
+            const config = { gridFilter: 'ema', gridFilterAlpha: 0.1 };
+            const filter = new SignalFilter();
+            filter.filter(1000, config);
+
+            // Act
+            filter.reset();
+
+            // Assert
+            assert.strictEqual(filter.filter(-500, config), -500);
+        });
+    });
+
+    describe('median()', function() {
+
+        it('should average both middle values for an even count', function() {
+            // Act & Assert
+            assert.strictEqual(SignalFilter.median([4, 1, 3, 2]), 2.5);
+            assert.strictEqual(SignalFilter.median([5]), 5);
+        });
+    });
+});
\ No newline at end of file
@@ -41,6 +41,10 @@ describe('StateManager', function() {
                 native: {}
             }));
 
+            assert(adapter.setObjectNotExistsAsync.calledWith('gridPowerFiltered', sinon.match({
+                common: sinon.match({ type: 'number', role: 'value.power', unit: 'W' })
+            })));
+
             assert(adapter.setObjectNotExistsAsync.calledWith('feedingIn', {
                 type: 'state',
                 common: {
@@ -95,8 +99,8 @@ describe('StateManager', function() {
             await StateManager.createStatesAsync(adapter, inverters, getInverterDisplayName);
 
             // Assert
-            assert(getInverterDisplayName.calledWith('opendtu.0.123456789', 0));
-            assert(getInverterDisplayName.calledWith('opendtu.0.987654321', 1));
+            assert(getInverterDisplayName.calledWith(inverters[0], 0));
+            assert(getInverterDisplayName.calledWith(inverters[1], 1));
 
             assert(adapter.setObjectNotExistsAsync.calledWith('inverter0.powerLimit', {
                 type: 'state',
@@ -133,7 +137,7 @@ describe('StateManager', function() {
             await StateManager.createStatesAsync(adapter, inverters, getInverterDisplayName);
 
             // Assert - should only create base states, no inverter states
-            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 4); // Only base states
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 5); // Only base states
             assert.strictEqual(getInverterDisplayName.callCount, 0);
         });
 
@@ -167,8 +171,8 @@ describe('StateManager', function() {
             // Act
             await StateManager.createStatesAsync(adapter, inverters, getInverterDisplayName);
 
-            // Assert - 4 base states + 3 inverter states = 7 total calls
-            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 7);
+            // Assert - 5 base states + 3 inverter states = 8 total calls
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 8);
             assert.strictEqual(getInverterDisplayName.callCount, 3);
         });
 
@@ -198,4 +202,276 @@ describe('StateManager', function() {
             assert.strictEqual(inverterStateCall.args[1].common.write, false);
         });
     });
+
+    describe('createControlStatesAsync()', function() {
+
+        it('should create writable control states', async function() {
+            // Act
+            await StateManager.createControlStatesAsync(adapter, [], getInverterDisplayName);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 3);
+            assert(adapter.setObjectNotExistsAsync.calledWith('control.enabled', {
+                type: 'state',
+                common: {
+                    name: 'Power control enabled',
+                    type: 'boolean',
+                    role: 'switch.enable',
+                    read: true,
+                    write: true,
+                    def: true
+                },
+                native: {}
+            }));
+            for (const call of adapter.setObjectNotExistsAsync.getCalls()) {
+                assert.strictEqual(call.args[1].common.write, true);
+            }
+        });
+
+        it('should create a manual limit state for each inverter', async function() {
+            // Arrange
+            const inverters = [
+                { inverterObject: 'opendtu.0.123456789' },
+                { inverterObject: 'opendtu.0.987654321' }
+            ];
+            getInverterDisplayName.onCall(0).resolves('Balcony Inverter');
+            getInverterDisplayName.onCall(1).resolves('Roof Inverter');
+
+            // Act
+            await StateManager.createControlStatesAsync(adapter, inverters, getInverterDisplayName);
+
+            // Assert
+            const call = adapter.setObjectNotExistsAsync.getCalls().find(c => c.args[0] === 'inverter1.manualLimit');
+            assert(call, 'Should have created inverter1.manualLimit');
+            assert.strictEqual(call.args[1].common.name, 'Roof Inverter manual limit (empty = automatic)');
+            assert.strictEqual(call.args[1].common.write, true);
+            assert.strictEqual(call.args[1].common.unit, 'W');
+        });
+    });
+
+    describe('createControllerStatesAsync()', function() {
+
+        it('should create controller error, integral and output states', async function() {
+            // Act
+            await StateManager.createControllerStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 3);
+            assert(adapter.setObjectNotExistsAsync.calledWith('controller.integral', {
+                type: 'state',
+                common: {
+                    name: 'Controller integral term',
+                    type: 'number',
+                    role: 'value.power',
+                    read: true,
+                    write: false,
+                    unit: 'W'
+                },
+                native: {}
+            }));
+            assert(adapter.setObjectNotExistsAsync.calledWith('controller.error'));
+            assert(adapter.setObjectNotExistsAsync.calledWith('controller.output'));
+        });
+    });
+
+    describe('createCommandStatesAsync()', function() {
+
+        it('should create command status and error states for each inverter', async function() {
+            // Arrange
+            const inverters = [
+                { inverterObject: 'opendtu.0.123456789' },
+                { inverterObject: 'opendtu.0.987654321' }
+            ];
+            getInverterDisplayName.onCall(0).resolves('Balcony Inverter');
+            getInverterDisplayName.onCall(1).resolves('Roof Inverter');
+
+            // Act
+            await StateManager.createCommandStatesAsync(adapter, inverters, getInverterDisplayName);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 4);
+            const statusCall = adapter.setObjectNotExistsAsync.getCalls().find(c => c.args[0] === 'inverter1.commandStatus');
+            assert(statusCall, 'Should have created inverter1.commandStatus');
+            assert.strictEqual(statusCall.args[1].common.name, 'Roof Inverter limit command status');
+            assert.strictEqual(statusCall.args[1].common.write, false);
+            assert.deepStrictEqual(Object.keys(statusCall.args[1].common.states), ['pending', 'retrying', 'confirmed', 'failed']);
+            assert(adapter.setObjectNotExistsAsync.calledWith('inverter0.lastCommandError'));
+        });
+    });
+
+    describe('createAvailabilityStatesAsync()', function() {
+
+        it('should create an availability indicator and the derived max power for each inverter', async function() {
+            // Arrange
+            const inverters = [{ inverterObject: 'opendtu.0.123456789' }];
+            getInverterDisplayName.resolves('Balcony Inverter');
+
+            // Act
+            await StateManager.createAvailabilityStatesAsync(adapter, inverters, getInverterDisplayName);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 2);
+            assert(adapter.setObjectNotExistsAsync.calledWith('inverter0.reportedMaxPower', sinon.match({
+                common: sinon.match({ type: 'number', unit: 'W' })
+            })));
+            assert(adapter.setObjectNotExistsAsync.calledWith('inverter0.available', {
+                type: 'state',
+                common: {
+                    name: 'Balcony Inverter is reachable and producing',
+                    type: 'boolean',
+                    role: 'indicator.reachable',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            }));
+        });
+    });
+
+    describe('createBatteryStatesAsync()', function() {
+
+        it('should create the battery regulation states', async function() {
+            // Act
+            await StateManager.createBatteryStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 3);
+            assert(adapter.setObjectNotExistsAsync.calledWith('battery.full'));
+            assert(adapter.setObjectNotExistsAsync.calledWith('battery.regulatedGridPower'));
+            assert(adapter.setObjectNotExistsAsync.calledWith('battery.chargeSetpoint'));
+        });
+    });
+
+    describe('createLoadStatesAsync()', function() {
+
+        it('should create a dispatched power state per load', async function() {
+            // Arrange
+            const loads = [{ name: 'Heater' }, { name: '' }];
+            const getLoadName = (load, index) => load.name || `Load ${index + 1}`;
+
+            // Act
+            await StateManager.createLoadStatesAsync(adapter, loads, getLoadName);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 2);
+            assert(adapter.setObjectNotExistsAsync.calledWith('load0.dispatchedPower', sinon.match({
+                common: sinon.match({ name: 'Heater dispatched power (0 = off)', unit: 'W' })
+            })));
+            assert(adapter.setObjectNotExistsAsync.calledWith('load1.dispatchedPower', sinon.match({
+                common: sinon.match({ name: 'Load 2 dispatched power (0 = off)' })
+            })));
+        });
+    });
+
+    describe('createEnergyStatesAsync()', function() {
+
+        it('should create counters and self-consumption per period plus the snapshot', async function() {
+            // Act
+            await StateManager.createEnergyStatesAsync(adapter, ['day', 'month'], ['exported', 'curtailed']);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 7);
+            assert(adapter.setObjectNotExistsAsync.calledWith('energy.day.exported', sinon.match({
+                common: sinon.match({ name: 'Energy exported to the grid this day', unit: 'kWh', role: 'value.energy' })
+            })));
+            assert(adapter.setObjectNotExistsAsync.calledWith('energy.month.curtailed'));
+            assert(adapter.setObjectNotExistsAsync.calledWith('energy.month.selfConsumption', sinon.match({
+                common: sinon.match({ unit: '%' })
+            })));
+            assert(adapter.setObjectNotExistsAsync.calledWith('energy.snapshot'));
+        });
+    });
+
+    describe('createHistoryStatesAsync()', function() {
+
+        it('should create the JSON history state', async function() {
+            // Act
+            await StateManager.createHistoryStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 1);
+            assert(adapter.setObjectNotExistsAsync.calledWith('history.lastDecisions', sinon.match({
+                common: sinon.match({ type: 'string', role: 'json' })
+            })));
+        });
+    });
+
+    describe('createCommandCounterStatesAsync()', function() {
+
+        it('should create the limit command counters', async function() {
+            // Act
+            await StateManager.createCommandCounterStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 4);
+            for (const counter of ['sent', 'deferred', 'coalesced', 'lastMinute']) {
+                assert(adapter.setObjectNotExistsAsync.calledWith(`commands.${counter}`, sinon.match({
+                    common: sinon.match({ type: 'number', write: false })
+                })));
+            }
+        });
+    });
+
+    describe('createSafetyStatesAsync()', function() {
+
+        it('should create the export alarm and violation counter states', async function() {
+            // Act
+            await StateManager.createSafetyStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 2);
+            assert(adapter.setObjectNotExistsAsync.calledWith('safety.exportAlarm', sinon.match({
+                common: sinon.match({ type: 'boolean', role: 'indicator.alarm' })
+            })));
+            assert(adapter.setObjectNotExistsAsync.calledWith('safety.exportViolations', sinon.match({
+                common: sinon.match({ type: 'number' })
+            })));
+        });
+    });
+
+    describe('createPredictionStatesAsync()', function() {
+
+        it('should create the prediction, quality and model states', async function() {
+            // Act
+            await StateManager.createPredictionStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 7);
+            assert(adapter.setObjectNotExistsAsync.calledWith('prediction.floor', sinon.match({
+                common: sinon.match({ type: 'number', unit: 'W' })
+            })));
+            assert(adapter.setObjectNotExistsAsync.calledWith('prediction.exportRisk', sinon.match({
+                common: sinon.match({ unit: '%' })
+            })));
+            assert(adapter.setObjectNotExistsAsync.calledWith('prediction.model', sinon.match({
+                common: sinon.match({ type: 'string', role: 'json' })
+            })));
+        });
+    });
+
+    describe('createTargetStatesAsync()', function() {
+
+        it('should create the target reason state', async function() {
+            // Act
+            await StateManager.createTargetStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 1);
+            assert(adapter.setObjectNotExistsAsync.calledWith('target.reason'));
+        });
+    });
+
+    describe('createScheduleStatesAsync()', function() {
+
+        it('should create the active schedule entry state', async function() {
+            // Act
+            await StateManager.createScheduleStatesAsync(adapter);
+
+            // Assert
+            assert.strictEqual(adapter.setObjectNotExistsAsync.callCount, 1);
+            assert(adapter.setObjectNotExistsAsync.calledWith('schedule.activeEntry', sinon.match({
+                common: sinon.match({ type: 'string', write: false })
+            })));
+        });
+    });
 });
\ No newline at end of file
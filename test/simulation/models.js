@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Household load and PV irradiance models for the regulation simulation
+ *
+ * Every model is a function of the simulated time in ms since the start of the run.
+ */
+
+/**
+ * Household load: a constant base load plus switched appliances
+ * @param {{base?: number, events?: Array<{at: number, duration: number, power: number}>}} [options] Base load in W and
+ *        appliances switched on at `at` ms for `duration` ms
+ * @returns {(t: number) => number} Load in W
+ */
+function householdLoad(options = {}) {
+    const base = options.base !== undefined ? options.base : 300;
+    const events = options.events || [];
+    return t => events.reduce((load, event) => (t >= event.at && t < event.at + event.duration ? load + event.power : load), base);
+}
+
+/**
+ * Irradiance as a share of the inverters' max power, with clouds passing by
+ * @param {{peak?: number, clouds?: Array<{at: number, duration: number, factor: number}>}} [options] Irradiance without
+ *        clouds (0-1) and clouds reducing it by `factor` from `at` ms for `duration` ms
+ * @returns {(t: number) => number} Irradiance share 0-1
+ */
+function irradiance(options = {}) {
+    const peak = options.peak !== undefined ? options.peak : 1;
+    const clouds = options.clouds || [];
+    return t => clouds.reduce((share, cloud) => (t >= cloud.at && t < cloud.at + cloud.duration ? share * cloud.factor : share), peak);
+}
+
+/**
+ * Clear-sky irradiance curve over a day, a half sine between sunrise and sunset
+ * @param {{sunrise: number, sunset: number, peak?: number}} options Sunrise and sunset in ms since the start of the run
+ * @returns {(t: number) => number} Irradiance share 0-1
+ */
+function dayCurve(options) {
+    const peak = options.peak !== undefined ? options.peak : 1;
+    return t => {
+        if (t <= options.sunrise || t >= options.sunset) {
+            return 0;
+        }
+        return peak * Math.sin(Math.PI * (t - options.sunrise) / (options.sunset - options.sunrise));
+    };
+}
+
+/**
+ * Deterministic pseudo-random noise, so simulation runs are reproducible
+ * @param {number} amplitude Maximum deviation in W
+ * @param {number} [seed] Seed of the generator
+ * @returns {() => number} Noise in W between -amplitude and +amplitude
+ */
+function noise(amplitude, seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        // mulberry32
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        const random = ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        return (random * 2 - 1) * amplitude;
+    };
+}
+
+module.exports = {
+    householdLoad,
+    irradiance,
+    dayCurve,
+    noise
+};
\ No newline at end of file
@@ -0,0 +1,214 @@
+const assert = require('assert');
+const Simulator = require('./simulator');
+const { householdLoad, irradiance, noise } = require('./models');
+
+const KETTLE_OFF = 60000;
+
+/**
+ * Create a simulation of two 800W inverters with full sun
+ * @param {Object} config Adapter configuration overrides
+ * @param {Object} [options] Simulator option overrides
+ * @returns {Simulator}
+ */
+function createSimulator(config, options = {}) {
+    return new Simulator({
+        config: {
+            controlMode: 'polling',
+            pollingInterval: 5000,
+            feedInThreshold: 50,
+            targetFeedIn: 0,
+            distributionMode: 'equal',
+            ...config
+        },
+        inverters: [800, 800],
+        load: householdLoad({ base: 300 }),
+        irradiance: irradiance({ peak: 1 }),
+        ...options
+    });
+}
+
+describe('Regulation simulation', function() {
+    this.timeout(30000);
+    let simulator;
+
+    afterEach(function() {
+        simulator.stop();
+    });
+
+    it('should curtail to zero export after startup and stay there', async function() {
+        // Arrange
+        simulator = createSimulator({}, { meterNoise: noise(20) });
+
+        // Act
+        const report = await simulator.run(120000);
+
+        // Assert
+        assert.deepStrictEqual(report.errors, []);
+        assert(report.settlingTime !== null && report.settlingTime <= 15000, `settled after ${report.settlingTime}ms`);
+        assert.strictEqual(simulator.createReport(report.settlingTime).exportViolations, 0);
+    });
+
+    it('should cut the export spike after a load drop within a few seconds', async function() {
+        // Arrange
+        simulator = createSimulator({}, {
+            load: householdLoad({ base: 300, events: [{ at: 0, duration: KETTLE_OFF, power: 2000 }] })
+        });
+        await simulator.run(KETTLE_OFF);
+
+        // Act
+        const report = await simulator.run(60000);
+
+        // Assert - one polling interval plus the inverter response lag
+        assert.strictEqual(report.maxOvershoot, 1300);
+        assert(report.exportViolations <= 8, `${report.exportViolations} samples above the allowed export`);
+        assert(report.settlingTime !== null && report.settlingTime <= 10000, `settled after ${report.settlingTime}ms`);
+    });
+
+    it('should react to a load drop faster in event-driven mode', async function() {
+        // Arrange
+        const load = householdLoad({ base: 300, events: [{ at: 0, duration: KETTLE_OFF, power: 2000 }] });
+        simulator = createSimulator({ controlMode: 'event', minControlInterval: 1000 }, { load });
+        await simulator.run(KETTLE_OFF);
+
+        // Act
+        const report = await simulator.run(60000);
+
+        // Assert - the meter event triggers the cycle, only the inverter response lag remains
+        assert(report.exportViolations <= 4, `${report.exportViolations} samples above the allowed export`);
+        assert(report.settlingTime !== null && report.settlingTime <= 5000, `settled after ${report.settlingTime}ms`);
+    });
+
+    it('should keep the grid power in the tolerance band below the export ceiling', async function() {
+        // Arrange
+        simulator = createSimulator({ targetMode: 'band', gridSetpoint: 20, toleranceBand: 25, exportCeiling: 50 }, {
+            load: householdLoad({ base: 300, events: [{ at: 60000, duration: 60000, power: 800 }] }),
+            meterNoise: noise(15)
+        });
+        const startup = await simulator.run(60000);
+
+        // Act
+        const loadOn = await simulator.run(60000);
+        const loadOff = await simulator.run(60000);
+
+        // Assert
+        assert(startup.settlingTime !== null && startup.settlingTime <= 10000, `settled after ${startup.settlingTime}ms`);
+        assert.strictEqual(loadOn.exportViolations, 0);
+        assert(loadOn.settlingTime !== null && loadOn.settlingTime <= 10000, `settled after ${loadOn.settlingTime}ms`);
+        assert(loadOff.exportViolations <= 8, `${loadOff.exportViolations} samples above the export ceiling`);
+        assert(loadOff.settlingTime !== null && loadOff.settlingTime <= 10000, `settled after ${loadOff.settlingTime}ms`);
+    });
+
+    it('should follow a passing cloud without lasting curtailment', async function() {
+        // Arrange
+        simulator = createSimulator({}, {
+            irradiance: irradiance({ peak: 1, clouds: [{ at: 30000, duration: 60000, factor: 0.1 }] })
+        });
+        await simulator.run(30000);
+
+        // Act
+        const cloud = await simulator.run(60000);
+        const sun = await simulator.run(60000);
+
+        // Assert - limits are raised while the cloud covers the sun, the export spike afterwards is cut quickly
+        const covered = simulator.getSample(89000);
+        assert(covered.totalLimit >= 1000, `total limit ${covered.totalLimit}W under the cloud`);
+        assert.strictEqual(cloud.exportViolations, 0);
+        assert(sun.settlingTime !== null && sun.settlingTime <= 15000, `settled after ${sun.settlingTime}ms`);
+    });
+
+    it('should settle with the PI controller despite the inverter response lag', async function() {
+        // Arrange
+        simulator = createSimulator({ controllerType: 'pi' }, {
+            load: householdLoad({ base: 300, events: [{ at: 0, duration: KETTLE_OFF, power: 2000 }] })
+        });
+        await simulator.run(KETTLE_OFF);
+
+        // Act
+        const report = await simulator.run(120000);
+
+        // Assert
+        assert(report.settlingTime !== null && report.settlingTime <= 90000, `settled after ${report.settlingTime}ms`);
+        assert(report.exportViolationEnergy <= 10, `${report.exportViolationEnergy}Wh exported beyond the target`);
+    });
+
+    it('should ignore meter glitches with spike rejection', async function() {
+        // Arrange - every 7th reading shows 1500W import that is not there
+        const glitches = () => {
+            let readings = 0;
+            return () => (++readings % 7 === 0 ? 1500 : 0);
+        };
+        simulator = createSimulator({}, { meterNoise: glitches() });
+        await simulator.run(60000);
+        const rawCommands = simulator.commands.length;
+        await simulator.run(240000);
+        const raw = simulator.commands.length - rawCommands;
+        simulator.stop();
+
+        simulator = createSimulator({ gridFilter: 'spike', gridFilterWindow: 3, gridFilterSpikeThreshold: 500 }, { meterNoise: glitches() });
+        await simulator.run(60000);
+        const filteredCommands = simulator.commands.length;
+
+        // Act
+        const report = await simulator.run(240000);
+
+        // Assert - the raw regulation raises the limits on every glitch and cuts them again afterwards
+        assert(raw > 10, `${raw} limit commands on raw meter values`);
+        assert.strictEqual(simulator.commands.length - filteredCommands, 0);
+        assert.strictEqual(report.exportViolations, 0);
+    });
+
+    it('should swing less on a short load spike with a ramp rate', async function() {
+        // Arrange - a microwave runs for 20s
+        const load = householdLoad({ base: 300, events: [{ at: 60000, duration: 20000, power: 1200 }] });
+        const runSpike = async config => {
+            simulator = createSimulator(config, { load });
+            await simulator.run(80000);
+            const report = await simulator.run(60000);
+            const peakLimit = Math.max(...simulator.samples.filter(sample => sample.t >= 60000).map(sample => sample.totalLimit));
+            return { report, peakLimit };
+        };
+
+        // Act
+        const jump = await runSpike({});
+        simulator.stop();
+        const ramp = await runSpike({ rampUpRate: 20 });
+
+        // Assert - the limit follows the spike only partly, so less export once it ends
+        assert(ramp.peakLimit < jump.peakLimit, `peak limit ${ramp.peakLimit}W vs ${jump.peakLimit}W without ramp`);
+        assert(ramp.report.maxOvershoot < jump.report.maxOvershoot, `overshoot ${ramp.report.maxOvershoot}W vs ${jump.report.maxOvershoot}W without ramp`);
+        assert(ramp.report.settlingTime !== null && ramp.report.settlingTime <= 15000, `settled after ${ramp.report.settlingTime}ms`);
+    });
+
+    it('should not wind up the PI controller while the ramp rate holds the limit back', async function() {
+        // Arrange - a 1000W load starts and stays on, the limit takes about two minutes to follow at 10W/s
+        simulator = createSimulator({ controllerType: 'pi', rampUpRate: 10 }, {
+            load: householdLoad({ base: 300, events: [{ at: 60000, duration: 600000, power: 1000 }] })
+        });
+        await simulator.run(60000);
+
+        // Act
+        const report = await simulator.run(300000);
+
+        // Assert - the controller stops at the load once the ramp has caught up instead of overshooting into export
+        assert.strictEqual(report.exportViolations, 0);
+        assert(report.maxOvershoot <= 50, `overshoot of ${report.maxOvershoot}W after the ramp`);
+        assert(report.settlingTime !== null && report.settlingTime <= 120000, `settled after ${report.settlingTime}ms`);
+    });
+
+    it('should keep the overshooting PI controller within the hard export limit', async function() {
+        // Arrange
+        simulator = createSimulator({ controllerType: 'pi', hardExportLimitEnabled: true, hardExportLimit: 600, hardExportGrace: 2 }, {
+            load: householdLoad({ base: 300, events: [{ at: 0, duration: KETTLE_OFF, power: 2000 }] })
+        });
+        await simulator.run(KETTLE_OFF);
+
+        // Act
+        const report = await simulator.run(120000);
+
+        // Assert - only the spike right after the load drop exceeds the hard limit, the PI overshoots afterwards are cut
+        const beyondHardLimit = simulator.samples.filter(sample => sample.t >= KETTLE_OFF && -sample.gridPower > 600);
+        assert(beyondHardLimit.length <= 8, `${beyondHardLimit.length} samples above the hard export limit`);
+        assert(beyondHardLimit.every(sample => sample.t < KETTLE_OFF + 10000), 'export exceeds the hard limit after the spike');
+        assert.deepStrictEqual(report.errors, []);
+    });
+});
\ No newline at end of file
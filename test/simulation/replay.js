@@ -0,0 +1,249 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Simulator = require('./simulator');
+
+const TIMESTAMP_COLUMNS = ['ts', 'timestamp', 'time', 'date'];
+const GRID_COLUMNS = ['gridpower', 'grid', 'grid_power', 'power'];
+const PV_COLUMNS = ['pvpower', 'pv', 'pv_power', 'production'];
+
+/**
+ * Replays recorded meter data through the regulator
+ *
+ * The household consumption is reconstructed as recorded grid power plus recorded PV power, the
+ * recorded PV power is used as what the sun allowed. The recording then drives the real adapter
+ * against virtual inverters like the regulation simulation, so the limits it would have sent and
+ * the export it would have caused can be compared for different settings.
+ *
+ * PV power recorded while the inverters were curtailed underestimates what the sun allowed, such
+ * periods show less surplus than there was.
+ */
+
+/**
+ * Parse a timestamp of a recording
+ * @param {string|number} value Timestamp in ms, in s or as date string
+ * @returns {number} Timestamp in ms, NaN if invalid
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        value = Number(value);
+    }
+    if (typeof value === 'number') {
+        // Seconds since epoch, as exported by InfluxDB with precision s
+        return value < 1e11 ? value * 1000 : value;
+    }
+    return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+/**
+ * Find the column of a value by its accepted names
+ * @param {Array<string>} header Column names
+ * @param {Array<string>} names Accepted names, lower case
+ * @returns {number} Column index, -1 if missing
+ */
+function findColumn(header, names) {
+    return header.findIndex(column => names.includes(column.trim().replace(/^"|"$/g, '').toLowerCase()));
+}
+
+/**
+ * Parse a CSV recording with a header line, separated by comma, semicolon or tab
+ * @param {string} text CSV content
+ * @returns {Array<{ts: number, gridPower: number, pvPower: number}>}
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        return [];
+    }
+    const separator = [';', '\t', ','].find(candidate => lines[0].includes(candidate)) || ',';
+    const header = lines[0].split(separator);
+    const columns = {
+        ts: findColumn(header, TIMESTAMP_COLUMNS),
+        gridPower: findColumn(header, GRID_COLUMNS),
+        pvPower: findColumn(header, PV_COLUMNS)
+    };
+    if (columns.ts === -1 || columns.gridPower === -1) {
+        throw new Error('Recording needs a timestamp and a grid power column');
+    }
+    return lines.slice(1).map(line => {
+        const fields = line.split(separator).map(field => field.trim().replace(/^"|"$/g, ''));
+        return {
+            ts: parseTimestamp(fields[columns.ts]),
+            gridPower: parseFloat(fields[columns.gridPower]),
+            pvPower: columns.pvPower === -1 ? 0 : parseFloat(fields[columns.pvPower])
+        };
+    });
+}
+
+/**
+ * Merge two history adapter series into rows, each value holds until the next one of its series
+ * @param {Array<{ts: number, val: number}>} grid Grid power values
+ * @param {Array<{ts: number, val: number}>} pv PV power values
+ * @returns {Array<{ts: number, gridPower: number, pvPower: number}>}
+ */
+function mergeSeries(grid, pv) {
+    const rows = [];
+    let pvIndex = 0;
+    let pvPower = 0;
+    for (const entry of grid) {
+        const ts = parseTimestamp(entry.ts);
+        while (pvIndex < pv.length && parseTimestamp(pv[pvIndex].ts) <= ts) {
+            pvPower = Number(pv[pvIndex].val);
+            pvIndex++;
+        }
+        rows.push({ ts, gridPower: Number(entry.val), pvPower });
+    }
+    return rows;
+}
+
+/**
+ * Parse a JSON recording
+ *
+ * Accepted formats:
+ * - rows: [{ts, gridPower, pvPower}, ...] or [[ts, gridPower, pvPower], ...]
+ * - history adapter series: {gridPower: [{ts, val}, ...], pvPower: [{ts, val}, ...]}
+ * @param {string} text JSON content
+ * @returns {Array<{ts: number, gridPower: number, pvPower: number}>}
+ */
+function parseJson(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) {
+        return data.map(row => {
+            if (Array.isArray(row)) {
+                return { ts: parseTimestamp(row[0]), gridPower: Number(row[1]), pvPower: row[2] !== undefined ? Number(row[2]) : 0 };
+            }
+            const keys = Object.keys(row);
+            const get = names => {
+                const key = keys.find(candidate => names.includes(candidate.toLowerCase()));
+                return key !== undefined ? row[key] : undefined;
+            };
+            const pvPower = get(PV_COLUMNS);
+            return { ts: parseTimestamp(get(TIMESTAMP_COLUMNS)), gridPower: Number(get(GRID_COLUMNS)), pvPower: pvPower !== undefined ? Number(pvPower) : 0 };
+        });
+    }
+    if (data && Array.isArray(data.gridPower)) {
+        return mergeSeries(data.gridPower, Array.isArray(data.pvPower) ? data.pvPower : []);
+    }
+    throw new Error('Unknown recording format');
+}
+
+/**
+ * Parse a recording, invalid rows are dropped and rows are sorted by time
+ * @param {string} text File content
+ * @param {'csv'|'json'} [format] Format, detected from the content if omitted
+ * @returns {Array<{ts: number, gridPower: number, pvPower: number}>} Rows with timestamp in ms and power in W
+ */
+function parseRecording(text, format) {
+    const isJson = format ? format === 'json' : /^\s*[[{]/.test(text);
+    const rows = isJson ? parseJson(text) : parseCsv(text);
+    return rows
+        .filter(row => !isNaN(row.ts) && !isNaN(row.gridPower) && !isNaN(row.pvPower))
+        .sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Build a step function holding each recorded value until the next row
+ * @param {Array<{ts: number}>} rows Recording rows sorted by time
+ * @param {(row: Object) => number} value Value of a row
+ * @returns {(t: number) => number} Value at a time in ms since the first row
+ */
+function hold(rows, value) {
+    const start = rows[0].ts;
+    let index = 0;
+    return t => {
+        // The simulation only moves forward, restart the search only if asked for an earlier time
+        if (index > 0 && rows[index].ts - start > t) {
+            index = 0;
+        }
+        while (index + 1 < rows.length && rows[index + 1].ts - start <= t) {
+            index++;
+        }
+        return value(rows[index]);
+    };
+}
+
+/**
+ * Replay a recording through the regulator
+ * @param {Array<{ts: number, gridPower: number, pvPower: number}>} rows Recording from parseRecording()
+ * @param {Object} config Adapter configuration, the virtual inverters take the configured objects and max power
+ * @param {Object} [options] Simulator options, e.g. responseLag, step and meterInterval in ms
+ * @returns {Promise<{limits: Array<{ts: number, inverterObject: string, limit: number}>, report: Object}>} Limits that
+ *          would have been sent in W and the regulation report of the simulation
+ */
+async function replay(rows, config, options = {}) {
+    if (rows.length < 2) {
+        throw new Error('Recording needs at least two rows');
+    }
+    const inverters = (config.inverters || []).map((inverter, i) => {
+        // The recorded PV power is spread over the inverters by their max power
+        if (typeof inverter.maxPower !== 'number' || !(inverter.maxPower > 0)) {
+            throw new Error(`Inverter ${i + 1} has no max power, set it in the configuration for the replay`);
+        }
+        return { inverterObject: inverter.inverterObject || `opendtu.0.sim${i + 1}`, maxPower: inverter.maxPower };
+    });
+    if (inverters.length === 0) {
+        throw new Error('Configuration has no inverters');
+    }
+    const totalMaxPower = inverters.reduce((sum, inverter) => sum + inverter.maxPower, 0);
+    const simulator = new Simulator({
+        ...options,
+        config,
+        inverters,
+        startTime: rows[0].ts,
+        load: hold(rows, row => row.gridPower + row.pvPower),
+        irradiance: hold(rows, row => Math.max(0, row.pvPower) / totalMaxPower)
+    });
+    try {
+        const report = await simulator.run(rows[rows.length - 1].ts - rows[0].ts);
+        // A stale meter runs the fail-safe instead of the regulation, the result would say nothing about the configuration
+        if (report.meterStaleTime > 0) {
+            throw new Error(`Meter was stale for ${Math.round(report.meterStaleTime / 1000)}s of the replay, check the meter max age of the configuration`);
+        }
+        const limits = simulator.commands.map(command => {
+            const inverter = simulator.inverters.find(candidate => candidate.inverterObject === command.inverterObject);
+            const limit = command.id.endsWith('_relative') ? command.value * inverter.maxPower / 100 : command.value;
+            return { ts: rows[0].ts + command.t, inverterObject: command.inverterObject, limit: Math.round(limit) };
+        });
+        return { limits, report };
+    } finally {
+        simulator.stop();
+    }
+}
+
+/**
+ * Command line entry: node test/simulation/replay.js <recording.csv|json> <config.json>
+ *
+ * The configuration is the adapter's native configuration, e.g. copied from the instance object.
+ */
+async function main() {
+    const [recordingFile, configFile] = process.argv.slice(2);
+    if (!recordingFile || !configFile) {
+        console.error('Usage: node test/simulation/replay.js <recording.csv|json> <config.json>');
+        process.exit(1);
+    }
+    const rows = parseRecording(fs.readFileSync(recordingFile, 'utf8'), path.extname(recordingFile) === '.json' ? 'json' : 'csv');
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    const { limits, report } = await replay(rows, config.native || config);
+    for (const limit of limits) {
+        console.log(`${new Date(limit.ts).toISOString()} ${limit.inverterObject} ${limit.limit}W`);
+    }
+    console.log(`Limit commands: ${limits.length}`);
+    console.log(`Export violations: ${report.exportViolations} samples, ${report.exportViolationEnergy}Wh beyond the target, max ${report.maxOvershoot}W`);
+    console.log(`Curtailed energy: ${report.curtailedEnergy}Wh`);
+    if (report.errors.length > 0) {
+        console.log(`Errors: ${report.errors.join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseRecording,
+    replay
+};
\ No newline at end of file
@@ -0,0 +1,165 @@
+const assert = require('assert');
+const { parseRecording, replay } = require('./replay');
+
+const START = Date.UTC(2024, 5, 21, 10, 0);
+
+/**
+ * Create a recording with a constant PV production and a load that drops after a minute
+ * @returns {Array<{ts: number, gridPower: number, pvPower: number}>}
+ */
+function createRecording() {
+    const rows = [];
+    for (let s = 0; s <= 180; s += 10) {
+        // Recorded without regulation: 1500W PV, 2300W load for the first minute, 300W afterwards
+        const load = s < 60 ? 2300 : 300;
+        rows.push({ ts: START + s * 1000, gridPower: load - 1500, pvPower: 1500 });
+    }
+    return rows;
+}
+
+describe('Replay', function() {
+    this.timeout(30000);
+
+    describe('parseRecording', function() {
+        it('should parse CSV with ISO timestamps and semicolons', function() {
+            // Arrange
+            const csv = 'time;grid;pv\n2024-06-21T10:00:10Z;-200;900\n2024-06-21T10:00:00Z;150;800\n';
+
+            // Act
+            const rows = parseRecording(csv);
+
+            // Assert
+            assert.deepStrictEqual(rows, [
+                { ts: START, gridPower: 150, pvPower: 800 },
+                { ts: START + 10000, gridPower: -200, pvPower: 900 }
+            ]);
+        });
+
+        it('should parse CSV with timestamps in seconds and drop invalid rows', function() {
+            // Arrange
+            const csv = 'timestamp,gridPower,pvPower\n' + `${START / 1000},100,500\n` + `${START / 1000 + 10},n/a,500\n`;
+
+            // Act
+            const rows = parseRecording(csv);
+
+            // Assert
+            assert.deepStrictEqual(rows, [{ ts: START, gridPower: 100, pvPower: 500 }]);
+        });
+
+        it('should reject CSV without grid power column', function() {
+            // Act & Assert
+            assert.throws(() => parseRecording('time,pv\n0,100'), /grid power column/);
+        });
+
+        it('should parse JSON rows as objects and arrays', function() {
+            // Act
+            const objects = parseRecording(JSON.stringify([{ ts: START, gridPower: -50, pvPower: 600 }]));
+            const arrays = parseRecording(JSON.stringify([[START, -50, 600]]));
+
+            // Assert
+            assert.deepStrictEqual(objects, [{ ts: START, gridPower: -50, pvPower: 600 }]);
+            assert.deepStrictEqual(arrays, objects);
+        });
+
+        it('should merge history adapter series holding the last PV value', function() {
+            // Arrange
+            const json = JSON.stringify({
+                gridPower: [{ ts: START, val: 100 }, { ts: START + 10000, val: -100 }, { ts: START + 20000, val: 0 }],
+                pvPower: [{ ts: START, val: 500 }, { ts: START + 15000, val: 700 }]
+            });
+
+            // Act
+            const rows = parseRecording(json);
+
+            // Assert
+            assert.deepStrictEqual(rows.map(row => row.pvPower), [500, 500, 700]);
+        });
+    });
+
+    describe('replay', function() {
+        it('should return the limits that would have been sent and the export violations', async function() {
+            // Arrange
+            const config = {
+                controlMode: 'polling',
+                pollingInterval: 5000,
+                feedInThreshold: 50,
+                targetFeedIn: 0,
+                inverters: [{ maxPower: 800 }, { maxPower: 800 }]
+            };
+
+            // Act
+            const { limits, report } = await replay(createRecording(), config);
+
+            // Assert
+            assert(limits.length > 0);
+            assert(limits.every(limit => limit.ts >= START && limit.ts <= START + 180000));
+            const afterDrop = limits.filter(limit => limit.ts > START + 60000);
+            assert(afterDrop.length > 0, 'limits are reduced after the load drop');
+            assert(afterDrop.every(limit => limit.limit < 800));
+            assert(report.exportViolations > 0 && report.exportViolations <= 25, `${report.exportViolations} export violations`);
+            // Settled within 30s after the load drop at 60s
+            assert(report.settlingTime !== null && report.settlingTime <= 90000, `settled after ${report.settlingTime}ms`);
+            assert.deepStrictEqual(report.errors, []);
+        });
+
+        it('should send fewer commands with a higher feed-in threshold', async function() {
+            // Arrange
+            const config = {
+                controlMode: 'polling',
+                pollingInterval: 5000,
+                targetFeedIn: 0,
+                inverters: [{ maxPower: 800 }, { maxPower: 800 }]
+            };
+            const recording = createRecording().map((row, i) => ({ ...row, gridPower: row.gridPower + (i % 2 === 0 ? 60 : -60) }));
+
+            // Act
+            const fine = await replay(recording, { ...config, feedInThreshold: 50 });
+            const coarse = await replay(recording, { ...config, feedInThreshold: 200 });
+
+            // Assert
+            assert(coarse.limits.length < fine.limits.length, `${coarse.limits.length} vs ${fine.limits.length} commands`);
+        });
+
+        it('should replay the virtual meter and inverters whatever meter and inverter types are configured', async function() {
+            // Arrange
+            const config = {
+                controlMode: 'polling',
+                pollingInterval: 5000,
+                feedInThreshold: 50,
+                targetFeedIn: 0,
+                meterType: 'importExport',
+                importObject: 'shelly.0.import',
+                exportObject: 'shelly.0.export',
+                inverters: [
+                    { maxPower: 800, inverterType: 'custom', limitObject: 'custom.0.limit', controlObject: 'custom.0.setLimit' },
+                    { maxPower: 800, inverterType: 'ahoy', inverterObject: 'ahoy.0.inv2' }
+                ]
+            };
+
+            // Act
+            const { limits, report } = await replay(createRecording(), config);
+
+            // Assert
+            assert(limits.length > 0);
+            assert.strictEqual(report.meterStaleTime, 0);
+        });
+
+        it('should reject inverters without max power', async function() {
+            // Act & Assert
+            await assert.rejects(replay(createRecording(), { inverters: [{ maxPower: 800 }, { maxPower: '' }] }), /Inverter 2 has no max power/);
+        });
+
+        it('should fail when the meter was stale during the replay', async function() {
+            // Arrange
+            const config = { controlMode: 'polling', pollingInterval: 5000, meterMaxAge: 10, inverters: [{ maxPower: 800 }] };
+
+            // Act & Assert - the meter only updates every minute
+            await assert.rejects(replay(createRecording(), config, { meterInterval: 60000 }), /Meter was stale for \d+s/);
+        });
+
+        it('should reject a configuration without inverters', async function() {
+            // Act & Assert
+            await assert.rejects(replay(createRecording(), { inverters: [] }), /no inverters/);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,337 @@
+'use strict';
+
+const path = require('path');
+const EventEmitter = require('events');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+const METER_OBJECT = 'sim.0.meter.power';
+
+/**
+ * Virtual OpenDTU inverter
+ *
+ * A limit command is applied after the response lag, the inverter then produces the lower of its
+ * limit and what the irradiance allows.
+ */
+class VirtualInverter {
+    /**
+     * @param {string} inverterObject OpenDTU base object
+     * @param {number} maxPower Nominal power in W
+     * @param {number} responseLag Time until a limit command is applied in ms
+     */
+    constructor(inverterObject, maxPower, responseLag) {
+        this.inverterObject = inverterObject;
+        this.maxPower = maxPower;
+        this.responseLag = responseLag;
+        this.limit = maxPower;
+        this.pendingCommands = [];
+        this.potential = 0;
+        this.output = 0;
+    }
+
+    /**
+     * Receive a limit command
+     * @param {string} id Control object written to
+     * @param {number} value Limit in W or in %
+     * @param {number} now Simulated time in ms
+     */
+    command(id, value, now) {
+        const watts = id.endsWith('_relative') ? value * this.maxPower / 100 : value;
+        this.pendingCommands.push({ applyAt: now + this.responseLag, limit: Math.max(0, Math.min(watts, this.maxPower)) });
+    }
+
+    /**
+     * Advance the inverter to a point in time
+     * @param {number} now Simulated time in ms
+     * @param {number} irradiance Irradiance share 0-1
+     */
+    step(now, irradiance) {
+        while (this.pendingCommands.length > 0 && this.pendingCommands[0].applyAt <= now) {
+            this.limit = this.pendingCommands.shift().limit;
+        }
+        this.potential = Math.max(0, irradiance) * this.maxPower;
+        this.output = Math.min(this.limit, this.potential);
+    }
+
+    /**
+     * Get the OpenDTU states of the inverter
+     * @returns {Object<string, ioBroker.StateValue>} Values by state ID
+     */
+    getStates() {
+        return {
+            [`${this.inverterObject}.name`]: this.inverterObject.split('.').pop(),
+            [`${this.inverterObject}.reachable`]: true,
+            [`${this.inverterObject}.producing`]: this.potential > 0,
+            [`${this.inverterObject}.power_control.current_limit_absolute`]: Math.round(this.limit),
+            [`${this.inverterObject}.power_control.current_limit_relative`]: Math.round(this.limit / this.maxPower * 1000) / 10,
+            [`${this.inverterObject}.ac.phase_1.power`]: Math.round(this.output)
+        };
+    }
+}
+
+/**
+ * Runs the real adapter against a virtual grid meter and virtual OpenDTU inverters in accelerated time
+ *
+ * The adapter is loaded with an in-memory stand-in for adapter-core, timers are faked, so the polling
+ * loop, event handling, command confirmation and all delays behave as on a live system.
+ */
+class Simulator {
+    /**
+     * @param {Object} options Simulation options
+     * @param {Object} options.config Adapter configuration, the meter and inverter objects are filled in
+     * @param {Array<number|{inverterObject: string, maxPower: number}>} options.inverters Max power of each virtual inverter in W,
+     *        optionally with its OpenDTU object (default: opendtu.0.simN)
+     * @param {(t: number) => number} options.load Household load in W
+     * @param {(t: number) => number} options.irradiance Irradiance share 0-1
+     * @param {number} [options.responseLag] Inverter response lag in ms (default: 3000)
+     * @param {number} [options.meterInterval] Meter update interval in ms (default: 1000)
+     * @param {() => number} [options.meterNoise] Noise added to every meter reading in W
+     * @param {number} [options.step] Simulation resolution in ms (default: 1000)
+     * @param {number} [options.startTime] Wall clock time of the simulation start in ms (default: 2024-06-21 12:00)
+     */
+    constructor(options) {
+        this.options = options;
+        this.step = options.step || 1000;
+        this.meterInterval = options.meterInterval || 1000;
+        this.meterNoise = options.meterNoise || (() => 0);
+        const responseLag = options.responseLag !== undefined ? options.responseLag : 3000;
+        this.inverters = options.inverters.map((inverter, i) => (typeof inverter === 'number'
+            ? new VirtualInverter(`opendtu.0.sim${i + 1}`, inverter, responseLag)
+            : new VirtualInverter(inverter.inverterObject, inverter.maxPower, responseLag)));
+        this.states = new Map();
+        this.subscriptions = [];
+        this.samples = [];
+        this.commands = [];
+        this.errors = [];
+        this.adapter = null;
+        this.clock = null;
+        this.startTime = 0;
+    }
+
+    /**
+     * Create the adapter and start it like js-controller would
+     */
+    async start() {
+        const now = this.options.startTime !== undefined ? this.options.startTime : new Date(2024, 5, 21, 12, 0).getTime();
+        this.clock = sinon.useFakeTimers({ now, toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+        this.startTime = Date.now();
+        this.advancePlant(0);
+
+        const createZeropv = proxyquire(path.join(__dirname, '..', '..', 'main'), {
+            '@iobroker/adapter-core': { Adapter: this.createAdapterClass(), '@noCallThru': true }
+        });
+        this.adapter = createZeropv({});
+        // The virtual plant has a single meter and OpenDTU inverters, whatever the configuration describes
+        this.adapter.config = {
+            ...this.options.config,
+            meterType: 'single',
+            powerSourceObject: METER_OBJECT,
+            inverterBackend: 'iobroker',
+            inverters: this.inverters.map((inverter, i) => ({
+                ...(this.options.config.inverters || [])[i],
+                inverterType: 'opendtu',
+                inverterObject: inverter.inverterObject,
+                maxPower: inverter.maxPower
+            }))
+        };
+        await this.adapter.onReady();
+    }
+
+    /**
+     * Build the in-memory stand-in for the ioBroker adapter base class
+     * @returns {Function} Adapter class
+     */
+    createAdapterClass() {
+        const simulator = this;
+        return class SimulatedAdapter extends EventEmitter {
+            constructor(options) {
+                super();
+                this.name = options.name;
+                this.namespace = `${options.name}.0`;
+                this.log = {
+                    debug: () => {},
+                    info: () => {},
+                    warn: () => {},
+                    error: message => simulator.errors.push(message)
+                };
+            }
+            async setState(id, state) {
+                simulator.states.set(`${this.namespace}.${id}`, state);
+            }
+            async getStateAsync(id) {
+                return simulator.states.get(`${this.namespace}.${id}`) || null;
+            }
+            async setObjectNotExistsAsync() {}
+            subscribeStates() {}
+            subscribeForeignStates(id) {
+                simulator.subscriptions.push(id);
+            }
+            async getForeignStateAsync(id) {
+                return simulator.states.get(id) || null;
+            }
+            async setForeignStateAsync(id, value) {
+                simulator.writeForeignState(id, value);
+            }
+            sendTo() {}
+        };
+    }
+
+    /**
+     * Handle a state written by the adapter, limit commands are recorded and passed to the inverter
+     * @param {string} id State ID
+     * @param {ioBroker.StateValue} value Written value
+     */
+    writeForeignState(id, value) {
+        const inverter = this.inverters.find(candidate => id.startsWith(`${candidate.inverterObject}.power_control.limit_`));
+        if (inverter) {
+            const t = Date.now() - this.startTime;
+            inverter.command(id, Number(value), t);
+            this.commands.push({ t, inverterObject: inverter.inverterObject, id, value: Number(value) });
+        } else {
+            this.states.set(id, { val: value, ack: false, ts: Date.now() });
+        }
+    }
+
+    /**
+     * Update a virtual state and notify the adapter if it subscribed to it
+     * @param {string} id State ID
+     * @param {ioBroker.StateValue} val New value
+     * @param {boolean} [notify] Send a change event even if the value did not change
+     */
+    updateState(id, val, notify = false) {
+        const previous = this.states.get(id);
+        const state = { val, ack: true, ts: Date.now() };
+        this.states.set(id, state);
+        if (this.adapter && this.subscriptions.includes(id) && (notify || !previous || previous.val !== val)) {
+            this.adapter.emit('stateChange', id, state);
+        }
+    }
+
+    /**
+     * Advance the virtual inverters and the meter
+     * @param {number} t Simulated time since the start in ms
+     * @returns {{t: number, gridPower: number, production: number, potential: number, totalLimit: number, meterStale: boolean}} Sample
+     *          in W and whether the adapter ran its meter fail-safe
+     */
+    advancePlant(t) {
+        const irradiance = this.options.irradiance(t);
+        for (const inverter of this.inverters) {
+            inverter.step(t, irradiance);
+            for (const [id, val] of Object.entries(inverter.getStates())) {
+                this.updateState(id, val);
+            }
+        }
+        const production = this.inverters.reduce((sum, inverter) => sum + inverter.output, 0);
+        const potential = this.inverters.reduce((sum, inverter) => sum + inverter.potential, 0);
+        const gridPower = this.options.load(t) - production;
+        if (t % this.meterInterval === 0) {
+            this.updateState(METER_OBJECT, Math.round(gridPower + this.meterNoise()), true);
+        }
+        const meterStale = this.states.get(`${this.adapter ? this.adapter.namespace : 'zeropv.0'}.info.meterStale`);
+        return {
+            t, gridPower, production, potential,
+            totalLimit: this.inverters.reduce((sum, inverter) => sum + inverter.limit, 0),
+            meterStale: Boolean(meterStale && meterStale.val)
+        };
+    }
+
+    /**
+     * Run the simulation
+     * @param {number} duration Simulated duration in ms
+     * @returns {Promise<Object>} Regulation report, see createReport()
+     */
+    async run(duration) {
+        if (!this.adapter) {
+            await this.start();
+        }
+        const begin = this.samples.length > 0 ? this.samples[this.samples.length - 1].t + this.step : 0;
+        for (let t = begin; t < begin + duration; t += this.step) {
+            this.samples.push(this.advancePlant(t));
+            await this.clock.tickAsync(this.step);
+        }
+        return this.createReport(begin);
+    }
+
+    /**
+     * Evaluate the regulation quality
+     *
+     * Export beyond the allowed export is overshoot. A sample is settled when its overshoot is within the
+     * band and the grid power either reached the setpoint or PV is not curtailed by more than the band.
+     * @param {number} [since] Only evaluate samples from this simulated time on (ms)
+     * @param {number} [band] Tolerance in W (default: the configured inverter limit change threshold)
+     * @returns {{maxOvershoot: number, exportViolations: number, exportViolationEnergy: number, settlingTime: number|null,
+     *           curtailedEnergy: number, meterStaleTime: number, samples: Array<Object>, errors: Array<string>}} Overshoot in W, samples
+     *          exporting more than allowed plus band, energy exported beyond the allowed export and curtailed energy in Wh, time until
+     *          the regulation settled for good in ms (null if it never did), time the meter fail-safe was active in ms
+     */
+    createReport(since = 0, band = this.adapter.config.feedInThreshold) {
+        const config = this.adapter.config;
+        const allowedExport = config.targetMode === 'band' ? config.exportCeiling : config.targetFeedIn;
+        const setpoint = config.targetMode === 'band' ? config.gridSetpoint : -config.targetFeedIn;
+        const samples = this.samples.filter(sample => sample.t >= since);
+        const hours = this.step / 3600000;
+
+        let maxOvershoot = 0;
+        let exportViolations = 0;
+        let exportViolationEnergy = 0;
+        let curtailedEnergy = 0;
+        let lastUnsettled = null;
+        let meterStaleTime = 0;
+        for (const sample of samples) {
+            if (sample.meterStale) {
+                meterStaleTime += this.step;
+            }
+            const exported = -sample.gridPower;
+            const overshoot = Math.max(0, exported - allowedExport);
+            const curtailed = sample.potential - sample.production;
+            maxOvershoot = Math.max(maxOvershoot, overshoot);
+            if (overshoot > band) {
+                exportViolations++;
+            }
+            exportViolationEnergy += overshoot * hours;
+            curtailedEnergy += curtailed * hours;
+            const settled = overshoot <= band && (sample.gridPower <= setpoint + band || curtailed <= band);
+            if (!settled) {
+                lastUnsettled = sample.t;
+            }
+        }
+
+        let settlingTime = lastUnsettled === null ? 0 : lastUnsettled + this.step - since;
+        if (samples.length > 0 && lastUnsettled === samples[samples.length - 1].t) {
+            settlingTime = null;
+        }
+        return {
+            maxOvershoot: Math.round(maxOvershoot),
+            exportViolations,
+            exportViolationEnergy: Math.round(exportViolationEnergy * 10) / 10,
+            settlingTime,
+            curtailedEnergy: Math.round(curtailedEnergy * 10) / 10,
+            meterStaleTime,
+            samples,
+            errors: this.errors.slice()
+        };
+    }
+
+    /**
+     * Get the sample recorded at a simulated time
+     * @param {number} t Simulated time in ms
+     * @returns {Object|undefined} Sample, see advancePlant()
+     */
+    getSample(t) {
+        return this.samples.find(sample => sample.t === t);
+    }
+
+    /**
+     * Stop the adapter and restore the real timers
+     */
+    stop() {
+        if (this.adapter) {
+            this.adapter.onUnload(() => {});
+        }
+        if (this.clock) {
+            this.clock.restore();
+        }
+    }
+}
+
+module.exports = Simulator;
\ No newline at end of file
@@ -2,6 +2,36 @@ const assert = require('assert');
 const sinon = require('sinon');
 const proxyquire = require('proxyquire');
 const path = require('path');
+const EventEmitter = require('events');
+
+/**
+ * Load main.js with a minimal adapter-core stand-in so the real adapter methods can be exercised
+ */
+function createAdapter(config) {
+    class AdapterStub extends EventEmitter {
+        constructor(options) {
+            super();
+            this.name = options.name;
+        }
+    }
+    const createZeropv = proxyquire(path.join(__dirname, '..', 'main'), {
+        '@iobroker/adapter-core': { Adapter: AdapterStub, '@noCallThru': true }
+    });
+    const instance = createZeropv({});
+    instance.namespace = 'zeropv.0';
+    instance.config = config;
+    instance.log = {
+        info: sinon.stub(),
+        debug: sinon.stub(),
+        warn: sinon.stub(),
+        error: sinon.stub()
+    };
+    instance.setState = sinon.stub().resolves();
+    instance.subscribeForeignStates = sinon.stub();
+    instance.getForeignStateAsync = sinon.stub().resolves({ val: 100, ack: true });
+    instance.checkPowerControlAdjustment = sinon.stub().resolves();
+    return instance;
+}
 
 describe('ZeroPV Adapter - pollPowerData', function() {
     let adapter;
@@ -240,24 +270,1755 @@ describe('ZeroPV Adapter - pollPowerData', function() {
     });
 });
 
+describe('ZeroPV Adapter - event-driven control', function() {
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers({ now: 100000 });
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [{ inverterObject: 'opendtu.0.111' }, { inverterObject: 'opendtu.0.222' }],
+            pollingInterval: 10000,
+            controlMode: 'event',
+            minControlInterval: 1000,
+            meterWatchdogTimeout: 30000
+        });
+    });
+
+    afterEach(function() {
+        adapter.onUnload(() => {});
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should subscribe to the meter and inverter limits without scheduling polls', async function() {
+        // Act
+        adapter.startPowerMonitoring();
+        await clock.tickAsync(0);
+
+        // Assert
+        assert(adapter.subscribeForeignStates.calledWith('shelly.0.TotalActivePower'));
+        assert(adapter.subscribeForeignStates.calledWith('opendtu.0.111.power_control.current_limit_absolute'));
+        assert(adapter.subscribeForeignStates.calledWith('opendtu.0.222.power_control.current_limit_absolute'));
+        assert.strictEqual(adapter.getForeignStateAsync.callCount, 1);
+        assert.strictEqual(adapter.pollingTimer, null);
+    });
+
+    it('should run the control cycle on meter updates', async function() {
+        // Act
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: -350, ack: true });
+        await clock.tickAsync(0);
+
+        // Assert
+        assert(adapter.setState.calledWith('gridPower', { val: -350, ack: true }));
+        assert(adapter.checkPowerControlAdjustment.calledOnceWith(-350));
+    });
+
+    it('should skip meter updates within the minimum control interval', async function() {
+        // Act
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: 200, ack: true });
+        await clock.tickAsync(500);
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: 250, ack: true });
+        await clock.tickAsync(600);
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: 300, ack: true });
+        await clock.tickAsync(0);
+
+        // Assert
+        assert.strictEqual(adapter.checkPowerControlAdjustment.callCount, 2);
+        assert(adapter.checkPowerControlAdjustment.firstCall.calledWith(200));
+        assert(adapter.checkPowerControlAdjustment.secondCall.calledWith(300));
+    });
+
+    it('should evaluate the first meter update after an inverter limit change immediately', async function() {
+        // Act
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: 200, ack: true });
+        await clock.tickAsync(100);
+        adapter.onStateChange('opendtu.0.111.power_control.current_limit_absolute', { val: 900, ack: true });
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: -50, ack: true });
+        await clock.tickAsync(0);
+
+        // Assert
+        assert.strictEqual(adapter.checkPowerControlAdjustment.callCount, 2);
+        assert(adapter.checkPowerControlAdjustment.secondCall.calledWith(-50));
+    });
+
+    it('should fall back to polling when the meter goes quiet and resume on the next update', async function() {
+        // Arrange
+        adapter.startPowerMonitoring();
+        await clock.tickAsync(0);
+
+        // Act - meter silent for longer than the watchdog timeout
+        await clock.tickAsync(30000);
+
+        // Assert
+        assert(adapter.log.warn.calledWith('No update from shelly.0.TotalActivePower for 30000ms, falling back to polling'));
+        assert.strictEqual(adapter.meterFallbackActive, true);
+        assert.strictEqual(adapter.getForeignStateAsync.callCount, 2);
+
+        await clock.tickAsync(10000);
+        assert.strictEqual(adapter.getForeignStateAsync.callCount, 3);
+
+        // Act - meter is back
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: 150, ack: true });
+        await clock.tickAsync(20000);
+
+        // Assert - no further polls
+        assert.strictEqual(adapter.meterFallbackActive, false);
+        assert.strictEqual(adapter.getForeignStateAsync.callCount, 3);
+    });
+
+    it('should not subscribe to inverter limits with the OpenDTU web API', async function() {
+        // Arrange
+        const OpenDtuHttpBackend = require('../lib/opendtu-http-backend');
+        adapter.inverterBackend = new OpenDtuHttpBackend({ host: '192.168.1.50' });
+
+        // Act
+        adapter.startPowerMonitoring();
+        await clock.tickAsync(0);
+
+        // Assert
+        assert(adapter.subscribeForeignStates.calledOnceWith('shelly.0.TotalActivePower'));
+    });
+
+    it('should ignore state changes in polling mode', async function() {
+        // Arrange
+        adapter.config.controlMode = 'polling';
+
+        // Act
+        adapter.onStateChange('shelly.0.TotalActivePower', { val: 150, ack: true });
+        await clock.tickAsync(0);
+
+        // Assert
+        assert(!adapter.checkPowerControlAdjustment.called);
+    });
+});
+
+describe('ZeroPV Adapter - control states', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 800,
+            controlMode: 'polling'
+        });
+        // Exercise the real control cycle
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves({ val: 1000, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+        adapter.getStateAsync = sinon.stub().resolves(null);
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    it('should acknowledge control.enabled and pause regulation', async function() {
+        // Act
+        await adapter.handleControlCommand('control.enabled', { val: false, ack: false });
+        await adapter.checkPowerControlAdjustment(-1500);
+
+        // Assert
+        assert(adapter.setState.calledWith('control.enabled', { val: false, ack: true }));
+        assert(adapter.setState.calledWith('powerControlActive', { val: false, ack: true }));
+        assert(!adapter.getForeignStateAsync.called);
+        assert(!adapter.setForeignStateAsync.called);
+    });
+
+    it('should reject control.enabled values other than true and false', async function() {
+        // Act
+        await adapter.handleControlCommand('control.enabled', { val: 'foo', ack: false });
+        await adapter.handleControlCommand('control.enabled', { val: 5, ack: false });
+        await adapter.handleControlCommand('control.enabled', { val: 'false', ack: false });
+
+        // Assert - the invalid values keep regulation enabled and confirm the previous value
+        assert(adapter.log.warn.calledWith('Invalid value for control.enabled: foo'));
+        assert(adapter.log.warn.calledWith('Invalid value for control.enabled: 5'));
+        assert.deepStrictEqual(adapter.setState.withArgs('control.enabled').args.map(args => args[1].val), [true, true, false]);
+        assert.strictEqual(adapter.control.enabled, false);
+    });
+
+    it('should route unacknowledged writes of own states to the command handler', async function() {
+        // Act
+        adapter.onStateChange('zeropv.0.control.manualTotalLimit', { val: 1200, ack: false });
+        await new Promise(resolve => setImmediate(resolve));
+
+        // Assert
+        assert.strictEqual(adapter.control.manualTotalLimit, 1200);
+        assert(adapter.setState.calledWith('control.manualTotalLimit', { val: 1200, ack: true }));
+    });
+
+    it('should ignore acknowledged updates of own states', async function() {
+        // Act
+        adapter.onStateChange('zeropv.0.control.manualTotalLimit', { val: 1200, ack: true });
+        await new Promise(resolve => setImmediate(resolve));
+
+        // Assert
+        assert.strictEqual(adapter.control.manualTotalLimit, null);
+    });
+
+    it('should apply a manual total limit even below the threshold', async function() {
+        // Arrange
+        await adapter.handleControlCommand('control.manualTotalLimit', { val: 1950, ack: false });
+
+        // Act - grid power would otherwise raise the limits
+        await adapter.checkPowerControlAdjustment(500);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.111.power_control.limit_nonpersistent_absolute', 975));
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.222.power_control.limit_nonpersistent_absolute', 975));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1950, ack: true }));
+    });
+
+    it('should keep a pinned inverter limit and give the rest to the other inverters', async function() {
+        // Arrange
+        await adapter.handleControlCommand('inverter0.manualLimit', { val: 300, ack: false });
+
+        // Act - 2000W current total + 500W import + 800W target = 3300W
+        await adapter.checkPowerControlAdjustment(500);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.111.power_control.limit_nonpersistent_absolute', 300));
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.222.power_control.limit_nonpersistent_absolute', 2000));
+    });
+
+    it('should use the target feed-in override', async function() {
+        // Arrange
+        await adapter.handleControlCommand('control.targetFeedIn', { val: 0, ack: false });
+
+        // Act - 2000W current total + 500W import + 0W target = 2500W
+        await adapter.checkPowerControlAdjustment(500);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 2500, ack: true }));
+    });
+
+    it('should switch back to automatic on empty or negative values', async function() {
+        // Arrange
+        await adapter.handleControlCommand('control.manualTotalLimit', { val: 1000, ack: false });
+
+        // Act
+        await adapter.handleControlCommand('control.manualTotalLimit', { val: -1, ack: false });
+
+        // Assert
+        assert.strictEqual(adapter.control.manualTotalLimit, null);
+        assert(adapter.setState.calledWith('control.manualTotalLimit', { val: null, ack: true }));
+    });
+
+    it('should reject invalid values and restore the previous value', async function() {
+        // Arrange
+        await adapter.handleControlCommand('inverter1.manualLimit', { val: 400, ack: false });
+
+        // Act
+        await adapter.handleControlCommand('inverter1.manualLimit', { val: 'abc', ack: false });
+
+        // Assert
+        assert.strictEqual(adapter.control.manualLimits[1], 400);
+        assert(adapter.log.warn.calledWith('Invalid value for inverter1.manualLimit: abc'));
+        assert(adapter.setState.lastCall.calledWith('inverter1.manualLimit', { val: 400, ack: true }));
+    });
+
+    it('should restore persisted overrides on startup', async function() {
+        // Arrange
+        adapter.getStateAsync.withArgs('control.enabled').resolves({ val: false, ack: true });
+        adapter.getStateAsync.withArgs('control.targetFeedIn').resolves({ val: 200, ack: false });
+
+        // Act
+        await adapter.restoreControlStates();
+
+        // Assert
+        assert.strictEqual(adapter.control.enabled, false);
+        assert.strictEqual(adapter.control.targetFeedIn, 200);
+        assert(adapter.setState.calledWith('control.targetFeedIn', { val: 200, ack: true }));
+        assert(!adapter.setState.calledWith('control.enabled'));
+    });
+});
+
+describe('ZeroPV Adapter - meter fail-safe', function() {
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 1000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 800,
+            meterMaxAge: 60,
+            failSafeAction: 'safeLimit',
+            failSafeLimit: 200
+        });
+        adapter.getForeignStateAsync = sinon.stub().resolves({ val: 1000, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should drop all inverters to the safe limit when the meter value is too old', async function() {
+        // Act
+        await adapter.processPowerState({ val: -500, ack: true, ts: Date.now() - 61000 });
+
+        // Assert
+        assert(adapter.setState.calledWith('info.meterStale', { val: true, ack: true }));
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.111.power_control.limit_nonpersistent_absolute', 100));
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.222.power_control.limit_nonpersistent_absolute', 100));
+        assert(!adapter.checkPowerControlAdjustment.called);
+        assert(!adapter.setState.calledWith('gridPower'));
+    });
+
+    it('should enter fail-safe when no data is received', async function() {
+        // Act
+        await adapter.processPowerState(null);
+
+        // Assert
+        assert(adapter.log.warn.calledWith('Power meter shelly.0.TotalActivePower is stale (no data), fail-safe action: safeLimit'));
+        assert(adapter.setState.calledWith('info.meterStale', { val: true, ack: true }));
+    });
+
+    it('should restore 100% with the maxPower action', async function() {
+        // Arrange
+        adapter.config.failSafeAction = 'maxPower';
+
+        // Act
+        await adapter.processPowerState({ val: 'n/a', ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.111.power_control.limit_nonpersistent_absolute', 2000));
+        assert(!adapter.setForeignStateAsync.calledWith('opendtu.0.222.power_control.limit_nonpersistent_absolute'));
+    });
+
+    it('should keep the limits with the hold action', async function() {
+        // Arrange
+        adapter.config.failSafeAction = 'hold';
+
+        // Act
+        await adapter.processPowerState({ val: 100, ack: true, ts: Date.now() - 120000 });
+
+        // Assert
+        assert(adapter.setState.calledWith('info.meterStale', { val: true, ack: true }));
+        assert(!adapter.setForeignStateAsync.called);
+    });
+
+    it('should recover once fresh data arrives', async function() {
+        // Arrange
+        await adapter.processPowerState({ val: 100, ack: true, ts: Date.now() - 120000 });
+
+        // Act
+        await adapter.processPowerState({ val: 100, ack: true, ts: Date.now() - 1000 });
+
+        // Assert
+        assert.strictEqual(adapter.meterStale, false);
+        assert(adapter.setState.calledWith('info.meterStale', { val: false, ack: true }));
+        assert(adapter.log.info.calledWith('Power meter shelly.0.TotalActivePower delivers fresh data again, resuming power control'));
+        assert(adapter.checkPowerControlAdjustment.calledOnceWith(100));
+    });
+
+    it('should accept old values when the age check is disabled', async function() {
+        // Arrange
+        adapter.config.meterMaxAge = 0;
+
+        // Act
+        await adapter.processPowerState({ val: 100, ack: true, ts: Date.now() - 3600000 });
+
+        // Assert
+        assert.strictEqual(adapter.meterStale, false);
+        assert(adapter.checkPowerControlAdjustment.calledOnceWith(100));
+    });
+});
+
+describe('ZeroPV Adapter - grid power filter', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [{ inverterObject: 'opendtu.0.111', maxPower: 2000 }],
+            pollingInterval: 10000,
+            gridFilter: 'spike',
+            gridFilterWindow: 3,
+            gridFilterSpikeThreshold: 500
+        });
+    });
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    it('should publish raw and filtered grid power and regulate on the filtered value', async function() {
+        // Arrange
+        await adapter.processPowerState({ val: 100, ack: true, ts: Date.now() });
+
+        // Act - compressor start-up
+        await adapter.processPowerState({ val: 1800, ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.setState.calledWith('gridPower', { val: 1800, ack: true }));
+        assert(adapter.setState.calledWith('gridPowerFiltered', { val: 100, ack: true }));
+        assert.strictEqual(adapter.checkPowerControlAdjustment.lastCall.args[0], 100);
+    });
+
+    it('should check the hard export limit on the raw value', async function() {
+        // Arrange
+        adapter.config.hardExportLimitEnabled = true;
+        adapter.config.hardExportLimit = 800;
+        adapter.config.hardExportGrace = 10;
+        await adapter.processPowerState({ val: 100, ack: true, ts: Date.now() });
+
+        // Act
+        await adapter.processPowerState({ val: -1500, ack: true, ts: Date.now() });
+
+        // Assert
+        assert.notStrictEqual(adapter.exportGuard.exceedingSince, null);
+        assert.strictEqual(adapter.checkPowerControlAdjustment.lastCall.args[0], 100);
+        adapter.onUnload(() => {});
+    });
+
+    it('should check the export ceiling on the raw value', async function() {
+        // Arrange
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves({ val: 1000, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+        Object.assign(adapter.config, { targetMode: 'band', gridSetpoint: 0, toleranceBand: 25, exportCeiling: 50 });
+        await adapter.processPowerState({ val: -40, ack: true, ts: Date.now() });
+
+        // Act - the filter holds the export spike back from the regulation
+        await adapter.processPowerState({ val: -1500, ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.setState.calledWith('gridPowerFiltered', { val: -40, ack: true }));
+        assert(adapter.log.debug.calledWith('Grid export 1500W exceeds ceiling of 50W, decreasing total inverter limit by 40W immediately'));
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.111.power_control.limit_nonpersistent_absolute', 960));
+    });
+
+    it('should start the filter over after a stale meter', async function() {
+        // Arrange
+        adapter.config.failSafeAction = 'hold';
+        await adapter.processPowerState({ val: 100, ack: true, ts: Date.now() });
+        await adapter.processPowerState(null);
+
+        // Act
+        await adapter.processPowerState({ val: 1800, ack: true, ts: Date.now() });
+
+        // Assert
+        assert.strictEqual(adapter.checkPowerControlAdjustment.lastCall.args[0], 1800);
+    });
+});
+
+describe('ZeroPV Adapter - hard export limit', function() {
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 600,
+            hardExportLimitEnabled: true,
+            hardExportLimit: 800,
+            hardExportGrace: 10
+        });
+        // Both inverters at a limit of 1000W producing 1000W
+        adapter.getForeignStateAsync = sinon.stub().resolves({ val: 1000, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.onUnload(() => {});
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should leave the regulation alone during the grace period', async function() {
+        // Act
+        await adapter.processPowerState({ val: -1300, ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.checkPowerControlAdjustment.calledOnceWith(-1300));
+        assert(!adapter.setForeignStateAsync.called);
+        assert(!adapter.setState.calledWith('safety.exportAlarm'));
+    });
+
+    it('should cut the limits when the grace period expires without waiting for the next reading', async function() {
+        // Arrange
+        await adapter.processPowerState({ val: -1300, ack: true, ts: Date.now() });
+
+        // Act
+        await clock.tickAsync(10000);
+
+        // Assert - 500W beyond the hard limit are cut from the 2000W produced
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1500, ack: true }));
+        assert(adapter.setState.calledWith('safety.exportAlarm', { val: true, ack: true }));
+        assert(adapter.setState.calledWith('safety.exportViolations', { val: 1, ack: true }));
+        assert(adapter.log.warn.calledWith('Grid export 1300W exceeded the hard limit of 800W for 10s, cutting inverter limits'));
+    });
+
+    it('should cut immediately without grace period and skip the regulation', async function() {
+        // Arrange
+        adapter.config.hardExportGrace = 0;
+
+        // Act
+        await adapter.processPowerState({ val: -1000, ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1800, ack: true }));
+        assert(!adapter.checkPowerControlAdjustment.called);
+    });
+
+    it('should cut from the actual production with the other features off', async function() {
+        // Arrange - both inverters limited to 1000W but producing 600W only
+        adapter.config.hardExportGrace = 0;
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.ac.phase_1.power').resolves({ val: 600, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.ac.phase_1.power').resolves({ val: 600, ack: true });
+
+        // Act
+        await adapter.processPowerState({ val: -1000, ack: true, ts: Date.now() });
+
+        // Assert - 200W beyond the hard limit are cut from the 1200W produced
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1000, ack: true }));
+    });
+
+    it('should cut while the regulation is disabled', async function() {
+        // Arrange
+        adapter.config.hardExportGrace = 0;
+        adapter.control.enabled = false;
+
+        // Act
+        await adapter.processPowerState({ val: -1000, ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1800, ack: true }));
+    });
+
+    it('should not cut when the export drops back within the grace period', async function() {
+        // Arrange
+        await adapter.processPowerState({ val: -1300, ack: true, ts: Date.now() });
+        await clock.tickAsync(5000);
+
+        // Act
+        await adapter.processPowerState({ val: -700, ack: true, ts: Date.now() });
+        await clock.tickAsync(10000);
+
+        // Assert
+        assert(!adapter.setForeignStateAsync.called);
+        assert.strictEqual(adapter.exportGuard.violations, 0);
+        assert.strictEqual(adapter.checkPowerControlAdjustment.callCount, 2);
+    });
+
+    it('should clear the alarm once the export is back within the hard limit', async function() {
+        // Arrange
+        adapter.config.hardExportGrace = 0;
+        await adapter.processPowerState({ val: -1000, ack: true, ts: Date.now() });
+
+        // Act
+        await adapter.processPowerState({ val: -500, ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.setState.calledWith('safety.exportAlarm', { val: false, ack: true }));
+        assert(adapter.log.info.calledWith('Grid export 500W is back within the hard limit of 800W'));
+        assert(adapter.checkPowerControlAdjustment.calledOnceWith(-500));
+    });
+
+    it('should do nothing when disabled', async function() {
+        // Arrange
+        adapter.config.hardExportLimitEnabled = false;
+
+        // Act
+        await adapter.processPowerState({ val: -3000, ack: true, ts: Date.now() });
+        await clock.tickAsync(20000);
+
+        // Assert
+        assert(!adapter.setForeignStateAsync.called);
+        assert(adapter.checkPowerControlAdjustment.calledOnceWith(-3000));
+    });
+});
+
+describe('ZeroPV Adapter - inverter availability', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 800,
+            controlMode: 'polling',
+            distributionMode: 'equal'
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        sinon.restore();
+    });
+
+    it('should give the whole total limit to the available inverters', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.reachable').resolves({ val: false, ack: true });
+
+        // Act - 500W current total of the available inverter + 200W import + 800W target = 1500W
+        await adapter.checkPowerControlAdjustment(200);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledOnceWith('opendtu.0.111.power_control.limit_nonpersistent_absolute', 1500));
+        assert(adapter.setState.calledWith('inverter0.available', { val: true, ack: true }));
+        assert(adapter.setState.calledWith('inverter1.available', { val: false, ack: true }));
+        assert(adapter.log.info.calledWith('Inverter 2 is unreachable or not producing, excluding it from the limit distribution'));
+    });
+
+    it('should only publish availability changes', async function() {
+        // Arrange
+        await adapter.checkPowerControlAdjustment(0);
+        adapter.setState.resetHistory();
+
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        assert(!adapter.setState.calledWith('inverter0.available'));
+        assert(!adapter.setState.calledWith('inverter1.available'));
+    });
+
+    it('should pause the regulation quietly while no inverter is available', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.producing').resolves({ val: false, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.producing').resolves({ val: false, ack: true });
+
+        // Act
+        await adapter.checkPowerControlAdjustment(200);
+
+        // Assert
+        assert(!adapter.setForeignStateAsync.called);
+        assert(!adapter.log.warn.called);
+        assert(adapter.setState.calledWith('powerControlActive', { val: false, ack: true }));
+    });
+});
+
+describe('ZeroPV Adapter - inverter limit range', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: null, minPower: 0, limitType: 'relative' },
+                { inverterObject: 'opendtu.0.222', maxPower: 600, minPower: 0, limitType: 'absolute' }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 800,
+            controlMode: 'polling',
+            distributionMode: 'equal'
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 200, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_relative').resolves({ val: 25, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 200, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        sinon.restore();
+    });
+
+    it('should adopt the reported max power and send relative limits in percent', async function() {
+        // Act - 400W current total + 0W import + 800W target = 1200W
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        assert.strictEqual(adapter.config.inverters[0].maxPower, 800);
+        assert(adapter.log.info.calledWith('Inverter 1 reports max power of 800W'));
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.111.power_control.limit_nonpersistent_relative', 75));
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.222.power_control.limit_nonpersistent_absolute', 600));
+        assert(adapter.setState.calledWith('inverter0.reportedMaxPower', { val: 800, ack: true }));
+    });
+
+    it('should raise an inverter at 0% with the max power derived before a restart', async function() {
+        // Arrange - the fail-safe left the inverter at 0%
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 0, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_relative').resolves({ val: 0, ack: true });
+        adapter.getStateAsync = sinon.stub().resolves(null);
+        adapter.getStateAsync.withArgs('inverter0.reportedMaxPower').resolves({ val: 800, ack: true });
+        await adapter.restoreReportedMaxPowers();
+
+        // Act - 200W current total + 0W import + 800W target = 1000W
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert - 500W of 800W
+        assert.strictEqual(adapter.config.inverters[0].maxPower, 800);
+        assert(adapter.setForeignStateAsync.calledWith('opendtu.0.111.power_control.limit_nonpersistent_relative', 62.5));
+    });
+
+    it('should raise an AhoyDTU inverter at 0% based on its configured max power', async function() {
+        // Arrange - no max power was ever derived, e.g. on first start after the fail-safe
+        adapter.config.inverters[0] = {
+            inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony', controlObject: 'mqtt.0.inverter.ctrl.limit.0',
+            maxPower: 800, minPower: 0, limitType: 'relative'
+        };
+        adapter.getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.ch0.active_PowerLimit').resolves({ val: 0, ack: true });
+        adapter.getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.available').resolves({ val: 1, ack: true });
+
+        // Act - 200W current total + 0W import + 800W target = 1000W
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert - 500W of 800W
+        assert(adapter.setForeignStateAsync.calledWith('mqtt.0.inverter.ctrl.limit.0', 62.5));
+        assert(!adapter.setState.calledWith('inverter0.reportedMaxPower'));
+    });
+});
+
+describe('ZeroPV Adapter - schedules', function() {
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        // Monday, 2024-01-15 12:00
+        clock = sinon.useFakeTimers(new Date(2024, 0, 15, 12, 0));
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 800,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            schedules: [
+                { enabled: true, name: 'Noon', days: 'weekdays', from: '11:00', to: '14:00', disable: false, targetFeedIn: 200, maxTotalLimit: null }
+            ]
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should apply the scheduled maximum grid export', async function() {
+        // Act - 1000W current total + 0W import + 200W scheduled target = 1200W
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1200, ack: true }));
+        assert(adapter.log.info.calledWith('Schedule Noon is active'));
+    });
+
+    it('should prefer control.targetFeedIn over the schedule', async function() {
+        // Arrange
+        adapter.control.targetFeedIn = 500;
+
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1500, ack: true }));
+    });
+
+    it('should cap the total limit at the scheduled max total limit', async function() {
+        // Arrange
+        adapter.config.schedules[0].maxTotalLimit = 600;
+
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 600, ack: true }));
+    });
+
+    it('should pause the regulation while a schedule disables it', async function() {
+        // Arrange
+        adapter.config.schedules[0].disable = true;
+
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        assert(adapter.log.debug.calledWith('Power control disabled via schedule Noon, skipping adjustment'));
+        assert(adapter.setState.calledWith('powerControlActive', { val: false, ack: true }));
+        assert(adapter.setForeignStateAsync.notCalled);
+    });
+
+    it('should publish the active entry only when it changes', async function() {
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+        await adapter.checkPowerControlAdjustment(0);
+        clock.tick(3 * 60 * 60 * 1000);
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        const published = adapter.setState.withArgs('schedule.activeEntry').getCalls().map(call => call.args[1].val);
+        assert.deepStrictEqual(published, ['Noon', '']);
+        assert(adapter.log.info.calledWith('No schedule is active, using the configured settings'));
+    });
+});
+
+describe('ZeroPV Adapter - dynamic price', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 400,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            priceEnabled: true,
+            priceObject: 'tibber.0.price',
+            priceLowThreshold: 0,
+            priceHighThreshold: 0.3,
+            priceMaxFeedIn: 800
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        sinon.restore();
+    });
+
+    it('should curtail to zero export at negative prices and publish the reason', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs('tibber.0.price').resolves({ val: -0.05, ack: true });
+
+        // Act - exporting 300W, 1000W current total
+        await adapter.checkPowerControlAdjustment(-300);
+
+        // Assert
+        assert(adapter.setState.calledWith('target.reason', { val: 'price -0.05 below 0, zero export', ack: true }));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 700, ack: true }));
+    });
+
+    it('should fall back to the regular target without a price', async function() {
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert - the unchanged reason is published only once
+        assert(adapter.log.debug.calledWith('Electricity price not available, using the regular target'));
+        assert.strictEqual(adapter.setState.withArgs('target.reason').callCount, 1);
+        assert(adapter.setState.calledWith('target.reason', { val: 'maximum grid export of 400W from configuration', ack: true }));
+    });
+});
+
+describe('ZeroPV Adapter - controllable loads', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 0,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            loads: [
+                { enabled: true, name: 'Heater', controlObject: 'shelly.1.relay', type: 'switch', power: 1500, minPower: 0, minOnTime: 0, minOffTime: 0, priority: 1 }
+            ]
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        sinon.restore();
+    });
+
+    it('should switch a load on instead of curtailing clipped PV', async function() {
+        // Arrange - both inverters produce at their limit
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.ac.phase_1.power').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.ac.phase_1.power').resolves({ val: 495, ack: true });
+
+        // Act - exporting 100W, 3000W curtailed
+        await adapter.checkPowerControlAdjustment(-100);
+
+        // Assert - the heater takes 1500W, limits rise by the 1400W it imports
+        assert(adapter.setForeignStateAsync.calledWith('shelly.1.relay', true));
+        assert(adapter.setState.calledWith('load0.dispatchedPower', { val: 1500, ack: true }));
+        assert(adapter.log.info.calledWith('Load Heater switched on with 1500W'));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 2400, ack: true }));
+    });
+
+    it('should switch the load off when the surplus is gone', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.ac.phase_1.power').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.ac.phase_1.power').resolves({ val: 500, ack: true });
+        await adapter.checkPowerControlAdjustment(-100);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 2000, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 2000, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.ac.phase_1.power').resolves({ val: 400, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.ac.phase_1.power').resolves({ val: 400, ack: true });
+
+        // Act - importing 700W with the heater on
+        await adapter.checkPowerControlAdjustment(700);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledWith('shelly.1.relay', false));
+        assert(adapter.log.info.calledWith('Load Heater switched off'));
+    });
+
+    it('should command the load again after a failed command', async function() {
+        // Arrange
+        adapter.setForeignStateAsync.withArgs('shelly.1.relay').rejects(new Error('offline'));
+
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert - the load is commanded again in the next cycle
+        assert(adapter.log.warn.calledWith('Error commanding load Heater: offline'));
+        assert.strictEqual(adapter.setForeignStateAsync.withArgs('shelly.1.relay').callCount, 2);
+    });
+});
+
+describe('ZeroPV Adapter - control history', function() {
+    const ControlHistory = require('../lib/control-history');
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers(new Date(2024, 0, 15, 12, 0));
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 0,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            historySize: 100,
+            historyStateEntries: 1
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.history = new ControlHistory(adapter.config.historySize);
+        adapter.sendTo = sinon.stub();
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should record applied and held decisions', async function() {
+        // Act
+        await adapter.checkPowerControlAdjustment(400);
+        await adapter.checkPowerControlAdjustment(-50);
+
+        // Assert
+        const entries = adapter.history.getEntries();
+        assert.deepStrictEqual(entries[0], {
+            ts: new Date(2024, 0, 15, 12, 0).getTime(),
+            gridPower: 400,
+            regulatedGridPower: 400,
+            oldTotalLimit: 1000,
+            newTotalLimit: 1400,
+            limits: [{ index: 0, oldValue: 500, newValue: 700 }, { index: 1, oldValue: 500, newValue: 700 }],
+            reason: 'increase',
+            applied: true
+        });
+        assert.strictEqual(entries[1].reason, 'threshold not reached');
+        assert.strictEqual(entries[1].applied, false);
+    });
+
+    it('should publish the most recent cycles as JSON', async function() {
+        // Arrange
+        adapter.control.enabled = false;
+
+        // Act
+        await adapter.checkPowerControlAdjustment(400);
+        await adapter.checkPowerControlAdjustment(300);
+
+        // Assert
+        const published = JSON.parse(adapter.setState.withArgs('history.lastDecisions').lastCall.args[1].val);
+        assert.strictEqual(published.length, 1);
+        assert.strictEqual(published[0].gridPower, 300);
+        assert.strictEqual(published[0].reason, 'disabled via control.enabled');
+    });
+
+    it('should answer getHistory messages', async function() {
+        // Arrange
+        await adapter.checkPowerControlAdjustment(400);
+        await adapter.checkPowerControlAdjustment(-50);
+
+        // Act
+        adapter.onMessage({ command: 'getHistory', message: { count: 1 }, from: 'system.adapter.javascript.0', callback: { id: 1 } });
+
+        // Assert
+        const [from, command, entries, callback] = adapter.sendTo.firstCall.args;
+        assert.strictEqual(from, 'system.adapter.javascript.0');
+        assert.strictEqual(command, 'getHistory');
+        assert.deepStrictEqual(entries.map(entry => entry.reason), ['threshold not reached']);
+        assert.deepStrictEqual(callback, { id: 1 });
+    });
+});
+
+describe('ZeroPV Adapter - energy accounting', function() {
+    const EnergyCounter = require('../lib/energy-counter');
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers(new Date(2024, 0, 15, 12, 0));
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 0,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            meterMaxAge: 0,
+            energyEnabled: true
+        });
+        adapter.energyCounter = new EnergyCounter(Date.now());
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 2000, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.ac.phase_1.power').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.ac.phase_1.power').resolves({ val: 1300, ack: true });
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should count exported, produced and curtailed energy', async function() {
+        // Act - 6 minutes of 1000W export while inverter 1 is clipped at 500W
+        await adapter.processPowerState({ val: -1000 });
+        clock.tick(6 * 60 * 1000);
+        await adapter.processPowerState({ val: -1000 });
+
+        // Assert
+        assert(adapter.setState.calledWith('energy.day.exported', { val: 0.1, ack: true }));
+        assert(adapter.setState.calledWith('energy.month.produced', { val: 0.18, ack: true }));
+        assert(adapter.setState.calledWith('energy.year.curtailed', { val: 0.15, ack: true }));
+        assert(adapter.setState.calledWith('energy.day.selfConsumption', { val: 44.4, ack: true }));
+        const snapshot = JSON.parse(adapter.setState.withArgs('energy.snapshot').lastCall.args[1].val);
+        assert.strictEqual(snapshot.day.key, '2024-01-15');
+    });
+
+    it('should restore the persisted counters', async function() {
+        // Arrange
+        const snapshot = { day: { key: '2024-01-15', exported: 2.5, imported: 0, produced: 4, curtailed: 0 } };
+        adapter.getStateAsync = sinon.stub().withArgs('energy.snapshot').resolves({ val: JSON.stringify(snapshot), ack: true });
+
+        // Act
+        await adapter.restoreEnergyCounter();
+
+        // Assert
+        assert.strictEqual(adapter.energyCounter.toJSON().day.exported, 2.5);
+        assert.strictEqual(adapter.energyCounter.toJSON().month.exported, 0);
+    });
+
+    it('should persist the counters every 5 minutes, on rollover and on unload', async function() {
+        // Arrange
+        clock.setSystemTime(new Date(2024, 0, 15, 23, 58));
+        await adapter.processPowerState({ val: -1000 });
+        const snapshots = () => adapter.setState.withArgs('energy.snapshot').callCount;
+
+        // Act & Assert - not on every reading
+        clock.tick(1000);
+        await adapter.processPowerState({ val: -1000 });
+        assert.strictEqual(snapshots(), 1);
+
+        // Act & Assert - at midnight
+        clock.setSystemTime(new Date(2024, 0, 16, 0, 0));
+        await adapter.processPowerState({ val: -1000 });
+        assert.strictEqual(snapshots(), 2);
+
+        // Act & Assert - after 5 minutes
+        clock.tick(4 * 60 * 1000);
+        await adapter.processPowerState({ val: -1000 });
+        assert.strictEqual(snapshots(), 2);
+        clock.tick(60 * 1000);
+        await adapter.processPowerState({ val: -1000 });
+        assert.strictEqual(snapshots(), 3);
+
+        // Act & Assert - on unload
+        await adapter.onUnload(() => {});
+        assert.strictEqual(snapshots(), 4);
+    });
+});
+
+describe('ZeroPV Adapter - battery storage', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            feedInThreshold: 100,
+            targetFeedIn: 0,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            batteryEnabled: true,
+            batterySocObject: 'bms.0.soc',
+            batteryPowerObject: 'bms.0.power',
+            batteryFullSoc: 95,
+            batteryMaxChargePower: 1000,
+            batteryMaxDischargePower: 1000
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 500, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        sinon.restore();
+    });
+
+    it('should raise limits instead of throttling while the battery can charge', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs('bms.0.soc').resolves({ val: 40, ack: true });
+        adapter.getForeignStateAsync.withArgs('bms.0.power').resolves({ val: 600, ack: true });
+
+        // Act - exporting 300W, but the battery could take another 400W
+        await adapter.checkPowerControlAdjustment(-300);
+
+        // Assert - 1000W current total + 100W regulated demand = 1100W
+        assert(adapter.setState.calledWith('battery.regulatedGridPower', { val: 100, ack: true }));
+        assert(adapter.setState.calledWith('battery.full', { val: false, ack: true }));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1100, ack: true }));
+    });
+
+    it('should throttle PV once the battery is full', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs('bms.0.soc').resolves({ val: 100, ack: true });
+        adapter.getForeignStateAsync.withArgs('bms.0.power').resolves({ val: 0, ack: true });
+
+        // Act
+        await adapter.checkPowerControlAdjustment(-300);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 700, ack: true }));
+    });
+
+    it('should write the charge setpoint to the battery', async function() {
+        // Arrange
+        adapter.config.batteryChargeObject = 'bms.0.chargePower';
+        adapter.getForeignStateAsync.withArgs('bms.0.soc').resolves({ val: 40, ack: true });
+        adapter.getForeignStateAsync.withArgs('bms.0.power').resolves({ val: 0, ack: true });
+
+        // Act
+        await adapter.checkPowerControlAdjustment(-300);
+        await adapter.checkPowerControlAdjustment(-300);
+
+        // Assert - the unchanged setpoint is written only once
+        assert(adapter.setForeignStateAsync.calledWith('bms.0.chargePower', 300));
+        assert.strictEqual(adapter.setForeignStateAsync.withArgs('bms.0.chargePower').callCount, 1);
+        assert(adapter.setState.calledWith('battery.chargeSetpoint', { val: 300, ack: true }));
+    });
+
+    it('should regulate on the grid power when the battery state is missing', async function() {
+        // Act
+        await adapter.checkPowerControlAdjustment(-300);
+
+        // Assert
+        assert(adapter.log.debug.calledWith('Battery state not available, regulating on grid power only'));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 700, ack: true }));
+    });
+});
+
+describe('ZeroPV Adapter - ramp rates', function() {
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 5000,
+            feedInThreshold: 100,
+            targetFeedIn: 0,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            rampUpRate: 50,
+            rampDownRate: 100,
+            rampBypassHardLimit: true
+        });
+        delete adapter.checkPowerControlAdjustment;
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 100, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 100, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.onUnload(() => {});
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should raise the total limit at most by the ramp rate', async function() {
+        // Arrange - limits applied one polling interval ago
+        adapter.lastLimitChangeTime = Date.now() - 5000;
+
+        // Act - 2000W import asks for 2200W
+        await adapter.checkPowerControlAdjustment(2000);
+
+        // Assert - 200W + 50W/s * 5s
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 450, ack: true }));
+        assert(adapter.log.debug.calledWith('Ramping total inverter limit to 450W on the way to 2200W'));
+    });
+
+    it('should count the ramp over at most three polling intervals', async function() {
+        // Act - no limits applied since the start
+        await adapter.checkPowerControlAdjustment(2000);
+
+        // Assert - 200W + 50W/s * 15s
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 950, ack: true }));
+    });
+
+    it('should lower the total limit at most by the ramp rate', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+        adapter.lastLimitChangeTime = Date.now() - 5000;
+
+        // Act
+        await adapter.checkPowerControlAdjustment(-1500);
+
+        // Assert - 2000W - 100W/s * 5s
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1500, ack: true }));
+    });
+
+    it('should decrease without ramp while the export exceeds the hard limit', async function() {
+        // Arrange
+        adapter.config.hardExportLimitEnabled = true;
+        adapter.config.hardExportLimit = 800;
+        adapter.config.hardExportGrace = 30;
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+        adapter.lastLimitChangeTime = Date.now() - 5000;
+
+        // Act - within the grace period the regulation still decides
+        await adapter.processPowerState({ val: -1500, ack: true, ts: Date.now() });
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 500, ack: true }));
+    });
+
+    it('should apply a manual total limit without ramp', async function() {
+        // Arrange
+        adapter.control.manualTotalLimit = 3000;
+        adapter.lastLimitChangeTime = Date.now() - 5000;
+
+        // Act
+        await adapter.checkPowerControlAdjustment(0);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 3000, ack: true }));
+    });
+});
+
+describe('ZeroPV Adapter - load prediction', function() {
+    const LoadPredictor = require('../lib/load-predictor');
+    let adapter;
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers(new Date(2026, 0, 5, 7, 0));
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 5000,
+            feedInThreshold: 100,
+            targetFeedIn: 0,
+            controlMode: 'polling',
+            distributionMode: 'equal',
+            meterMaxAge: 0,
+            predictionEnabled: true,
+            predictionLearningRate: 0.2,
+            predictionMinDays: 3,
+            predictionFloorShare: 80
+        });
+        adapter.loadPredictor = new LoadPredictor();
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.ac.phase_1.power').resolves({ val: 150, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.ac.phase_1.power').resolves({ val: 150, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.onUnload(() => {});
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should keep the total limit at the floor from the predicted base load', async function() {
+        // Arrange
+        delete adapter.checkPowerControlAdjustment;
+        adapter.loadPredictor.slots[LoadPredictor.getSlot(Date.now())] = { baseLoad: 1000, days: 3 };
+        adapter.getForeignStateAsync.withArgs('opendtu.0.111.power_control.current_limit_absolute').resolves({ val: 300, ack: true });
+        adapter.getForeignStateAsync.withArgs('opendtu.0.222.power_control.current_limit_absolute').resolves({ val: 300, ack: true });
+
+        // Act - 50W import asks for 650W
+        await adapter.checkPowerControlAdjustment(50);
+
+        // Assert
+        assert(adapter.setState.calledWith('prediction.baseLoad', { val: 1000, ack: true }));
+        assert(adapter.setState.calledWith('prediction.floor', { val: 800, ack: true }));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 800, ack: true }));
+    });
+
+    it('should drop the floor while the export exceeds the target feed-in', async function() {
+        // Arrange
+        delete adapter.checkPowerControlAdjustment;
+        adapter.config.targetFeedIn = 200;
+        adapter.loadPredictor.slots[LoadPredictor.getSlot(Date.now())] = { baseLoad: 1000, days: 3 };
+
+        // Act - 1500W export asks for 700W
+        await adapter.checkPowerControlAdjustment(-1500);
+
+        // Assert
+        assert(adapter.setState.calledWith('prediction.floor', { val: 0, ack: true }));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 700, ack: true }));
+    });
+
+    it('should not use a slot learned on too few days', async function() {
+        // Arrange
+        delete adapter.checkPowerControlAdjustment;
+        adapter.loadPredictor.slots[LoadPredictor.getSlot(Date.now())] = { baseLoad: 1000, days: 2 };
+
+        // Act
+        await adapter.checkPowerControlAdjustment(-1500);
+
+        // Assert
+        assert(adapter.setState.calledWith('prediction.baseLoad', { val: null, ack: true }));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 500, ack: true }));
+    });
+
+    it('should drop the floor while the export exceeds the export ceiling', async function() {
+        // Arrange
+        delete adapter.checkPowerControlAdjustment;
+        Object.assign(adapter.config, { targetMode: 'band', gridSetpoint: 0, toleranceBand: 25, exportCeiling: 50 });
+        adapter.loadPredictor.slots[LoadPredictor.getSlot(Date.now())] = { baseLoad: 1000, days: 3 };
+
+        // Act
+        await adapter.checkPowerControlAdjustment(-1500);
+
+        // Assert
+        assert(adapter.setState.calledWith('prediction.floor', { val: 0, ack: true }));
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 500, ack: true }));
+    });
+
+    it('should learn the consumption of a slot and publish the model', async function() {
+        // Act - 100W import plus 300W production for a full slot
+        for (let minute = 0; minute <= 15; minute++) {
+            await adapter.processPowerState({ val: 100 });
+            clock.tick(60 * 1000);
+        }
+
+        // Assert
+        assert.deepStrictEqual(adapter.loadPredictor.slots[28], { baseLoad: 400, days: 1 });
+        const model = JSON.parse(adapter.setState.withArgs('prediction.model').lastCall.args[1].val);
+        assert.strictEqual(model.slots[28].baseLoad, 400);
+        assert(adapter.setState.calledWith('prediction.evaluatedSlots', { val: 0, ack: true }));
+    });
+
+    it('should restore the persisted model', async function() {
+        // Arrange
+        const restored = new LoadPredictor();
+        restored.slots[28] = { baseLoad: 350, days: 4 };
+        restored.evaluations = [{ predicted: 350, observed: 300 }];
+        adapter.getStateAsync = sinon.stub().withArgs('prediction.model').resolves({ val: JSON.stringify(restored), ack: true });
+
+        // Act
+        await adapter.restoreLoadPredictor();
+
+        // Assert
+        assert.strictEqual(adapter.loadPredictor.getPrediction(28, adapter.config), 350);
+        assert(adapter.setState.calledWith('prediction.meanAbsoluteError', { val: 50, ack: true }));
+        assert(adapter.setState.calledWith('prediction.exportRisk', { val: 0, ack: true }));
+    });
+});
+
+describe('ZeroPV Adapter - limit command confirmation', function() {
+    let adapter;
+    let clock;
+    const controlObject = 'opendtu.0.111.power_control.limit_nonpersistent_absolute';
+    const currentLimitObject = 'opendtu.0.111.power_control.current_limit_absolute';
+    const newLimits = [{ index: 0, controlObject, oldValue: 1000, newValue: 800 }];
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers({ now: 1000000 });
+        adapter = createAdapter({
+            powerSourceObject: 'shelly.0.TotalActivePower',
+            inverters: [
+                { inverterObject: 'opendtu.0.111', maxPower: 2000 },
+                { inverterObject: 'opendtu.0.222', maxPower: 2000 }
+            ],
+            pollingInterval: 10000,
+            controlMode: 'polling',
+            commandTimeout: 15000,
+            commandRetries: 2
+        });
+        adapter.getForeignStateAsync = sinon.stub().resolves(null);
+        adapter.getForeignStateAsync.withArgs(currentLimitObject).resolves({ val: 1000, ack: true });
+        adapter.setForeignStateAsync = sinon.stub().resolves();
+    });
+
+    afterEach(function() {
+        adapter.commandTracker.clear();
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should only publish the inverter limit once it is confirmed', async function() {
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledOnceWith(controlObject, 800));
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'pending', ack: true }));
+        assert(!adapter.setState.calledWith('inverter0.powerLimit'));
+
+        // Act - the inverter reports the new limit before the timeout
+        adapter.getForeignStateAsync.withArgs(currentLimitObject).resolves({ val: 799, ack: true });
+        await clock.tickAsync(15000);
+
+        // Assert
+        assert(adapter.setState.calledWith('inverter0.powerLimit', { val: 800, ack: true }));
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'confirmed', ack: true }));
+        assert(adapter.setForeignStateAsync.calledOnce);
+    });
+
+    it('should send and confirm limits through the configured inverter backend', async function() {
+        // Arrange
+        adapter.inverterBackend = {
+            read: sinon.stub().resolves(null),
+            setLimit: sinon.stub().resolves(),
+            describe: inverter => `serial ${inverter.serial}`,
+            getSource: (inverter, key) => `${key} of serial ${inverter.serial}`,
+            getControlObject: () => 'http://opendtu/api/limit/config',
+            getLimitStateId: () => null,
+            reportsMaxPower: () => true
+        };
+        adapter.inverterBackend.read.withArgs(adapter.config.inverters[0], 'limit').resolves(800);
+
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+        await clock.tickAsync(15000);
+
+        // Assert
+        assert(adapter.inverterBackend.setLimit.calledOnceWith(adapter.config.inverters[0], 800));
+        assert(!adapter.setForeignStateAsync.called);
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'confirmed', ack: true }));
+    });
+
+    it('should retry with backoff and report the failure after all retries', async function() {
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+        await clock.tickAsync(15000);
+
+        // Assert - first retry after the timeout
+        assert.strictEqual(adapter.setForeignStateAsync.callCount, 2);
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'retrying', ack: true }));
+
+        // Act & Assert - the second retry waits twice as long
+        await clock.tickAsync(29999);
+        assert.strictEqual(adapter.setForeignStateAsync.callCount, 2);
+        await clock.tickAsync(1);
+        assert.strictEqual(adapter.setForeignStateAsync.callCount, 3);
+
+        // Act
+        await clock.tickAsync(60000);
+
+        // Assert
+        assert.strictEqual(adapter.setForeignStateAsync.callCount, 3);
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'failed', ack: true }));
+        assert(adapter.setState.calledWith('inverter0.lastCommandError', {
+            val: 'Limit of 800W not confirmed after 3 attempts (reported 1000W)', ack: true
+        }));
+        assert(!adapter.setState.calledWith('inverter0.powerLimit'));
+    });
+
+    it('should retry commands that could not be sent', async function() {
+        // Arrange
+        adapter.setForeignStateAsync.onFirstCall().rejects(new Error('connection lost'));
+
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+        await clock.tickAsync(15000);
+
+        // Assert
+        assert(adapter.setState.calledWith('inverter0.lastCommandError', { val: 'connection lost', ack: true }));
+        assert.strictEqual(adapter.setForeignStateAsync.callCount, 2);
+    });
+
+    it('should retry when the limit cannot be read at the timeout', async function() {
+        // Arrange
+        adapter.getForeignStateAsync.withArgs(currentLimitObject).rejects(new Error('timeout'));
+
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+        await clock.tickAsync(15000);
+
+        // Assert
+        assert.strictEqual(adapter.setForeignStateAsync.callCount, 2);
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'retrying', ack: true }));
+
+        // Act - the command fails after all retries and the same limit may be sent again
+        await clock.tickAsync(90000);
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+
+        // Assert
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'failed', ack: true }));
+        assert.strictEqual(adapter.setForeignStateAsync.callCount, 4);
+    });
+
+    it('should drop a command whose verification failed', async function() {
+        // Arrange
+        adapter.setState.withArgs('inverter0.commandStatus', { val: 'retrying', ack: true }).rejects(new Error('db closed'));
+
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+        await clock.tickAsync(15000);
+
+        // Assert
+        assert(adapter.log.error.calledWith('Error verifying limit command: db closed'));
+        assert.strictEqual(adapter.commandTracker.get(0), undefined);
+    });
+
+    it('should not resend a limit that is still waiting for confirmation', async function() {
+        // Arrange
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledOnce);
+    });
+
+    it('should confirm immediately on a limit update in event-driven mode', async function() {
+        // Arrange
+        adapter.config.controlMode = 'event';
+        await adapter.applyInverterPowerLimits(newLimits, 800);
+
+        // Act
+        adapter.onStateChange(currentLimitObject, { val: 800, ack: true });
+        await clock.tickAsync(0);
+
+        // Assert
+        assert(adapter.setState.calledWith('inverter0.commandStatus', { val: 'confirmed', ack: true }));
+        assert.strictEqual(adapter.commandTracker.get(0), undefined);
+    });
+
+    it('should defer limits beyond the command budget and send them once a slot is free', async function() {
+        // Arrange
+        adapter.config.commandMinSpacing = 2000;
+        const limits = [
+            { index: 0, controlObject, oldValue: 1000, newValue: 1200 },
+            { index: 1, controlObject: 'opendtu.0.222.power_control.limit_nonpersistent_absolute', oldValue: 1000, newValue: 800 }
+        ];
+
+        // Act
+        await adapter.applyInverterPowerLimits(limits, 2000);
+
+        // Assert - the decrease goes first
+        assert(adapter.setForeignStateAsync.calledOnceWith('opendtu.0.222.power_control.limit_nonpersistent_absolute', 800));
+        assert(adapter.setState.calledWith('commands.deferred', { val: 1, ack: true }));
+
+        // Act
+        await clock.tickAsync(2000);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledWith(controlObject, 1200));
+        assert(adapter.setState.calledWith('commands.sent', { val: 2, ack: true }));
+        assert(adapter.setState.calledWith('commands.lastMinute', { val: 2, ack: true }));
+    });
+
+    it('should not count a deferred limit that is already pending', async function() {
+        // Arrange
+        adapter.config.commandMinSpacing = 2000;
+        const limits = [
+            { index: 0, controlObject, oldValue: 1000, newValue: 1200 },
+            { index: 1, controlObject: 'opendtu.0.222.power_control.limit_nonpersistent_absolute', oldValue: 1000, newValue: 800 }
+        ];
+        await adapter.applyInverterPowerLimits(limits, 2000);
+        adapter.commandTracker.track(0, controlObject, 1200, 1200);
+
+        // Act
+        await clock.tickAsync(2000);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledOnce);
+        assert.strictEqual(adapter.setState.withArgs('commands.sent').lastCall.args[1].val, 1);
+        assert.strictEqual(adapter.commandBudget.getRecentCount(Date.now()), 1);
+    });
+
+    it('should publish deferred limits once they are sent', async function() {
+        // Arrange
+        adapter.config.commandMinSpacing = 2000;
+        const limits = [
+            { index: 0, controlObject, oldValue: 1000, newValue: 1200 },
+            { index: 1, controlObject: 'opendtu.0.222.power_control.limit_nonpersistent_absolute', oldValue: 1000, newValue: 800 }
+        ];
+
+        // Act
+        await adapter.applyInverterPowerLimits(limits, 2000);
+
+        // Assert - only the decrease went out
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 1800, ack: true }));
+        assert(adapter.setState.neverCalledWith('currentPowerLimit', { val: 2000, ack: true }));
+
+        // Act
+        await clock.tickAsync(2000);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 2000, ack: true }));
+        assert(adapter.setState.calledWith('powerControlActive', { val: true, ack: true }));
+    });
+
+    it('should not mark power control active while all limits are deferred', async function() {
+        // Arrange
+        adapter.config.commandInverterMinSpacing = 10000;
+        await adapter.applyInverterPowerLimits([{ index: 0, controlObject, oldValue: 1000, newValue: 900 }], 900);
+        adapter.setState.resetHistory();
+
+        // Act
+        await adapter.applyInverterPowerLimits([{ index: 0, controlObject, oldValue: 900, newValue: 800 }], 800);
+
+        // Assert
+        assert(adapter.setState.calledWith('currentPowerLimit', { val: 900, ack: true }));
+        assert(adapter.setState.calledWith('powerControlActive', { val: false, ack: true }));
+    });
+
+    it('should replace a deferred limit with the next calculated limit', async function() {
+        // Arrange
+        adapter.config.commandInverterMinSpacing = 10000;
+        adapter.config.commandTimeout = 60000;
+        await adapter.applyInverterPowerLimits([{ index: 0, controlObject, oldValue: 1000, newValue: 900 }], 900);
+        await adapter.applyInverterPowerLimits([{ index: 0, controlObject, oldValue: 1000, newValue: 800 }], 800);
+
+        // Act
+        await adapter.applyInverterPowerLimits([{ index: 0, controlObject, oldValue: 1000, newValue: 700 }], 700);
+        await clock.tickAsync(10000);
+
+        // Assert
+        assert.deepStrictEqual(adapter.setForeignStateAsync.args.map(args => args[1]), [900, 700]);
+        assert(adapter.setState.calledWith('commands.coalesced', { val: 1, ack: true }));
+    });
+
+    it('should send forced limits regardless of the command budget', async function() {
+        // Arrange
+        adapter.config.commandMaxPerMinute = 1;
+        await adapter.applyInverterPowerLimits([{ index: 1, controlObject: 'opendtu.0.222.power_control.limit_nonpersistent_absolute', oldValue: 1000, newValue: 900 }], 900);
+
+        // Act
+        await adapter.applyInverterPowerLimits(newLimits, 800, true);
+
+        // Assert
+        assert(adapter.setForeignStateAsync.calledWith(controlObject, 800));
+    });
+});
+
 // NOTE: checkPowerControlAdjustment tests removed - this complex integration test 
 // requires js-controller dependencies and should be tested via integration tests instead.
 
 describe('ZeroPV Adapter - getAllInverterLimits', function() {
     const InverterManager = require('../lib/inverter-manager');
+    const IobrokerInverterBackend = require('../lib/iobroker-inverter-backend');
     let config;
     let getForeignStateAsync;
+    let backend;
     let logger;
     
     beforeEach(function() {
         config = {
             inverters: [
-                { inverterObject: 'test.inverter1', name: 'Inverter 1' },
-                { inverterObject: 'test.inverter2', name: 'Inverter 2' }
+                { inverterObject: 'test.inverter1', name: 'Inverter 1', maxPower: 2000 },
+                { inverterObject: 'test.inverter2', name: 'Inverter 2', maxPower: 2000 }
             ]
         };
         
         getForeignStateAsync = sinon.stub();
+        backend = new IobrokerInverterBackend(getForeignStateAsync, sinon.stub());
         logger = {
             info: sinon.stub(),
             debug: sinon.stub(),
@@ -278,7 +2039,7 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
             getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 2000, ack: true });
             
             // Act
-            const result = await InverterManager.getAllInverterLimits(config, getForeignStateAsync, logger);
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
             
             // Assert
             assert.equal(result.length, 2);
@@ -286,13 +2047,15 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
                 index: 0, 
                 inverterObject: 'test.inverter1', 
                 controlObject: 'test.inverter1.power_control.limit_nonpersistent_absolute', 
-                value: 1500 
+                value: 1500,
+                available: true
             });
             assert.deepEqual(result[1], { 
                 index: 1, 
                 inverterObject: 'test.inverter2', 
                 controlObject: 'test.inverter2.power_control.limit_nonpersistent_absolute', 
-                value: 2000 
+                value: 2000,
+                available: true
             });
         });
 
@@ -302,7 +2065,7 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
             getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: null, ack: true });
             
             // Act
-            const result = await InverterManager.getAllInverterLimits(config, getForeignStateAsync, logger);
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
             
             // Assert
             assert.equal(result.length, 1);
@@ -310,7 +2073,8 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
                 index: 0, 
                 inverterObject: 'test.inverter1', 
                 controlObject: 'test.inverter1.power_control.limit_nonpersistent_absolute', 
-                value: 1500 
+                value: 1500,
+                available: true
             });
             assert(logger.warn.calledWith('Could not read power limit from inverter 2: test.inverter2.power_control.current_limit_absolute'));
         });
@@ -321,7 +2085,7 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
             getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 'invalid', ack: true });
             
             // Act
-            const result = await InverterManager.getAllInverterLimits(config, getForeignStateAsync, logger);
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
             
             // Assert
             assert.equal(result.length, 1);
@@ -329,7 +2093,8 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
                 index: 0, 
                 inverterObject: 'test.inverter1', 
                 controlObject: 'test.inverter1.power_control.limit_nonpersistent_absolute', 
-                value: 1500 
+                value: 1500,
+                available: true
             });
             assert(logger.warn.calledWith('Invalid power limit value from inverter 2: invalid'));
         });
@@ -340,7 +2105,7 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
             getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').rejects(new Error('Connection failed'));
             
             // Act
-            const result = await InverterManager.getAllInverterLimits(config, getForeignStateAsync, logger);
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
             
             // Assert
             assert.equal(result.length, 1);
@@ -348,7 +2113,8 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
                 index: 0, 
                 inverterObject: 'test.inverter1', 
                 controlObject: 'test.inverter1.power_control.limit_nonpersistent_absolute', 
-                value: 1500 
+                value: 1500,
+                available: true
             });
             assert(logger.error.calledWith('Error reading limit from inverter 2: Connection failed'));
         });
@@ -359,20 +2125,132 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
             getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: undefined, ack: true });
             
             // Act
-            const result = await InverterManager.getAllInverterLimits(config, getForeignStateAsync, logger);
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
             
             // Assert
             assert.equal(result.length, 0);
             assert(logger.warn.calledTwice);
         });
 
+        it('should read actual AC power in production distribution mode', async function() {
+            // Arrange
+            config.distributionMode = 'production';
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_absolute').resolves({ val: 1500, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 2000, ack: true });
+            getForeignStateAsync.withArgs('test.inverter1.ac.phase_1.power').resolves({ val: 1432.7, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.ac.phase_1.power').resolves(null);
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert
+            assert.equal(result.length, 2);
+            assert.strictEqual(result[0].actualPower, 1432.7);
+            assert.strictEqual(result[1].actualPower, null);
+        });
+
+        it('should mark unreachable inverters as unavailable', async function() {
+            // Arrange
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_absolute').resolves({ val: 1500, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 2000, ack: true });
+            getForeignStateAsync.withArgs('test.inverter1.reachable').resolves({ val: true, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.reachable').resolves({ val: false, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert
+            assert.equal(result.length, 2);
+            assert.strictEqual(result[0].available, true);
+            assert.strictEqual(result[1].available, false);
+            assert(logger.debug.calledWith('Inverter 2 is not reachable'));
+        });
+
+        it('should only treat inverters with a usable limit as not producing', async function() {
+            // Arrange
+            config.inverters[0].maxPower = 2000;
+            config.inverters[1].maxPower = 2000;
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_absolute').resolves({ val: 1500, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 50, ack: true });
+            getForeignStateAsync.withArgs('test.inverter1.producing').resolves({ val: 'false', ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.producing').resolves({ val: false, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert - inverter 2 is curtailed to 50W, which explains the missing production
+            assert.strictEqual(result[0].available, false);
+            assert.strictEqual(result[1].available, true);
+        });
+
+        it('should derive the max power when none is configured', async function() {
+            // Arrange
+            config.inverters[0].maxPower = null;
+            config.inverters[1].maxPower = null;
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_absolute').resolves({ val: 400, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 0, ack: true });
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_relative').resolves({ val: 50, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_relative').resolves({ val: 0, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert - the max power of an inverter at 0% cannot be derived, so it cannot take a share yet
+            assert.strictEqual(result[0].reportedMaxPower, 800);
+            assert.strictEqual(result[0].available, true);
+            assert.strictEqual(result[1].reportedMaxPower, null);
+            assert.strictEqual(result[1].available, false);
+            assert(logger.debug.calledWith('Max power of inverter 2 is not known yet'));
+        });
+
+        it('should fall back to the last derived max power of an inverter at 0%', async function() {
+            // Arrange
+            config.inverters[0].maxPower = null;
+            config.inverters[0].limitType = 'relative';
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_absolute').resolves({ val: 0, ack: true });
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_relative').resolves({ val: 0, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger, { 0: 800 });
+
+            // Assert
+            assert.strictEqual(result[0].reportedMaxPower, 800);
+            assert.strictEqual(result[0].available, true);
+            assert(logger.debug.calledWith('Using last derived max power of 800W for inverter 1'));
+        });
+
+        it('should control relative limits through the relative object', async function() {
+            // Arrange
+            config.inverters[0].limitType = 'relative';
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+            getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: 1000, ack: true });
+            getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_relative').resolves({ val: 40, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert
+            assert.strictEqual(result[0].controlObject, 'test.inverter1.power_control.limit_nonpersistent_relative');
+            assert.strictEqual(result[0].reportedMaxPower, 2500);
+            assert.strictEqual(result[1].controlObject, 'test.inverter2.power_control.limit_nonpersistent_absolute');
+            assert.strictEqual(result[1].reportedMaxPower, undefined);
+        });
+
+        it('should convert limits into percent of the nominal power for relative inverters', function() {
+            // Act & Assert
+            assert.strictEqual(InverterManager.toCommandValue({ limitType: 'relative' }, 333, 800), 41.6);
+            assert.strictEqual(InverterManager.toCommandValue({ limitType: 'relative' }, 900, 800), 100);
+            assert.strictEqual(InverterManager.toCommandValue({ limitType: 'absolute' }, 333, 800), 333);
+        });
+
         it('should handle string number values correctly', async function() {
             // Arrange
             getForeignStateAsync.withArgs('test.inverter1.power_control.current_limit_absolute').resolves({ val: '1500.5', ack: true });
             getForeignStateAsync.withArgs('test.inverter2.power_control.current_limit_absolute').resolves({ val: '2000', ack: true });
             
             // Act
-            const result = await InverterManager.getAllInverterLimits(config, getForeignStateAsync, logger);
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
             
             // Assert
             assert.equal(result.length, 2);
@@ -380,16 +2258,129 @@ describe('ZeroPV Adapter - getAllInverterLimits', function() {
                 index: 0, 
                 inverterObject: 'test.inverter1', 
                 controlObject: 'test.inverter1.power_control.limit_nonpersistent_absolute', 
-                value: 1500.5 
+                value: 1500.5,
+                available: true
             });
             assert.deepEqual(result[1], { 
                 index: 1, 
                 inverterObject: 'test.inverter2', 
                 controlObject: 'test.inverter2.power_control.limit_nonpersistent_absolute', 
-                value: 2000 
+                value: 2000,
+                available: true
             });
         });
     });
+
+    describe('inverter types', function() {
+
+        it('should read AhoyDTU inverters through their MQTT topics', async function() {
+            // Arrange
+            config.inverters = [{ inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony', controlObject: 'mqtt.0.inverter.ctrl.limit.0', maxPower: 800 }];
+            getForeignStateAsync.resolves(null);
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.ch0.active_PowerLimit').resolves({ val: 50, ack: true });
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.available').resolves({ val: 2, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert
+            assert.deepStrictEqual(result, [{
+                index: 0,
+                inverterObject: 'mqtt.0.inverter.Balcony',
+                controlObject: 'mqtt.0.inverter.ctrl.limit.0',
+                value: 400,
+                available: true
+            }]);
+        });
+
+        it('should exclude AhoyDTU inverters that are available but not producing', async function() {
+            // Arrange
+            config.inverters = [{ inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony', controlObject: 'mqtt.0.inverter.ctrl.limit.0', maxPower: 800 }];
+            getForeignStateAsync.resolves(null);
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.ch0.active_PowerLimit').resolves({ val: 100, ack: true });
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.available').resolves({ val: 1, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert
+            assert.strictEqual(result[0].available, false);
+        });
+
+        it('should keep AhoyDTU inverters with relative limits at 0% available', async function() {
+            // Arrange
+            config.inverters = [{
+                inverterType: 'ahoy', inverterObject: 'mqtt.0.inverter.Balcony', controlObject: 'mqtt.0.inverter.ctrl.limit.0',
+                maxPower: 800, limitType: 'relative'
+            }];
+            getForeignStateAsync.resolves(null);
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.ch0.active_PowerLimit').resolves({ val: 0, ack: true });
+            getForeignStateAsync.withArgs('mqtt.0.inverter.Balcony.available').resolves({ val: 1, ack: true });
+
+            // Act
+            const result = await InverterManager.getAllInverterLimits(config, backend, logger);
+
+            // Assert - the relative limits are based on the configured max power, nothing needs to be derived
+            assert.strictEqual(result[0].value, 0);
+            assert.strictEqual(result[0].available, true);
+            assert.strictEqual(result[0].reportedMaxPower, undefined);
+        });
+    });
+
+    describe('createBackend()', function() {
+
+        it('should use the opendtu adapter objects by default', async function() {
+            // Arrange
+            const setForeignStateAsync = sinon.stub().resolves();
+
+            // Act
+            const result = InverterManager.createBackend({}, getForeignStateAsync, setForeignStateAsync);
+            await result.setLimit(config.inverters[0], 1200);
+
+            // Assert
+            assert(result instanceof IobrokerInverterBackend);
+            assert(setForeignStateAsync.calledWith('test.inverter1.power_control.limit_nonpersistent_absolute', 1200));
+        });
+
+        it('should use the OpenDTU web API when configured', function() {
+            // Arrange
+            const OpenDtuHttpBackend = require('../lib/opendtu-http-backend');
+
+            // Act
+            const result = InverterManager.createBackend({
+                inverterBackend: 'http',
+                opendtuHost: 'opendtu.local',
+                opendtuUsername: 'admin',
+                opendtuPassword: 'secret'
+            }, getForeignStateAsync, sinon.stub());
+
+            // Assert
+            assert(result instanceof OpenDtuHttpBackend);
+            assert.strictEqual(result.baseUrl, 'http://opendtu.local');
+            assert.strictEqual(result.password, 'secret');
+        });
+    });
+
+    describe('getCurtailedPower()', function() {
+
+        it('should count the headroom of inverters producing at their limit', function() {
+            // Arrange
+            const inverters = [{ maxPower: 2000 }, { maxPower: 1600 }, { maxPower: 800 }];
+            const limits = [
+                { index: 0, value: 500, actualPower: 490 },
+                { index: 1, value: 1000, actualPower: 400 },
+                { index: 2, value: 800, actualPower: 800 }
+            ];
+
+            // Act & Assert - only inverter 1 is clipped below its max power
+            assert.strictEqual(InverterManager.getCurtailedPower(limits, inverters), 1500);
+        });
+
+        it('should ignore inverters without actual power', function() {
+            // Act & Assert
+            assert.strictEqual(InverterManager.getCurtailedPower([{ index: 0, value: 500, actualPower: null }], [{ maxPower: 2000 }]), 0);
+        });
+    });
 });
 
 describe('ZeroPV Adapter - calculateNewClampedLimits', function() {
@@ -532,26 +2523,24 @@ describe('ZeroPV Adapter - calculateNewClampedLimits', function() {
             assert.equal(result.newLimits[1].oldValue, 800);
         });
 
-        it('should handle fallback maxPower when not specified', function() {
+        it('should keep each inverter at or above its minimum power', function() {
             // Arrange
-            config.inverters = [
-                { name: 'Inverter 1' }, // no maxPower specified
-                { name: 'Inverter 2', maxPower: 1800 }
-            ];
-            const currentGridPower = 3000; // large consumption
+            config.inverters[0].minPower = 60;
+            config.inverters[1].minPower = 40;
+            const currentGridPower = -1000; // feeding 200W beyond target
             const currentLimits = [
-                { index: 0, controlObject: 'test.inv1.control', value: 1000 },
-                { index: 1, controlObject: 'test.inv2.control', value: 800 }
+                { index: 0, controlObject: 'test.inv1.control', value: 100 },
+                { index: 1, controlObject: 'test.inv2.control', value: 100 }
             ];
             
             // Act
             const result = PowerCalculator.calculateNewClampedLimits(currentGridPower, currentLimits, config);
             
             // Assert
-            // Before clamping: Math.floor((1800 + 3000 + 800) / 2) = 2800 per inverter
-            // After clamping: inv1=2250 (fallback), inv2=1800 (max)
-            assert.equal(result.newLimits[0].newValue, 2250); // fallback to 2250W
-            assert.equal(result.newLimits[1].newValue, 1800); // clamped to maxPower
+            // newTotalLimit = max(0, 200 + (-200)) = 0, raised to the minimum power of each inverter
+            assert.equal(result.newLimits[0].newValue, 60);
+            assert.equal(result.newLimits[1].newValue, 40);
+            assert.equal(result.totalNewLimit, 100);
         });
 
         it('should correctly calculate for original bug scenario', function() {
@@ -586,6 +2575,296 @@ describe('ZeroPV Adapter - calculateNewClampedLimits', function() {
             assert.equal(result.newLimits[3].newValue, 1859);
         });
     });
+
+    describe('distributeTotalLimit()', function() {
+        const currentLimits = [
+            { index: 0, value: 1000 },
+            { index: 1, value: 400 },
+            { index: 2, value: 1000 }
+        ];
+
+        beforeEach(function() {
+            config.inverters = [
+                { maxPower: 2000 },
+                { maxPower: 400 },
+                { maxPower: 2000 }
+            ];
+        });
+
+        it('should drop clamped surplus in equal mode', function() {
+            // Act
+            const result = PowerCalculator.distributeTotalLimit(3000, currentLimits, config);
+
+            // Assert
+            assert.deepEqual(result, [1000, 400, 1000]);
+        });
+
+        it('should redistribute clamped surplus in fill mode', function() {
+            // Arrange
+            config.distributionMode = 'fill';
+
+            // Act
+            const result = PowerCalculator.distributeTotalLimit(3000, currentLimits, config);
+
+            // Assert
+            assert.deepEqual(result, [1300, 400, 1300]);
+        });
+
+        it('should saturate all inverters when the total exceeds their sum', function() {
+            // Arrange
+            config.distributionMode = 'fill';
+
+            // Act
+            const result = PowerCalculator.distributeTotalLimit(6000, currentLimits, config);
+
+            // Assert
+            assert.deepEqual(result, [2000, 400, 2000]);
+        });
+
+        it('should weight by actual power in production mode', function() {
+            // Arrange
+            config.distributionMode = 'production';
+            const limits = [
+                { index: 0, value: 1000, actualPower: 900 },
+                { index: 1, value: 400, actualPower: 0 },
+                { index: 2, value: 1000, actualPower: 300 }
+            ];
+
+            // Act
+            const result = PowerCalculator.distributeTotalLimit(2440, limits, config);
+
+            // Assert - weights 900 : 20 (5% floor of 400W) : 300
+            assert.deepEqual(result, [1800, 40, 600]);
+        });
+
+        it('should redistribute surplus above max power in production mode', function() {
+            // Arrange
+            config.distributionMode = 'production';
+            const limits = [
+                { index: 0, value: 2000, actualPower: 1900 },
+                { index: 1, value: 400, actualPower: 100 },
+                { index: 2, value: 1000, actualPower: 100 }
+            ];
+
+            // Act
+            const result = PowerCalculator.distributeTotalLimit(3000, limits, config);
+
+            // Assert - inverter 1 saturates at 2000W, the remaining 1000W are split 1:1
+            // until inverter 2 saturates at 400W
+            assert.deepEqual(result, [2000, 400, 600]);
+        });
+    });
+});
+
+describe('ZeroPV Adapter - applyRampRate', function() {
+    const PowerCalculator = require('../lib/power-calculator');
+
+    it('should limit increases and decreases to their own rate', function() {
+        // Arrange
+        const config = { rampUpRate: 100, rampDownRate: 200 };
+
+        // Act & Assert
+        assert.strictEqual(PowerCalculator.applyRampRate(200, 2250, 5000, config), 700);
+        assert.strictEqual(PowerCalculator.applyRampRate(2250, 200, 5000, config), 1250);
+    });
+
+    it('should not overshoot the calculated total limit', function() {
+        // Act & Assert
+        assert.strictEqual(PowerCalculator.applyRampRate(200, 300, 5000, { rampUpRate: 100 }), 300);
+    });
+
+    it('should pass changes through without ramp rate', function() {
+        // Act & Assert
+        assert.strictEqual(PowerCalculator.applyRampRate(200, 2250, 5000, { rampUpRate: 0, rampDownRate: 100 }), 2250);
+        assert.strictEqual(PowerCalculator.applyRampRate(2250, 200, 5000, {}), 200);
+    });
+});
+
+describe('ZeroPV Adapter - decideAdjustment', function() {
+    const PowerCalculator = require('../lib/power-calculator');
+    let config;
+    const now = 1000000;
+
+    beforeEach(function() {
+        config = {
+            inverters: [{ maxPower: 2000 }],
+            pollingInterval: 5000,
+            feedInThreshold: 100,
+            targetFeedIn: 800,
+            targetMode: 'feedIn'
+        };
+    });
+
+    it('should apply increases above the threshold immediately', function() {
+        // Act
+        const result = PowerCalculator.decideAdjustment(300, 1000, 1300, now - 1000, now, config);
+
+        // Assert
+        assert.deepEqual(result, { apply: true, isDecrease: false, reason: 'increase', remainingDelay: 0 });
+    });
+
+    it('should hold changes below the threshold', function() {
+        // Act
+        const result = PowerCalculator.decideAdjustment(-750, 1000, 950, null, now, config);
+
+        // Assert
+        assert.strictEqual(result.apply, false);
+        assert.strictEqual(result.reason, 'threshold not reached');
+    });
+
+    it('should delay decreases for three polling intervals', function() {
+        // Act
+        const result = PowerCalculator.decideAdjustment(-1200, 1000, 600, now - 5000, now, config);
+
+        // Assert
+        assert.strictEqual(result.apply, false);
+        assert.strictEqual(result.reason, 'decrease delayed');
+        assert.strictEqual(result.remainingDelay, 10000);
+    });
+
+    it('should apply decreases once the delay has passed', function() {
+        // Act
+        const result = PowerCalculator.decideAdjustment(-1200, 1000, 600, now - 15000, now, config);
+
+        // Assert
+        assert.strictEqual(result.apply, true);
+        assert.strictEqual(result.isDecrease, true);
+        assert.strictEqual(result.reason, 'decrease');
+    });
+
+    describe('band target mode', function() {
+
+        beforeEach(function() {
+            config.targetMode = 'band';
+            config.gridSetpoint = 20;
+            config.toleranceBand = 25;
+            config.exportCeiling = 50;
+        });
+
+        it('should resolve the band target', function() {
+            // Act
+            const target = PowerCalculator.resolveTarget(config);
+
+            // Assert
+            assert.deepEqual(target, { setpoint: 20, tolerance: 25, exportCeiling: 50, reason: 'grid setpoint of 20W ±25W from configuration' });
+        });
+
+        it('should regulate towards the grid setpoint', function() {
+            // Act
+            const result = PowerCalculator.calculateProportionalTotalLimit(-300, 1000, config);
+
+            // Assert
+            assert.strictEqual(result, 680); // 1000 + (-300 - 20)
+        });
+
+        it('should not adjust within the tolerance band', function() {
+            // Act
+            const result = PowerCalculator.decideAdjustment(-3, 1000, 977, null, now, config);
+
+            // Assert
+            assert.strictEqual(result.apply, false);
+            assert.strictEqual(result.reason, 'within tolerance band');
+        });
+
+        it('should decrease immediately when export exceeds the ceiling', function() {
+            // Act - last decrease was just 1s ago and the change is below the threshold
+            config.feedInThreshold = 200;
+            const result = PowerCalculator.decideAdjustment(-120, 1000, 860, now - 1000, now, config);
+
+            // Assert
+            assert.strictEqual(result.apply, true);
+            assert.strictEqual(result.reason, 'export ceiling exceeded');
+        });
+
+        it('should still delay decreases for export below the ceiling', function() {
+            // Act
+            const result = PowerCalculator.decideAdjustment(-40, 1000, 800, now - 1000, now, config);
+
+            // Assert
+            assert.strictEqual(result.apply, false);
+            assert.strictEqual(result.reason, 'decrease delayed');
+        });
+    });
+
+    describe('dynamic price', function() {
+
+        beforeEach(function() {
+            config.priceEnabled = true;
+            config.priceLowThreshold = 0;
+            config.priceHighThreshold = 0.3;
+            config.priceMaxFeedIn = 800;
+            config.targetFeedIn = 400;
+        });
+
+        it('should keep the regular target between the thresholds', function() {
+            // Arrange
+            config.currentPrice = 0.1;
+
+            // Act
+            const target = PowerCalculator.resolveTarget(config);
+
+            // Assert
+            assert.deepEqual(target, { setpoint: -400, tolerance: 0, exportCeiling: null, reason: 'maximum grid export of 400W from configuration' });
+        });
+
+        it('should switch to zero export below the low threshold', function() {
+            // Arrange
+            config.currentPrice = -0.02;
+
+            // Act
+            const target = PowerCalculator.resolveTarget(config);
+
+            // Assert
+            assert.deepEqual(target, { setpoint: 0, tolerance: 0, exportCeiling: null, reason: 'price -0.02 below 0, zero export' });
+        });
+
+        it('should allow export up to the legal cap above the high threshold', function() {
+            // Arrange
+            config.currentPrice = 0.42;
+
+            // Act
+            const target = PowerCalculator.resolveTarget(config);
+
+            // Assert
+            assert.deepEqual(target, { setpoint: -800, tolerance: 0, exportCeiling: null, reason: 'price 0.42 above 0.3, export up to 800W' });
+        });
+
+        it('should drop the export ceiling to zero in band mode', function() {
+            // Arrange
+            Object.assign(config, { targetMode: 'band', gridSetpoint: -20, toleranceBand: 25, exportCeiling: 50, currentPrice: -0.02 });
+
+            // Act
+            const target = PowerCalculator.resolveTarget(config);
+
+            // Assert
+            assert.strictEqual(target.setpoint, 0);
+            assert.strictEqual(target.exportCeiling, 0);
+        });
+
+        it('should not override control.targetFeedIn', function() {
+            // Arrange
+            config.currentPrice = -0.02;
+            config.targetSource = 'control.targetFeedIn';
+
+            // Act
+            const target = PowerCalculator.resolveTarget(config);
+
+            // Assert
+            assert.strictEqual(target.setpoint, -400);
+            assert.strictEqual(target.reason, 'maximum grid export of 400W from control.targetFeedIn');
+        });
+
+        it('should keep the regular target while the price is unknown', function() {
+            // Arrange
+            config.currentPrice = null;
+
+            // Act
+            const target = PowerCalculator.resolveTarget(config);
+
+            // Assert
+            assert.strictEqual(target.setpoint, -400);
+        });
+    });
 });
 
 // NOTE: applyInverterPowerLimits tests removed - this complex method should be tested 